@@ -0,0 +1,83 @@
+const path = require('path');
+const fs = require('fs/promises');
+const { writeFileAtomic } = require('./data-store.cjs');
+
+/**
+ * Size-capped directory of cover thumbnails. Entries are files named after their key; a hit
+ * touches the file's mtime, so evicting the oldest mtimes first is least-recently-used order.
+ * `maxBytes` is the cap; eviction trims down to 90% of it so writes don't evict one file at a time.
+ */
+function createCoverCache({ dir, maxBytes, onLog }) {
+  const log = (level, msg, extra) => onLog?.(level, msg, extra);
+  let entries = null;
+  let totalBytes = 0;
+  let loading = null;
+
+  const fileOf = (key) => path.join(dir, `${key}.jpg`);
+
+  const load = () => {
+    if (!loading) {
+      loading = (async () => {
+        await fs.mkdir(dir, { recursive: true });
+        entries = new Map();
+        for (const name of await fs.readdir(dir).catch(() => [])) {
+          if (!name.endsWith('.jpg')) continue;
+          const stat = await fs.stat(path.join(dir, name)).catch(() => null);
+          if (!stat?.isFile()) continue;
+          entries.set(name.slice(0, -4), { bytes: stat.size, usedAt: stat.mtimeMs });
+          totalBytes += stat.size;
+        }
+      })();
+    }
+    return loading;
+  };
+
+  const evict = async () => {
+    if (totalBytes <= maxBytes) return;
+    const target = maxBytes * 0.9;
+    const oldest = [...entries.entries()].sort((a, b) => a[1].usedAt - b[1].usedAt);
+    let removed = 0;
+    for (const [key, entry] of oldest) {
+      if (totalBytes <= target) break;
+      await fs.rm(fileOf(key), { force: true }).catch(() => {});
+      entries.delete(key);
+      totalBytes -= entry.bytes;
+      removed += 1;
+    }
+    log('INFO', 'cover cache trimmed', { removed, totalBytes });
+  };
+
+  return {
+    async get(key) {
+      await load();
+      const entry = entries.get(key);
+      if (!entry) return null;
+      const data = await fs.readFile(fileOf(key)).catch(() => null);
+      if (!data) {
+        entries.delete(key);
+        totalBytes -= entry.bytes;
+        return null;
+      }
+      entry.usedAt = Date.now();
+      const now = new Date();
+      fs.utimes(fileOf(key), now, now).catch(() => {});
+      return data;
+    },
+    async put(key, data) {
+      await load();
+      try {
+        await writeFileAtomic(fileOf(key), data);
+      } catch (err) {
+        log('WARN', 'cover cache write failed', { error: err?.message || String(err) });
+        return;
+      }
+      totalBytes += data.length - (entries.get(key)?.bytes || 0);
+      entries.set(key, { bytes: data.length, usedAt: Date.now() });
+      await evict();
+    }
+  };
+}
+
+module.exports = {
+  createCoverCache
+};
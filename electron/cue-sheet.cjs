@@ -0,0 +1,92 @@
+const { parseGain, parsePeak } = require('./replay-gain.cjs');
+
+const CUE_FRAMES_PER_SECOND = 75;
+
+function unquote(value) {
+  const text = `${value || ''}`.trim();
+  const m = text.match(/^"(.*)"$/);
+  return m ? m[1] : text;
+}
+
+function parseCueTime(value) {
+  const m = `${value || ''}`.match(/^(\d+):(\d{1,2}):(\d{1,2})$/);
+  if (!m) return null;
+  return Number(m[1]) * 60 + Number(m[2]) + Number(m[3]) / CUE_FRAMES_PER_SECOND;
+}
+
+function parseFileName(rest) {
+  const quoted = rest.match(/^"(.*)"(?:\s+\S+)?$/);
+  if (quoted) return quoted[1];
+  const parts = rest.trim().split(/\s+/);
+  return parts.length > 1 ? parts.slice(0, -1).join(' ') : parts[0] || '';
+}
+
+/**
+ * Parses CUE sheet text into album-level fields plus the FILE entries it references.
+ * Track start offsets are seconds relative to their FILE (INDEX 01).
+ */
+function parseCueSheet(text) {
+  const sheet = { title: '', performer: '', genre: '', year: null, discNo: null, albumGain: null, albumPeak: null, files: [] };
+  let file = null;
+  let track = null;
+  for (const rawLine of `${text || ''}`.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+    const m = line.match(/^(\S+)\s*(.*)$/);
+    const cmd = m[1].toUpperCase();
+    const rest = m[2] || '';
+    if (cmd === 'REM') {
+      const rem = rest.match(/^(\S+)\s+(.*)$/);
+      if (!rem) continue;
+      const key = rem[1].toUpperCase();
+      const value = unquote(rem[2]);
+      if (track) {
+        if (key === 'REPLAYGAIN_TRACK_GAIN') track.trackGain = parseGain(value);
+        if (key === 'REPLAYGAIN_TRACK_PEAK') track.trackPeak = parsePeak(value);
+        continue;
+      }
+      if (key === 'REPLAYGAIN_ALBUM_GAIN') sheet.albumGain = parseGain(value);
+      if (key === 'REPLAYGAIN_ALBUM_PEAK') sheet.albumPeak = parsePeak(value);
+      if (key === 'GENRE') sheet.genre = value;
+      if (key === 'DATE') sheet.year = Number(value.match(/\d{4}/)?.[0]) || null;
+      if (key === 'DISCNUMBER') sheet.discNo = Number.parseInt(value, 10) || null;
+      continue;
+    }
+    if (cmd === 'FILE') {
+      file = { name: parseFileName(rest), tracks: [] };
+      sheet.files.push(file);
+      track = null;
+      continue;
+    }
+    if (cmd === 'TRACK') {
+      track = { number: Number.parseInt(rest, 10) || 0, title: '', performer: '', start: null, trackGain: null, trackPeak: null };
+      if (file) file.tracks.push(track);
+      continue;
+    }
+    if (cmd === 'TITLE') {
+      if (track) track.title = unquote(rest);
+      else sheet.title = unquote(rest);
+      continue;
+    }
+    if (cmd === 'PERFORMER') {
+      if (track) track.performer = unquote(rest);
+      else sheet.performer = unquote(rest);
+      continue;
+    }
+    if (cmd === 'INDEX' && track) {
+      const idx = rest.match(/^(\d+)\s+(\S+)/);
+      if (!idx) continue;
+      const at = parseCueTime(idx[2]);
+      if (Number(idx[1]) === 1 && at != null) track.start = at;
+    }
+  }
+  for (const f of sheet.files) {
+    f.tracks = f.tracks.filter((t) => t.start != null).sort((a, b) => a.start - b.start);
+  }
+  sheet.files = sheet.files.filter((f) => f.name && f.tracks.length);
+  return sheet;
+}
+
+module.exports = {
+  parseCueSheet
+};
@@ -0,0 +1,154 @@
+const path = require('path');
+const fs = require('fs/promises');
+
+const BACKUP_INTERVAL_MS = 10 * 60 * 1000;
+const BACKUP_KEEP = 10;
+const RENAME_RETRIES = 5;
+
+function timestamp(date = new Date()) {
+  const pad = (n) => `${n}`.padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+async function renameWithRetry(from, to) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      await fs.rename(from, to);
+      return;
+    } catch (err) {
+      // Windows refuses to replace a file that a scanner/indexer has open for a moment.
+      if (attempt >= RENAME_RETRIES || !['EPERM', 'EBUSY', 'EACCES'].includes(err?.code)) throw err;
+      await new Promise((resolve) => setTimeout(resolve, 50 * (attempt + 1)));
+    }
+  }
+}
+
+// Writes to a temp file, fsyncs it and renames it over the target, so readers see the old or the new file, never half of one.
+async function writeFileAtomic(file, content) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fh = await fs.open(tmp, 'w');
+  try {
+    await fh.writeFile(content, 'utf8');
+    await fh.sync();
+  } finally {
+    await fh.close();
+  }
+  try {
+    await renameWithRetry(tmp, file);
+  } catch (err) {
+    await fs.rm(tmp, { force: true }).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Owns one JSON document on disk. Every read and write goes through a single queue, writes are
+ * atomic, the previous version is copied into `backupDir` at most every 10 minutes (newest 10 kept),
+ * and an unreadable file is set aside and replaced by the newest backup that still parses.
+ * `shape(raw)` normalizes/migrates whatever was read (null when nothing usable exists).
+ */
+function createDataStore({ file, backupDir, shape, onLog }) {
+  const log = (level, msg, extra) => onLog?.(level, msg, extra);
+  const prefix = path.parse(file).name;
+  let tail = Promise.resolve();
+  let pendingSave = null;
+  let lastBackupAt = null;
+
+  const enqueue = (task) => {
+    const run = tail.then(task);
+    tail = run.catch(() => {});
+    return run;
+  };
+
+  const listBackups = async () => {
+    const names = await fs.readdir(backupDir).catch(() => []);
+    return names
+      .filter((name) => name.startsWith(`${prefix}-`) && name.endsWith('.json'))
+      .sort()
+      .reverse()
+      .map((name) => path.join(backupDir, name));
+  };
+
+  const backupCurrent = async () => {
+    if (lastBackupAt == null) {
+      const [newest] = await listBackups();
+      lastBackupAt = newest ? (await fs.stat(newest).catch(() => null))?.mtimeMs || 0 : 0;
+    }
+    if (Date.now() - lastBackupAt < BACKUP_INTERVAL_MS) return;
+    try {
+      // Only back up a file that still parses; a corrupt one would just push a good backup out.
+      JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (_) {
+      return;
+    }
+    await fs.mkdir(backupDir, { recursive: true });
+    await fs.copyFile(file, path.join(backupDir, `${prefix}-${timestamp()}.json`));
+    lastBackupAt = Date.now();
+    for (const stale of (await listBackups()).slice(BACKUP_KEEP)) {
+      await fs.rm(stale, { force: true }).catch(() => {});
+    }
+  };
+
+  const write = async (data) => {
+    await backupCurrent().catch((err) => log('WARN', 'data backup failed', { error: err?.message || String(err) }));
+    await writeFileAtomic(file, JSON.stringify(data, null, 2));
+  };
+
+  const read = async () => {
+    let text = null;
+    try {
+      text = await fs.readFile(file, 'utf8');
+      return shape(JSON.parse(text));
+    } catch (err) {
+      if (err?.code === 'ENOENT' && !(await listBackups()).length) return shape(null);
+      log('ERROR', 'data file unreadable, trying backups', { file, error: err?.message || String(err) });
+    }
+    if (text != null) {
+      await renameWithRetry(file, `${file}.corrupt-${timestamp()}`).catch(() => {});
+    }
+    for (const backup of await listBackups()) {
+      try {
+        const data = shape(JSON.parse(await fs.readFile(backup, 'utf8')));
+        await writeFileAtomic(file, JSON.stringify(data, null, 2));
+        log('WARN', 'data restored from backup', { backup });
+        return data;
+      } catch (err) {
+        log('WARN', 'backup unreadable', { backup, error: err?.message || String(err) });
+      }
+    }
+    return shape(null);
+  };
+
+  return {
+    load: () => enqueue(read),
+    // Saves that pile up behind a slow write collapse into the latest snapshot.
+    save(data) {
+      if (pendingSave && !pendingSave.started) {
+        pendingSave.data = data;
+        return pendingSave.promise;
+      }
+      const entry = { data, started: false, promise: null };
+      entry.promise = enqueue(() => {
+        entry.started = true;
+        if (pendingSave === entry) pendingSave = null;
+        return write(entry.data);
+      });
+      pendingSave = entry;
+      return entry.promise;
+    },
+    // Load-modify-save as one step, so nothing else writes in between.
+    update: (mutator) => enqueue(async () => {
+      const data = await read();
+      const next = (await mutator(data)) || data;
+      await write(next);
+      return next;
+    }),
+    flush: () => enqueue(() => {})
+  };
+}
+
+module.exports = {
+  createDataStore,
+  renameWithRetry,
+  writeFileAtomic
+};
@@ -0,0 +1,265 @@
+const path = require('path');
+const fs = require('fs/promises');
+const { renameWithRetry } = require('./data-store.cjs');
+
+const COMPANION_EXT = new Set(['.lrc', '.txt', '.jpg', '.jpeg', '.png', '.webp']);
+const COVER_IMAGE_RE = /^(cover|folder|front|album|albumart)\.(jpe?g|png|webp)$/i;
+const TEMPLATE_FIELD_RE = /\{([a-z]+)\}/gi;
+const MAX_SEGMENT_LENGTH = 150;
+
+function pathKey(filePath) {
+  return path.resolve(filePath).toLowerCase();
+}
+
+function cleanName(value) {
+  return `${value ?? ''}`
+    .replace(/[<>:"/\\|?*\u0000-\u001f]/g, '_')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function templateValues(track) {
+  const pad = `${track.trackTotal || ''}`.length > 2 ? `${track.trackTotal}`.length : 2;
+  return {
+    title: track.title,
+    artist: track.artist,
+    album: track.album,
+    albumartist: track.albumArtist || track.artist,
+    year: track.year || '',
+    disc: track.discNo || '',
+    track: track.trackNo ? `${track.trackNo}`.padStart(pad, '0') : '',
+    genre: track.genre,
+    composer: track.composer
+  };
+}
+
+// Drops separators and brackets an empty field leaves behind: "{year} - {album}" without a year is "{album}".
+function tidySegment(segment) {
+  let text = segment
+    .replace(/\(\s*\)|\[\s*\]|（\s*）/g, '')
+    .replace(/(\s*-\s*){2,}/g, ' - ')
+    .replace(/\s+/g, ' ');
+  text = text.replace(/^[\s\-_.·]+/, '').replace(/[\s\-_·]+$/, '').replace(/[. ]+$/, '');
+  if (/^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i.test(text)) text = `_${text}`;
+  return text.slice(0, MAX_SEGMENT_LENGTH).trim();
+}
+
+/**
+ * Renders a template such as `{albumartist}/{year} - {album}/{disc}-{track} {title}` for a track.
+ * Returns the relative path without extension; empty folder levels are dropped and an empty file
+ * name falls back to the current one. Null for templates with unknown fields.
+ */
+function renderTemplate(template, track) {
+  const values = templateValues(track);
+  const segments = [];
+  for (const part of `${template || ''}`.replace(/\\/g, '/').split('/')) {
+    let unknown = false;
+    const filled = part.replace(TEMPLATE_FIELD_RE, (_, name) => {
+      const key = name.toLowerCase();
+      if (!(key in values)) unknown = true;
+      return cleanName(values[key]);
+    });
+    if (unknown) return null;
+    segments.push(tidySegment(filled));
+  }
+  const name = segments.pop() || tidySegment(cleanName(path.parse(track.path).name));
+  return [...segments.filter(Boolean), name || '_'].join('/');
+}
+
+async function listDir(cache, dir) {
+  if (!cache.has(dir)) cache.set(dir, await fs.readdir(dir, { withFileTypes: true }).catch(() => []));
+  return cache.get(dir);
+}
+
+async function exists(filePath) {
+  return !!(await fs.stat(filePath).catch(() => null));
+}
+
+/**
+ * Works out where each file goes without touching anything. `files` are
+ * `{ path, track, root }` (one per audio file); `isAudio(name)` tells audio files apart so a
+ * folder cover only moves when every audio file leaves its folder. `conflict` is 'skip' or
+ * 'rename' (append " (2)", " (3)", ...). Returns plan items
+ * `{ from, to, status: 'move' | 'same' | 'conflict' | 'skip', reason, companions: [{ from, to, copy }] }`.
+ */
+async function planOrganize(files, { template, conflict = 'skip', isAudio }) {
+  const dirCache = new Map();
+  const claimed = new Set();
+  const items = [];
+  for (const file of files) {
+    const item = { from: file.path, to: null, status: 'skip', reason: '', companions: [], trackId: file.track.id };
+    items.push(item);
+    if (!file.root) {
+      item.reason = '不在已添加的音乐文件夹中';
+      continue;
+    }
+    const rel = renderTemplate(template, file.track);
+    if (!rel) {
+      item.reason = '模板中有无法识别的字段';
+      continue;
+    }
+    const ext = path.extname(file.path);
+    let to = path.join(file.root, ...rel.split('/')) + ext;
+    if (to === path.resolve(file.path)) {
+      item.to = to;
+      item.status = 'same';
+      claimed.add(pathKey(to));
+      continue;
+    }
+    const taken = async (candidate) => claimed.has(pathKey(candidate))
+      || (pathKey(candidate) !== pathKey(file.path) && (await exists(candidate)));
+    if (await taken(to)) {
+      if (conflict !== 'rename') {
+        item.to = to;
+        item.status = 'conflict';
+        item.reason = '目标位置已有文件';
+        continue;
+      }
+      const base = to.slice(0, to.length - ext.length);
+      for (let n = 2; await taken(to); n += 1) to = `${base} (${n})${ext}`;
+    }
+    claimed.add(pathKey(to));
+    item.to = to;
+    item.status = 'move';
+  }
+
+  // Lyrics and images named after the audio file follow it under its new name.
+  const moving = items.filter((item) => item.status === 'move');
+  for (const item of moving) {
+    const src = path.parse(item.from);
+    const dst = path.parse(item.to);
+    for (const entry of await listDir(dirCache, src.dir)) {
+      const ext = path.extname(entry.name);
+      if (!entry.isFile() || !COMPANION_EXT.has(ext.toLowerCase())) continue;
+      if (path.basename(entry.name, ext).toLowerCase() !== src.name.toLowerCase()) continue;
+      const to = path.join(dst.dir, `${dst.name}${ext}`);
+      if (claimed.has(pathKey(to)) || (await exists(to))) continue;
+      claimed.add(pathKey(to));
+      item.companions.push({ from: path.join(src.dir, entry.name), to, copy: false });
+    }
+  }
+
+  // Folder covers move along when the whole folder goes to one place and are copied otherwise.
+  const bySourceDir = new Map();
+  for (const item of moving) {
+    const dir = path.dirname(item.from);
+    if (!bySourceDir.has(dir)) bySourceDir.set(dir, []);
+    bySourceDir.get(dir).push(item);
+  }
+  for (const [dir, group] of bySourceDir.entries()) {
+    const entries = await listDir(dirCache, dir);
+    const covers = entries.filter((e) => e.isFile() && COVER_IMAGE_RE.test(e.name));
+    if (!covers.length) continue;
+    const audioCount = entries.filter((e) => e.isFile() && isAudio(e.name)).length;
+    const targetDirs = new Map();
+    for (const item of group) {
+      const targetDir = path.dirname(item.to);
+      if (!targetDirs.has(targetDir)) targetDirs.set(targetDir, item);
+    }
+    const copy = targetDirs.size > 1 || group.length < audioCount;
+    for (const [targetDir, item] of targetDirs.entries()) {
+      if (targetDir === dir) continue;
+      for (const cover of covers) {
+        const to = path.join(targetDir, cover.name);
+        if (claimed.has(pathKey(to)) || (await exists(to))) continue;
+        claimed.add(pathKey(to));
+        item.companions.push({ from: path.join(dir, cover.name), to, copy });
+      }
+    }
+  }
+  return items;
+}
+
+async function moveFile(from, to) {
+  await fs.mkdir(path.dirname(to), { recursive: true });
+  try {
+    await renameWithRetry(from, to);
+  } catch (err) {
+    if (err?.code !== 'EXDEV') throw err;
+    await fs.copyFile(from, to);
+    await fs.rm(from);
+  }
+}
+
+// Removes folders emptied by a move, walking up to (but never including) `root`.
+async function removeEmptyDirs(dir, root) {
+  for (let current = dir; isInside(root, current); current = path.dirname(current)) {
+    const left = await fs.readdir(current).catch(() => null);
+    if (!left || left.length) return;
+    await fs.rmdir(current).catch(() => {});
+  }
+}
+
+function isInside(root, target) {
+  const rel = path.relative(root, target);
+  return !!rel && !rel.startsWith('..') && !path.isAbsolute(rel);
+}
+
+/**
+ * Carries out the 'move' items of a plan. Returns `{ moves, failed }`: `moves` is the undo log
+ * (`{ from, to, copy, root }` in the order they happened) and `failed` the audio files left in place.
+ */
+async function applyOrganize(items, rootOf) {
+  const moves = [];
+  const failed = [];
+  const touchedDirs = new Map();
+  for (const item of items.filter((i) => i.status === 'move')) {
+    const root = rootOf(item.from);
+    try {
+      await moveFile(item.from, item.to);
+    } catch (err) {
+      failed.push({ path: item.from, error: err?.message || String(err) });
+      continue;
+    }
+    moves.push({ from: item.from, to: item.to, copy: false, root, trackId: item.trackId });
+    touchedDirs.set(path.dirname(item.from), root);
+    for (const companion of item.companions) {
+      try {
+        if (companion.copy) {
+          await fs.mkdir(path.dirname(companion.to), { recursive: true });
+          await fs.copyFile(companion.from, companion.to);
+        } else {
+          await moveFile(companion.from, companion.to);
+        }
+        moves.push({ ...companion, root });
+      } catch (_) {
+        // A lyric or cover that can't follow stays where it was; the audio move still counts.
+      }
+    }
+  }
+  for (const [dir, root] of touchedDirs.entries()) await removeEmptyDirs(dir, root);
+  return { moves, failed };
+}
+
+// Reverses an undo log. Files changed or reoccupied since are left alone, reported in `failed` and
+// returned in `remaining` (in log order) so they can be retried.
+async function undoOrganize(moves) {
+  const restored = [];
+  const failed = [];
+  const remaining = [];
+  const touchedDirs = new Map();
+  for (const move of [...moves].reverse()) {
+    try {
+      if (move.copy) {
+        await fs.rm(move.to, { force: true });
+      } else {
+        if (await exists(move.from)) throw new Error('原位置已有文件');
+        await moveFile(move.to, move.from);
+        restored.push(move);
+      }
+      touchedDirs.set(path.dirname(move.to), move.root);
+    } catch (err) {
+      failed.push({ path: move.to, error: err?.message || String(err) });
+      remaining.unshift(move);
+    }
+  }
+  for (const [dir, root] of touchedDirs.entries()) await removeEmptyDirs(dir, root);
+  return { restored, failed, remaining };
+}
+
+module.exports = {
+  applyOrganize,
+  planOrganize,
+  renderTemplate,
+  undoOrganize
+};
@@ -0,0 +1,420 @@
+const Database = require('better-sqlite3');
+const { pinyin } = require('pinyin-pro');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS tracks (
+    id TEXT PRIMARY KEY,
+    position INTEGER NOT NULL,
+    path TEXT NOT NULL,
+    title TEXT NOT NULL DEFAULT '',
+    artist TEXT NOT NULL DEFAULT '',
+    album TEXT NOT NULL DEFAULT '',
+    duration REAL NOT NULL DEFAULT 0,
+    sort_title TEXT NOT NULL DEFAULT '',
+    sort_artist TEXT NOT NULL DEFAULT '',
+    sort_album TEXT NOT NULL DEFAULT '',
+    search_text TEXT NOT NULL DEFAULT '',
+    liked INTEGER NOT NULL DEFAULT 0,
+    missing INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS tracks_position ON tracks(position);
+  CREATE INDEX IF NOT EXISTS tracks_path ON tracks(path);
+  CREATE TABLE IF NOT EXISTS playlists (
+    id TEXT PRIMARY KEY,
+    position INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    fixed INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE TABLE IF NOT EXISTS playlist_tracks (
+    playlist_id TEXT NOT NULL REFERENCES playlists(id) ON DELETE CASCADE,
+    track_id TEXT NOT NULL REFERENCES tracks(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    PRIMARY KEY (playlist_id, track_id)
+  );
+  CREATE INDEX IF NOT EXISTS playlist_tracks_track ON playlist_tracks(track_id);
+  CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+const FAVORITES_ID = 'favorites';
+
+// Columns queryTracks may sort by; anything else sorts by a JSON field of the track.
+const SORT_COLUMNS = {
+  title: 't.sort_title',
+  artist: 't.sort_artist',
+  album: 't.sort_album',
+  duration: 't.duration'
+};
+const JSON_NUMBER_SORT_KEYS = new Set(['trackNo', 'discNo', 'year', 'bitrate', 'sampleRate', 'bitDepth', 'channels', 'lossless']);
+const JSON_TEXT_SORT_KEYS = new Set(['albumArtist', 'genre', 'composer', 'codec']);
+
+function normalizeSearchText(value) {
+  return `${value || ''}`
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Same ordering key the renderer uses: pinyin for Han characters, so 周 sorts with "z".
+function toMixedSortKey(value) {
+  const text = normalizeSearchText(value);
+  if (!text) return '';
+  return normalizeSearchText(pinyin(text, { toneType: 'none' }) || text);
+}
+
+function escapeLike(token) {
+  return token.replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+function trackRowValues(track, position) {
+  const { liked, missing, ...rest } = track;
+  return {
+    id: track.id,
+    position,
+    path: track.path || '',
+    title: `${track.title || ''}`,
+    artist: `${track.artist || ''}`,
+    album: `${track.album || ''}`,
+    duration: Number(track.duration) || 0,
+    sort_title: toMixedSortKey(track.title),
+    sort_artist: toMixedSortKey(track.artist),
+    sort_album: toMixedSortKey(track.album),
+    search_text: `${normalizeSearchText(track.title)} ${normalizeSearchText(track.artist)}`.trim(),
+    liked: liked ? 1 : 0,
+    missing: missing ? 1 : 0,
+    data: JSON.stringify(rest)
+  };
+}
+
+function trackFromRow(row) {
+  const track = { ...JSON.parse(row.data), liked: !!row.liked };
+  if (row.missing) track.missing = true;
+  return track;
+}
+
+/**
+ * Opens (creating if needed) the SQLite library store. All methods are synchronous; callers in the
+ * main process get transactional updates without a write queue. `snapshot()`/`replaceSnapshot()`
+ * speak the legacy `{ scanFolders, tracks, playlists, settings }` shape for the renderer's first
+ * load and the player-data.json import; everything else reads single rows, `listTracks()` or
+ * `queryTracks()`, and writes go through granular operations (`applyTrackChanges` for scan results)
+ * so they never replace rows from a stale copy.
+ */
+function openLibraryDb({ file, onLog }) {
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.pragma('foreign_keys = ON');
+  // Text fields kept only in the JSON column sort like the indexed sort_* columns.
+  db.function('mixed_sort_key', { deterministic: true }, (value) => toMixedSortKey(value));
+  db.exec(SCHEMA);
+
+  const stmt = {
+    getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+    setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+    countTracks: db.prepare('SELECT COUNT(*) AS n FROM tracks'),
+    allTracks: db.prepare('SELECT * FROM tracks ORDER BY position'),
+    trackState: db.prepare('SELECT id, position, liked, missing, data FROM tracks'),
+    getTrack: db.prepare('SELECT * FROM tracks WHERE id = ?'),
+    upsertTrack: db.prepare(`
+      INSERT INTO tracks (id, position, path, title, artist, album, duration, sort_title, sort_artist, sort_album, search_text, liked, missing, data)
+      VALUES (@id, @position, @path, @title, @artist, @album, @duration, @sort_title, @sort_artist, @sort_album, @search_text, @liked, @missing, @data)
+      ON CONFLICT(id) DO UPDATE SET
+        position = excluded.position, path = excluded.path, title = excluded.title, artist = excluded.artist,
+        album = excluded.album, duration = excluded.duration, sort_title = excluded.sort_title,
+        sort_artist = excluded.sort_artist, sort_album = excluded.sort_album, search_text = excluded.search_text,
+        liked = excluded.liked, missing = excluded.missing, data = excluded.data
+    `),
+    setTrackPosition: db.prepare('UPDATE tracks SET position = ? WHERE id = ?'),
+    setLiked: db.prepare('UPDATE tracks SET liked = ? WHERE id = ?'),
+    setMissing: db.prepare('UPDATE tracks SET missing = ? WHERE id = ?'),
+    maxTrackPosition: db.prepare('SELECT COALESCE(MAX(position), -1) AS n FROM tracks'),
+    deleteTrack: db.prepare('DELETE FROM tracks WHERE id = ?'),
+    allPlaylists: db.prepare('SELECT * FROM playlists ORDER BY position'),
+    playlistTrackIds: db.prepare('SELECT track_id FROM playlist_tracks WHERE playlist_id = ? ORDER BY position'),
+    upsertPlaylist: db.prepare(`
+      INSERT INTO playlists (id, position, name, fixed) VALUES (?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET position = excluded.position, name = excluded.name, fixed = excluded.fixed
+    `),
+    getPlaylist: db.prepare('SELECT * FROM playlists WHERE id = ?'),
+    deletePlaylist: db.prepare('DELETE FROM playlists WHERE id = ?'),
+    maxPlaylistPosition: db.prepare('SELECT COALESCE(MAX(position), -1) AS n FROM playlists'),
+    clearPlaylistTracks: db.prepare('DELETE FROM playlist_tracks WHERE playlist_id = ?'),
+    addPlaylistTrack: db.prepare(`
+      INSERT OR IGNORE INTO playlist_tracks (playlist_id, track_id, position)
+      SELECT ?, ?, COALESCE(MAX(position), -1) + 1 FROM playlist_tracks WHERE playlist_id = ?
+    `),
+    insertPlaylistTrack: db.prepare('INSERT OR IGNORE INTO playlist_tracks (playlist_id, track_id, position) VALUES (?, ?, ?)'),
+    copyPlaylistEntries: db.prepare(`
+      INSERT OR IGNORE INTO playlist_tracks (playlist_id, track_id, position)
+      SELECT playlist_id, ?, position FROM playlist_tracks WHERE track_id = ?
+    `),
+    removePlaylistTrack: db.prepare('DELETE FROM playlist_tracks WHERE playlist_id = ? AND track_id = ?'),
+    allSettings: db.prepare('SELECT key, value FROM settings'),
+    setSetting: db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+  };
+
+  const readMeta = (key, fallback) => {
+    const row = stmt.getMeta.get(key);
+    if (!row) return fallback;
+    try {
+      return JSON.parse(row.value);
+    } catch (_) {
+      return fallback;
+    }
+  };
+  const writeMeta = (key, value) => stmt.setMeta.run(key, JSON.stringify(value));
+
+  const getSettings = () => {
+    const settings = {};
+    for (const row of stmt.allSettings.all()) {
+      try {
+        settings[row.key] = JSON.parse(row.value);
+      } catch (_) {
+        // a broken value falls back to its default in ensureDataShape
+      }
+    }
+    return settings;
+  };
+
+  const updateSettings = db.transaction((patch) => {
+    const existing = new Map(stmt.allSettings.all().map((row) => [row.key, row.value]));
+    for (const [key, value] of Object.entries(patch || {})) {
+      if (value === undefined) continue;
+      const json = JSON.stringify(value);
+      if (existing.get(key) !== json) stmt.setSetting.run(key, json);
+    }
+  });
+
+  const ensureFavorites = () => {
+    if (!stmt.getPlaylist.get(FAVORITES_ID)) stmt.upsertPlaylist.run(FAVORITES_ID, 0, '我喜欢', 1);
+  };
+
+  const replacePlaylistTracks = (playlistId, trackIds, knownIds) => {
+    const current = stmt.playlistTrackIds.all(playlistId).map((r) => r.track_id);
+    const next = [...new Set(trackIds || [])].filter((id) => knownIds.has(id));
+    if (current.length === next.length && current.every((id, i) => id === next[i])) return;
+    stmt.clearPlaylistTracks.run(playlistId);
+    next.forEach((id, i) => stmt.insertPlaylistTrack.run(playlistId, id, i));
+  };
+
+  // Writes a whole legacy-shaped document, touching only rows that actually changed. Only the
+  // one-time import uses this; anything read earlier would overwrite newer likes and playlists.
+  const replaceSnapshot = db.transaction((data) => {
+    const existing = new Map(stmt.trackState.all().map((row) => [row.id, row]));
+    const incoming = new Set();
+    let written = 0;
+    (data.tracks || []).forEach((track, position) => {
+      if (!track?.id || incoming.has(track.id)) return;
+      incoming.add(track.id);
+      const values = trackRowValues(track, position);
+      const row = existing.get(track.id);
+      if (row && row.data === values.data && row.liked === values.liked && row.missing === values.missing) {
+        if (row.position !== position) stmt.setTrackPosition.run(position, track.id);
+        return;
+      }
+      stmt.upsertTrack.run(values);
+      written += 1;
+    });
+    for (const id of existing.keys()) {
+      if (!incoming.has(id)) stmt.deleteTrack.run(id);
+    }
+    const playlists = data.playlists || [];
+    const keepPlaylists = new Set(playlists.map((p) => p.id));
+    for (const row of stmt.allPlaylists.all()) {
+      if (!keepPlaylists.has(row.id)) stmt.deletePlaylist.run(row.id);
+    }
+    playlists.forEach((p, position) => {
+      stmt.upsertPlaylist.run(p.id, position, `${p.name || ''}`, p.fixed ? 1 : 0);
+      replacePlaylistTracks(p.id, p.trackIds, incoming);
+    });
+    ensureFavorites();
+    updateSettings(data.settings || {});
+    writeMeta('scanFolders', data.scanFolders || []);
+    if (data.schemaVersion != null) writeMeta('schemaVersion', data.schemaVersion);
+    return written;
+  });
+
+  const listTracks = () => stmt.allTracks.all().map(trackFromRow);
+
+  const snapshot = () => db.transaction(() => ({
+    schemaVersion: readMeta('schemaVersion', undefined),
+    scanFolders: readMeta('scanFolders', []),
+    tracks: listTracks(),
+    playlists: stmt.allPlaylists.all().map((p) => ({
+      id: p.id,
+      name: p.name,
+      fixed: !!p.fixed,
+      trackIds: stmt.playlistTrackIds.all(p.id).map((r) => r.track_id)
+    })),
+    settings: getSettings()
+  }))();
+
+  const getTrack = (id) => {
+    const row = stmt.getTrack.get(id);
+    return row ? trackFromRow(row) : null;
+  };
+
+  const setLiked = db.transaction((id, liked) => {
+    if (!stmt.setLiked.run(liked ? 1 : 0, id).changes) return false;
+    ensureFavorites();
+    if (liked) stmt.addPlaylistTrack.run(FAVORITES_ID, id, FAVORITES_ID);
+    else stmt.removePlaylistTrack.run(FAVORITES_ID, id);
+    return true;
+  });
+
+  const updateTrack = db.transaction((id, patch) => {
+    const row = stmt.getTrack.get(id);
+    if (!row) return null;
+    const { id: _ignored, ...fields } = patch || {};
+    const next = { ...trackFromRow(row), ...fields, id };
+    stmt.upsertTrack.run(trackRowValues(next, row.position));
+    if (Object.prototype.hasOwnProperty.call(fields, 'liked')) setLiked(id, !!fields.liked);
+    return getTrack(id);
+  });
+
+  const removeTracks = db.transaction((ids) => {
+    let removed = 0;
+    for (const id of ids || []) removed += stmt.deleteTrack.run(id).changes;
+    return removed;
+  });
+
+  /**
+   * Applies the outcome of a scan, watch or relink to the current rows in one transaction. Existing
+   * tracks keep their position and liked flag (both may have changed since the caller read them);
+   * new ones are appended and `missing` only flips the flag. `renamed` [from, to] pairs hand the
+   * playlist entries and like of a folded duplicate to the track replacing it before it is removed.
+   * Playlists and settings are otherwise not touched, so edits made while a long scan ran survive it.
+   */
+  const applyTrackChanges = db.transaction(({ upsert = [], remove = [], missing = [], renamed = [], scanFolders } = {}) => {
+    let position = stmt.maxTrackPosition.get().n;
+    let written = 0;
+    for (const track of upsert) {
+      if (!track?.id) continue;
+      const row = stmt.getTrack.get(track.id);
+      const values = trackRowValues(track, row ? row.position : position + 1);
+      if (row) {
+        values.liked = row.liked;
+        if (row.data === values.data && row.missing === values.missing) continue;
+      } else {
+        position += 1;
+      }
+      stmt.upsertTrack.run(values);
+      if (!row && values.liked) {
+        ensureFavorites();
+        stmt.addPlaylistTrack.run(FAVORITES_ID, track.id, FAVORITES_ID);
+      }
+      written += 1;
+    }
+    for (const id of missing) stmt.setMissing.run(1, id);
+    for (const [from, to] of renamed) {
+      const row = stmt.getTrack.get(from);
+      if (!row || !stmt.getTrack.get(to)) continue;
+      stmt.copyPlaylistEntries.run(to, from);
+      if (row.liked) stmt.setLiked.run(1, to);
+    }
+    for (const id of remove) stmt.deleteTrack.run(id);
+    if (scanFolders) writeMeta('scanFolders', scanFolders);
+    return written;
+  });
+
+  const createPlaylist = db.transaction(({ id, name, trackIds = [] }) => {
+    if (!id || stmt.getPlaylist.get(id)) return false;
+    stmt.upsertPlaylist.run(id, stmt.maxPlaylistPosition.get().n + 1, `${name || ''}`, 0);
+    for (const trackId of trackIds) {
+      if (stmt.getTrack.get(trackId)) stmt.addPlaylistTrack.run(id, trackId, id);
+    }
+    return true;
+  });
+
+  const deletePlaylist = (id) => {
+    const row = stmt.getPlaylist.get(id);
+    if (!row || row.fixed) return false;
+    return stmt.deletePlaylist.run(id).changes > 0;
+  };
+
+  const addToPlaylist = (playlistId, trackId) => {
+    if (playlistId === FAVORITES_ID) return setLiked(trackId, true);
+    if (!stmt.getPlaylist.get(playlistId) || !stmt.getTrack.get(trackId)) return false;
+    return stmt.addPlaylistTrack.run(playlistId, trackId, playlistId).changes > 0;
+  };
+
+  const removeFromPlaylist = (playlistId, trackId) => {
+    if (playlistId === FAVORITES_ID) return setLiked(trackId, false);
+    return stmt.removePlaylistTrack.run(playlistId, trackId).changes > 0;
+  };
+
+  /**
+   * Filters by playlist and search text (every whitespace-separated token must appear in title or
+   * artist) and sorts by a whitelisted key. Without a sort key, playlist order (or library order) wins.
+   * `idsOnly` returns just the ordered ids, for a list whose rows the caller already holds.
+   */
+  const queryTracks = ({ playlistId, query, sort, limit, offset, idsOnly = false } = {}) => {
+    const where = [];
+    const params = [];
+    let from = 'tracks t';
+    let naturalOrder = 't.position';
+    if (playlistId && playlistId !== 'all') {
+      from = 'playlist_tracks pt JOIN tracks t ON t.id = pt.track_id';
+      where.push('pt.playlist_id = ?');
+      params.push(playlistId);
+      naturalOrder = 'pt.position';
+    }
+    for (const token of normalizeSearchText(query).split(' ').filter(Boolean)) {
+      where.push("t.search_text LIKE ? ESCAPE '\\'");
+      params.push(`%${escapeLike(token)}%`);
+    }
+    const dir = sort?.dir === 'desc' ? 'DESC' : 'ASC';
+    let order = naturalOrder;
+    if (SORT_COLUMNS[sort?.key]) order = `${SORT_COLUMNS[sort.key]} ${dir}, ${naturalOrder}`;
+    else if (JSON_NUMBER_SORT_KEYS.has(sort?.key)) order = `json_extract(t.data, '$.${sort.key}') ${dir}, ${naturalOrder}`;
+    else if (JSON_TEXT_SORT_KEYS.has(sort?.key)) order = `mixed_sort_key(json_extract(t.data, '$.${sort.key}')) ${dir}, ${naturalOrder}`;
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    const total = db.prepare(`SELECT COUNT(*) AS n FROM ${from} ${whereSql}`).get(...params).n;
+    const page = Number.isInteger(limit) && limit > 0
+      ? ` LIMIT ${limit} OFFSET ${Number.isInteger(offset) && offset > 0 ? offset : 0}`
+      : '';
+    const columns = idsOnly ? 't.id' : 't.*';
+    const rows = db.prepare(`SELECT ${columns} FROM ${from} ${whereSql} ORDER BY ${order}${page}`).all(...params);
+    return idsOnly ? { total, ids: rows.map((row) => row.id) } : { total, tracks: rows.map(trackFromRow) };
+  };
+
+  // Scans no longer write playlists, so the fixed favorites list has to exist from the start.
+  ensureFavorites();
+  onLog?.('INFO', 'library database opened', { file, tracks: stmt.countTracks.get().n });
+
+  return {
+    isEmpty: () => stmt.countTracks.get().n === 0 && !stmt.getMeta.get('scanFolders'),
+    readMeta,
+    writeMeta,
+    snapshot,
+    replaceSnapshot,
+    listTracks,
+    getTrack,
+    getSettings,
+    updateSettings,
+    setLiked,
+    updateTrack,
+    removeTracks,
+    applyTrackChanges,
+    createPlaylist,
+    deletePlaylist,
+    addToPlaylist,
+    removeFromPlaylist,
+    queryTracks,
+    backup: (target) => db.backup(target),
+    close: () => db.close()
+  };
+}
+
+module.exports = {
+  openLibraryDb
+};
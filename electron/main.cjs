@@ -1,12 +1,86 @@
-const { app, BrowserWindow, dialog, ipcMain, Menu, Tray, nativeImage, shell } = require('electron');
+const { app, BrowserWindow, clipboard, dialog, ipcMain, Menu, Tray, nativeImage, shell, protocol } = require('electron');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs/promises');
-const { existsSync, mkdirSync, appendFileSync } = require('fs');
+const { existsSync, mkdirSync, appendFileSync, watch, createReadStream } = require('fs');
+const { Readable } = require('stream');
 const { execFile } = require('child_process');
 const mm = require('music-metadata');
+const { EXTENDED_TAG_DEFAULTS, readEmbeddedLyrics, readTrackTags, tagsFromMetadata } = require('./track-tags.cjs');
+const { createParsePool } = require('./parse-pool.cjs');
+const { createDataStore, writeFileAtomic } = require('./data-store.cjs');
+const { createCoverCache } = require('./cover-cache.cjs');
+const { openLibraryDb } = require('./library-db.cjs');
+const { baseTrackId, createIdentityResolver, migrateLegacyTrackId, readContentHash } = require('./track-identity.cjs');
+const { parseCueSheet } = require('./cue-sheet.cjs');
+const { imageMimeOf, writeTrackTags } = require('./tag-writer.cjs');
+const { applyOrganize, planOrganize, undoOrganize } = require('./file-organizer.cjs');
+const { REPLAY_GAIN_FIELDS, albumGainFor, gainForLoudness, measureLoudness } = require('./replay-gain.cjs');
+const { applyTagEncoding, decodeTextSmart, decodeTextWithEncoding } = require('./text-decoding.cjs');
+const { PATH_TAG_FIELDS, applyPathPatterns, compilePathPattern } = require('./path-patterns.cjs');
+const { PLAYLIST_FORMATS, playlistFormatOf, parsePlaylist, resolvePlaylistLocation, serializePlaylist } = require('./playlist-files.cjs');
+
+const AUDIO_EXT = new Set([
+  '.mp3', '.flac', '.wma', '.wav', '.m4a', '.aac', '.ogg',
+  '.opus', '.ape', '.aiff', '.aif', '.wv', '.dsf', '.dff', '.tta'
+]);
+// How Chromium's <audio> handles each extension: 'native', 'transcode', or 'probe' (depends on the codec inside).
+const PLAYBACK_CAPABILITY = {
+  '.mp3': 'native',
+  '.flac': 'native',
+  '.aac': 'native',
+  '.ogg': 'native',
+  '.opus': 'native',
+  '.wav': 'probe',
+  '.m4a': 'probe',
+  '.wma': 'transcode',
+  '.ape': 'transcode',
+  '.aiff': 'transcode',
+  '.aif': 'transcode',
+  '.wv': 'transcode',
+  '.dsf': 'transcode',
+  '.dff': 'transcode',
+  '.tta': 'transcode'
+};
+const DSD_EXT = new Set(['.dsf', '.dff']);
+const TRANSCODE_CACHE_MAX_BYTES = 4 * 1024 * 1024 * 1024;
+const COVER_CACHE_MAX_BYTES = 256 * 1024 * 1024;
+// Longest edge in pixels of the cover served to list rows, album grid tiles and the player panel.
+const COVER_SIZES = { list: 96, grid: 320, full: 1000 };
+// Folder images used when a track has no embedded picture, best match first.
+const FOLDER_COVER_PATTERNS = [
+  /^cover\.(jpe?g|png)$/i,
+  /^folder\.(jpe?g|png)$/i,
+  /^front\.(jpe?g|png)$/i,
+  /^albumart.*large.*\.jpe?g$/i,
+  /^albumart.*\.jpe?g$/i
+];
+const MISSING_COVER_KEEP = 5000;
+const AUDIO_PROTOCOL = 'ymusic';
+const SERVED_MIME_BY_EXT = {
+  '.mp3': 'audio/mpeg',
+  '.flac': 'audio/flac',
+  '.wav': 'audio/wav',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.wma': 'audio/x-ms-wma'
+};
 
-const AUDIO_EXT = new Set(['.mp3', '.flac', '.wma', '.wav', '.m4a', '.aac', '.ogg']);
+protocol.registerSchemesAsPrivileged([
+  {
+    scheme: AUDIO_PROTOCOL,
+    privileges: { standard: true, secure: true, supportFetchAPI: true, stream: true, corsEnabled: true }
+  }
+]);
 const LYRIC_EXT = new Set(['.lrc', '.txt']);
+const CUE_EXT = new Set(['.cue']);
+const CUE_MARKER_RE = /^\s*TRACK\s+\d+\s+AUDIO/im;
+const PLAYLIST_MARKER_RE = /^\s*(?:#EXT|File\d+=|<location>)/im;
+const LIBRARY_INDEX_VERSION = 2;
+const WATCH_DEBOUNCE_MS = 800;
+const SCAN_PROGRESS_INTERVAL_MS = 150;
 
 let mainWindow;
 let lyricWindow;
@@ -19,9 +93,23 @@ let lyricWindowOptions = {
   clickThrough: false
 };
 let mainLogFile = '';
-const coverDataUrlCache = new Map();
+let coverThumbCache = null;
+// thumbnail key -> pending read, so a grid asking twice for one cover decodes it once
+const coverJobs = new Map();
+// thumbnail keys known to have no cover; keys change with the files, so this never goes stale
+const missingCoverKeys = new Set();
 let lyricDownloadTarget = null;
 const hookedSessions = new WeakSet();
+const libraryWatchers = new Map();
+let pendingWatchPaths = new Set();
+let watchFlushTimer = null;
+let scanInProgress = false;
+let activeScanJob = null;
+let activeLoudnessJob = null;
+let ffmpegPathOverride = '';
+const transcodeJobs = new Map();
+// track id -> file actually served by the audio protocol (the source or its transcoded cache copy)
+const servedAudioFiles = new Map();
 
 function resolveAppIconPath() {
   const candidates = [
@@ -63,27 +151,93 @@ function initMainLogger() {
   }
 }
 
-function getTrackCoverCacheKey(filePath) {
-  return normalizeId(filePath || '');
+function getCoverThumbCache() {
+  if (!coverThumbCache) {
+    coverThumbCache = createCoverCache({
+      dir: path.join(app.getPath('userData'), 'cover-cache'),
+      maxBytes: COVER_CACHE_MAX_BYTES,
+      onLog: logMain
+    });
+  }
+  return coverThumbCache;
+}
+
+async function findFolderCover(dir) {
+  const names = await fs.readdir(dir).catch(() => []);
+  for (const re of FOLDER_COVER_PATTERNS) {
+    const name = names.find((n) => re.test(n));
+    if (name) return path.join(dir, name);
+  }
+  return null;
 }
 
-async function readTrackCoverDataUrl(filePath) {
+// The cache key covers everything the thumbnail depends on, so rewritten tags or a replaced
+// folder image simply miss and the old entry ages out of the cache.
+async function getTrackCoverKey(filePath, folderCover, size) {
+  const stat = await fs.stat(filePath).catch(() => null);
+  if (!stat) return null;
+  const coverStat = folderCover ? await fs.stat(folderCover).catch(() => null) : null;
+  const source = [
+    normalizeId(filePath), stat.size, stat.mtimeMs,
+    coverStat ? `${normalizeId(folderCover)}|${coverStat.size}|${coverStat.mtimeMs}` : '',
+    size
+  ].join('|');
+  return crypto.createHash('sha1').update(source).digest('hex');
+}
+
+async function readCoverSource(filePath, folderCover) {
+  const metadata = await mm.parseFile(filePath, { duration: false, skipCovers: false }).catch(() => null);
+  const pic = metadata?.common?.picture?.[0];
+  if (pic?.data?.length) return Buffer.from(pic.data);
+  return folderCover ? fs.readFile(folderCover).catch(() => null) : null;
+}
+
+function resizeCover(data, maxEdge) {
+  const image = nativeImage.createFromBuffer(data);
+  if (image.isEmpty()) return null;
+  const { width, height } = image.getSize();
+  const scale = Math.min(1, maxEdge / Math.max(width, height));
+  const sized = scale < 1
+    ? image.resize({ width: Math.round(width * scale), height: Math.round(height * scale), quality: 'good' })
+    : image;
+  return sized.toJPEG(85);
+}
+
+async function loadCoverThumb(filePath, folderCover, key, size) {
+  const cache = getCoverThumbCache();
+  const cached = await cache.get(key);
+  if (cached) return cached;
+  const source = await readCoverSource(filePath, folderCover);
+  const thumb = source && resizeCover(source, COVER_SIZES[size]);
+  if (!thumb?.length) return null;
+  await cache.put(key, thumb);
+  return thumb;
+}
+
+/**
+ * Cover for a track as a JPEG data URL no larger than COVER_SIZES[size]: the embedded picture,
+ * else a cover/folder/front/AlbumArt image next to the file. Null when neither exists.
+ */
+async function readTrackCoverDataUrl(filePath, size = 'full') {
   try {
     if (!filePath || !existsSync(filePath)) return null;
-    const cacheKey = getTrackCoverCacheKey(filePath);
-    if (coverDataUrlCache.has(cacheKey)) return coverDataUrlCache.get(cacheKey);
-    const metadata = await mm.parseFile(filePath, { skipCovers: false });
-    const pic = metadata?.common?.picture?.[0];
-    if (!pic?.data?.length) {
-      coverDataUrlCache.set(cacheKey, null);
+    if (!COVER_SIZES[size]) size = 'full';
+    const folderCover = await findFolderCover(path.dirname(filePath));
+    const key = await getTrackCoverKey(filePath, folderCover, size);
+    if (!key || missingCoverKeys.has(key)) return null;
+    if (!coverJobs.has(key)) {
+      const job = loadCoverThumb(filePath, folderCover, key, size).finally(() => coverJobs.delete(key));
+      coverJobs.set(key, job);
+    }
+    const thumb = await coverJobs.get(key);
+    if (!thumb) {
+      if (missingCoverKeys.size >= MISSING_COVER_KEEP) missingCoverKeys.clear();
+      missingCoverKeys.add(key);
       return null;
     }
-    const fmt = `${pic.format || ''}`.toLowerCase();
-    const mime = fmt.includes('png') ? 'image/png' : 'image/jpeg';
-    const dataUrl = `data:${mime};base64,${Buffer.from(pic.data).toString('base64')}`;
-    coverDataUrlCache.set(cacheKey, dataUrl);
-    return dataUrl;
-  } catch (_) {
+    return `data:image/jpeg;base64,${thumb.toString('base64')}`;
+  } catch (err) {
+    logMain('WARN', 'cover read failed', { path: filePath, error: err?.message || String(err) });
     return null;
   }
 }
@@ -165,18 +319,146 @@ function execFileAsync(cmd, args) {
   });
 }
 
-async function transcodeWmaToWavBuffer(filePath) {
-  const args = ['-v', 'error', '-i', filePath, '-f', 'wav', '-acodec', 'pcm_s16le', '-ac', '2', '-ar', '44100', 'pipe:1'];
+function resolveFfmpegBinary() {
+  if (ffmpegPathOverride && existsSync(ffmpegPathOverride)) return ffmpegPathOverride;
+  return 'ffmpeg';
+}
+
+async function probeFfmpeg() {
+  const bin = resolveFfmpegBinary();
+  try {
+    const { stdout } = await execFileAsync(bin, ['-hide_banner', '-version']);
+    const firstLine = stdout.toString('utf8').split(/\r?\n/)[0] || '';
+    return {
+      found: true,
+      path: bin,
+      custom: bin !== 'ffmpeg',
+      version: firstLine.match(/ffmpeg version (\S+)/)?.[1] || firstLine
+    };
+  } catch (_) {
+    return { found: false, path: bin, custom: bin !== 'ffmpeg', version: '' };
+  }
+}
+
+async function resolvePlaybackMode(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  const rule = PLAYBACK_CAPABILITY[ext] || 'native';
+  if (rule !== 'probe') return rule;
   try {
-    const { stdout } = await execFileAsync('ffmpeg', args);
-    return stdout;
+    const metadata = await mm.parseFile(filePath, { duration: false, skipCovers: true });
+    const codec = `${metadata?.format?.codec || ''}`.toUpperCase();
+    if (ext === '.m4a') return codec.includes('ALAC') ? 'transcode' : 'native';
+    if (ext === '.wav') return !codec || codec.includes('PCM') || codec.includes('FLOAT') ? 'native' : 'transcode';
   } catch (_) {
-    return null;
+    // unknown layout: let Chromium try first
   }
+  return 'native';
+}
+
+function transcodeCacheDir() {
+  return path.join(app.getPath('userData'), 'transcode-cache');
+}
+
+async function pruneTranscodeCache(keepPath) {
+  try {
+    const dir = transcodeCacheDir();
+    const names = await fs.readdir(dir);
+    const files = [];
+    for (const name of names) {
+      const fp = path.join(dir, name);
+      const stat = await fs.stat(fp).catch(() => null);
+      if (stat?.isFile()) files.push({ fp, size: stat.size, usedAt: stat.mtimeMs });
+    }
+    let total = files.reduce((sum, f) => sum + f.size, 0);
+    files.sort((a, b) => a.usedAt - b.usedAt);
+    for (const f of files) {
+      if (total <= TRANSCODE_CACHE_MAX_BYTES) break;
+      if (f.fp === keepPath) continue;
+      await fs.rm(f.fp, { force: true });
+      total -= f.size;
+    }
+  } catch (err) {
+    logMain('WARN', 'transcode cache prune failed', { error: err?.message || String(err) });
+  }
+}
+
+// Transcodes into a FLAC file cached by source path + size + mtime; returns the cached path or null.
+async function transcodeToCache(filePath) {
+  const stat = await fs.stat(filePath);
+  const key = crypto
+    .createHash('sha1')
+    .update(`${normalizeId(filePath)}|${stat.size}|${Math.floor(stat.mtimeMs)}`)
+    .digest('hex');
+  const target = path.join(transcodeCacheDir(), `${key}.flac`);
+  if (existsSync(target)) {
+    const now = new Date();
+    await fs.utimes(target, now, now).catch(() => {});
+    return target;
+  }
+  if (transcodeJobs.has(target)) return transcodeJobs.get(target);
+  const job = (async () => {
+    await fs.mkdir(transcodeCacheDir(), { recursive: true });
+    const tmp = `${target}.${process.pid}.tmp`;
+    const ext = path.extname(filePath).toLowerCase();
+    const args = ['-v', 'error', '-y', '-i', filePath, '-map', '0:a:0', '-vn', '-c:a', 'flac'];
+    // DSD decodes to very high rate float PCM; bring it down to something Chromium plays.
+    if (DSD_EXT.has(ext)) args.push('-ar', '88200', '-sample_fmt', 's32');
+    args.push('-f', 'flac', tmp);
+    try {
+      await execFileAsync(resolveFfmpegBinary(), args);
+      await fs.rename(tmp, target);
+      pruneTranscodeCache(target);
+      return target;
+    } catch (err) {
+      await fs.rm(tmp, { force: true }).catch(() => {});
+      logMain('WARN', 'transcode failed', { filePath, error: err?.stderr?.toString?.('utf8') || err?.message || String(err) });
+      return null;
+    } finally {
+      transcodeJobs.delete(target);
+    }
+  })();
+  transcodeJobs.set(target, job);
+  return job;
+}
+
+const DATA_SCHEMA_VERSION = 1;
+const DEFAULT_ORGANIZE_TEMPLATE = '{albumartist}/{year} - {album}/{disc}-{track} {title}';
+const ORGANIZE_LOG_KEEP = 10;
+
+// DATA_MIGRATIONS[n] upgrades a document from schemaVersion n to n + 1. Append new steps; never edit shipped ones.
+const DATA_MIGRATIONS = [
+  // 0 -> 1: track ids switched from normalized paths to opaque content-based ids.
+  (data) => ({
+    ...data,
+    tracks: (data.tracks || []).map((t) => (t?.id ? { ...t, id: migrateLegacyTrackId(t.id) } : t)),
+    playlists: (data.playlists || []).map((p) => ({ ...p, trackIds: (p.trackIds || []).map(migrateLegacyTrackId) })),
+    settings: {
+      ...(data.settings || {}),
+      lyricEncodingMap: Object.fromEntries(
+        Object.entries(data.settings?.lyricEncodingMap || {}).map(([id, enc]) => [migrateLegacyTrackId(id), enc])
+      )
+    }
+  })
+];
+
+function migrateData(raw) {
+  let data = raw;
+  let version = Number(raw.schemaVersion) || 0;
+  if (version > DATA_SCHEMA_VERSION) {
+    logMain('WARN', 'data file is from a newer version, loading without migration', { schemaVersion: version });
+    return data;
+  }
+  while (version < DATA_SCHEMA_VERSION) {
+    data = DATA_MIGRATIONS[version](data);
+    version += 1;
+    logMain('INFO', 'data migrated', { schemaVersion: version });
+  }
+  return { ...data, schemaVersion: version };
 }
 
 function ensureDataShape(raw) {
   const base = {
+    schemaVersion: DATA_SCHEMA_VERSION,
     scanFolders: [],
     tracks: [],
     playlists: [{ id: 'favorites', name: '我喜欢', fixed: true, trackIds: [] }],
@@ -190,15 +472,42 @@ function ensureDataShape(raw) {
       backgroundImagePath: '',
       backgroundBlur: 8,
       volume: 0.8,
-      lyricEncodingMap: {}
+      lyricEncodingMap: {},
+      lyricSourceMap: {},
+      tagEncodingMap: {},
+      folderTagEncodingMap: {},
+      pathPatterns: [],
+      organizeTemplate: DEFAULT_ORGANIZE_TEMPLATE,
+      trackColumns: ['title', 'artist', 'album', 'duration'],
+      ffmpegPath: '',
+      replayGainMode: 'off',
+      replayGainPreamp: 0,
+      replayGainPreventClipping: true,
+      replayGainMap: {},
+      gaplessPlayback: true,
+      crossfadeSec: 0,
+      pauseFadeSec: 0.2,
+      eqEnabled: false,
+      eqPreset: 'flat',
+      eqGains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+      eqPreamp: 0,
+      eqUserPresets: [],
+      eqAutoSelect: false,
+      eqTrackPresets: {},
+      eqGenrePresets: {},
+      balance: 0,
+      monoDownmix: false,
+      crossfeed: 'off'
     }
   };
+  if (raw != null && (typeof raw !== 'object' || Array.isArray(raw))) throw new Error('player data is not an object');
+  const migrated = raw ? migrateData(raw) : null;
   const merged = {
     ...base,
-    ...(raw || {}),
+    ...(migrated || {}),
     settings: {
       ...base.settings,
-      ...((raw && raw.settings) || {})
+      ...((migrated && migrated.settings) || {})
     }
   };
   if (!Array.isArray(merged.playlists) || !merged.playlists.find((p) => p.id === 'favorites')) {
@@ -209,7 +518,8 @@ function ensureDataShape(raw) {
     if (!t?.id) continue;
     if (!trackMap.has(t.id)) trackMap.set(t.id, t);
   }
-  merged.tracks = [...trackMap.values()];
+  // Tracks saved before the extended tag fields existed get neutral defaults until the next scan.
+  merged.tracks = [...trackMap.values()].map((t) => ({ ...EXTENDED_TAG_DEFAULTS, ...t }));
   const validTrackIds = new Set(merged.tracks.map((t) => t.id));
   merged.playlists = (merged.playlists || []).map((p) => ({
     ...p,
@@ -222,107 +532,232 @@ function userDataFile() {
   return path.join(app.getPath('userData'), 'player-data.json');
 }
 
+const LIBRARY_DB_BACKUP_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const LIBRARY_DB_BACKUP_KEEP = 10;
+let libraryDb = null;
+let libraryDbReady = null;
+
+function libraryDbFile() {
+  return path.join(app.getPath('userData'), 'library.db');
+}
+
+// Keeps a daily copy of the database next to the old JSON backups.
+async function backupLibraryDb(db) {
+  const dir = path.join(app.getPath('userData'), 'backups');
+  try {
+    await fs.mkdir(dir, { recursive: true });
+    const backups = (await fs.readdir(dir)).filter((n) => /^library-.*\.db$/.test(n)).sort().reverse();
+    const newest = backups[0] ? await fs.stat(path.join(dir, backups[0])).catch(() => null) : null;
+    if (newest && Date.now() - newest.mtimeMs < LIBRARY_DB_BACKUP_INTERVAL_MS) return;
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    await db.backup(path.join(dir, `library-${stamp}.db`));
+    for (const stale of backups.slice(LIBRARY_DB_BACKUP_KEEP - 1)) await fs.rm(path.join(dir, stale), { force: true });
+  } catch (err) {
+    logMain('WARN', 'library database backup failed', { error: err?.message || String(err) });
+  }
+}
+
+// Opens library.db once; the first run imports player-data.json (recovering from its backups if needed).
+function getLibraryDb() {
+  if (!libraryDbReady) {
+    libraryDbReady = (async () => {
+      const db = openLibraryDb({ file: libraryDbFile(), onLog: logMain });
+      if (db.readMeta('importedFrom', null) === null) {
+        const legacyFile = db.isEmpty() && existsSync(userDataFile()) ? userDataFile() : '';
+        if (legacyFile) {
+          const legacy = await createDataStore({
+            file: userDataFile(),
+            backupDir: path.join(app.getPath('userData'), 'backups'),
+            shape: ensureDataShape,
+            onLog: logMain
+          }).load();
+          db.replaceSnapshot({ ...legacy, schemaVersion: DATA_SCHEMA_VERSION });
+          logMain('INFO', 'library imported from player-data.json', { tracks: legacy.tracks.length, playlists: legacy.playlists.length });
+        }
+        // player-data.json is left in place untouched so an older build can still read it.
+        db.writeMeta('importedFrom', legacyFile);
+      }
+      // Rows written by this build are already current; without the version every load would migrate them again.
+      if (db.readMeta('schemaVersion', null) === null) db.writeMeta('schemaVersion', DATA_SCHEMA_VERSION);
+      libraryDb = db;
+      // ffmpeg jobs can start before the renderer has sent its settings (folder watch, a queued analysis).
+      ffmpegPathOverride = `${db.getSettings().ffmpegPath || ''}`;
+      backupLibraryDb(db);
+      return db;
+    })().catch((err) => {
+      logMain('ERROR', 'library database unavailable', { error: err?.message || String(err) });
+      libraryDbReady = null;
+      throw err;
+    });
+  }
+  return libraryDbReady;
+}
+
+// The whole library in the legacy shape; only the renderer's first load needs all of it.
 async function loadData() {
-  const fp = userDataFile();
-  if (!existsSync(fp)) {
-    return ensureDataShape(null);
+  return ensureDataShape((await getLibraryDb()).snapshot());
+}
+
+async function loadSettings() {
+  return { ...ensureDataShape(null).settings, ...(await getLibraryDb()).getSettings() };
+}
+
+// Tracks, scan folders and settings for the handlers that walk every track (scans, relinks,
+// organizing); playlists stay in the database.
+async function loadLibrary() {
+  const db = await getLibraryDb();
+  return {
+    scanFolders: db.readMeta('scanFolders', []),
+    tracks: db.listTracks().map((t) => ({ ...EXTENDED_TAG_DEFAULTS, ...t })),
+    settings: await loadSettings()
+  };
+}
+
+// Writes what a scan, watch or relink changed onto the current rows; likes, playlists and settings
+// edited while it ran are left as they are.
+async function saveTrackChanges(changes) {
+  (await getLibraryDb()).applyTrackChanges(changes);
+  forgetServedAudio([...(changes.upsert || []).map((t) => t.id), ...(changes.remove || [])]);
+}
+
+// The tracks a full scan added, changed or dropped compared to the library it started from.
+function diffTracks(before, after) {
+  // Loaded tracks list their fields in another order than freshly scanned ones.
+  const signature = (t) => JSON.stringify(Object.keys(t).sort().map((key) => [key, t[key]]));
+  const previous = new Map(before.map((t) => [t.id, signature(t)]));
+  const present = new Set(after.map((t) => t.id));
+  return {
+    upsert: after.filter((t) => previous.get(t.id) !== signature(t)),
+    remove: before.filter((t) => !present.has(t.id)).map((t) => t.id)
+  };
+}
+
+function libraryIndexFile() {
+  return path.join(app.getPath('userData'), 'library-index.json');
+}
+
+// On-disk cache of parsed tag metadata keyed by normalized file path, validated by file size + mtime.
+async function loadLibraryIndex() {
+  const fp = libraryIndexFile();
+  const empty = { version: LIBRARY_INDEX_VERSION, entries: {} };
+  if (!existsSync(fp)) return empty;
+  try {
+    const raw = JSON.parse(await fs.readFile(fp, 'utf8'));
+    if (raw?.version !== LIBRARY_INDEX_VERSION || !raw.entries || typeof raw.entries !== 'object') return empty;
+    return raw;
+  } catch (err) {
+    logMain('WARN', 'library index unreadable, rebuilding', { error: err?.message || String(err) });
+    return empty;
   }
-  const raw = await fs.readFile(fp, 'utf8');
-  return ensureDataShape(JSON.parse(raw));
 }
 
-async function saveData(data) {
-  await fs.writeFile(userDataFile(), JSON.stringify(data, null, 2), 'utf8');
+async function saveLibraryIndex(index) {
+  try {
+    await writeFileAtomic(libraryIndexFile(), JSON.stringify(index));
+  } catch (err) {
+    logMain('WARN', 'library index save failed', { error: err?.message || String(err) });
+  }
 }
 
-async function walk(dir, result = []) {
+function toIndexEntry(track, stat) {
+  const { lyricPath, liked, ...meta } = track;
+  return { size: stat.size, mtimeMs: Math.floor(stat.mtimeMs), track: meta };
+}
+
+function isIndexEntryFresh(entry, stat) {
+  return !!entry && entry.size === stat.size && entry.mtimeMs === Math.floor(stat.mtimeMs);
+}
+
+async function walk(dir, result = [], job = null) {
+  if (job?.canceled) return result;
   const entries = await fs.readdir(dir, { withFileTypes: true });
   for (const entry of entries) {
+    if (job?.canceled) return result;
     const full = path.join(dir, entry.name);
     if (entry.isDirectory()) {
-      await walk(full, result);
+      await walk(full, result, job);
     } else {
       result.push(full);
     }
   }
+  if (job) {
+    job.discovered = result.length;
+    job.currentPath = dir;
+    job.report();
+  }
   return result;
 }
 
-function normalizeId(fp) {
-  return fp.replaceAll('\\\\', '/').toLowerCase();
+function createScanJob(webContents) {
+  const job = {
+    canceled: false,
+    phase: 'discover',
+    discovered: 0,
+    parsed: 0,
+    total: 0,
+    currentPath: '',
+    errors: [],
+    error: '',
+    lastSentAt: 0,
+    pool: null
+  };
+  job.cancel = () => {
+    job.canceled = true;
+    if (job.pool) job.pool.destroy();
+  };
+  job.fail = (filePath, err) => {
+    job.errors.push({ path: filePath, message: err?.message || String(err) });
+  };
+  job.report = (force = false) => {
+    const now = Date.now();
+    if (!force && now - job.lastSentAt < SCAN_PROGRESS_INTERVAL_MS) return;
+    job.lastSentAt = now;
+    if (!webContents || webContents.isDestroyed()) return;
+    webContents.send('scan:progress', {
+      phase: job.phase,
+      discovered: job.discovered,
+      parsed: job.parsed,
+      total: job.total,
+      currentPath: job.currentPath,
+      errorCount: job.errors.length,
+      errors: job.errors.slice(-20),
+      error: job.error
+    });
+  };
+  return job;
 }
 
-function decodeUtf16be(buf) {
-  if (buf.length < 2) return '';
-  const evenLen = buf.length - (buf.length % 2);
-  const swapped = Buffer.allocUnsafe(evenLen);
-  for (let i = 0; i < evenLen; i += 2) {
-    swapped[i] = buf[i + 1];
-    swapped[i + 1] = buf[i];
-  }
-  return new TextDecoder('utf-16le').decode(swapped);
+// Only collapses a doubled backslash; single Windows separators are kept, because stored track ids
+// and index keys were built that way. Compare folders with isPathInside, not string prefixes.
+function forwardSlashes(fp) {
+  return fp.replaceAll('\\\\', '/');
 }
 
-function scoreDecodedText(txt) {
-  if (!txt) return -1e9;
-  const bad = (txt.match(/\uFFFD/g) || []).length;
-  const nul = (txt.match(/\u0000/g) || []).length;
-  const hasLrcTag = /\[\d{1,2}:\d{1,2}(?:\.\d+)?\]/.test(txt);
-  const cjk = (txt.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g) || []).length;
-  return (hasLrcTag ? 1000 : 0) + cjk * 0.1 - bad * 40 - nul * 3;
+function normalizeId(fp) {
+  return forwardSlashes(fp).toLowerCase();
 }
 
-function decodeTextSmart(buf) {
-  if (!buf || !buf.length) return '';
-
-  if (buf.length >= 3 && buf[0] === 0xef && buf[1] === 0xbb && buf[2] === 0xbf) {
-    return new TextDecoder('utf-8').decode(buf.subarray(3));
-  }
-  if (buf.length >= 2 && buf[0] === 0xff && buf[1] === 0xfe) {
-    return new TextDecoder('utf-16le').decode(buf.subarray(2));
-  }
-  if (buf.length >= 2 && buf[0] === 0xfe && buf[1] === 0xff) {
-    return decodeUtf16be(buf.subarray(2));
-  }
+function isPathInside(folder, filePath) {
+  const rel = path.relative(folder, filePath);
+  return !!rel && !rel.startsWith('..') && !path.isAbsolute(rel);
+}
 
-  const encodings = ['utf-8', 'gb18030', 'gbk', 'big5', 'shift_jis', 'euc-kr', 'utf-16le'];
-  let best = '';
-  let bestScore = -1e9;
-  let bestTagged = '';
-  let bestTaggedScore = -1e9;
-  for (const enc of encodings) {
-    try {
-      const txt = new TextDecoder(enc).decode(buf);
-      const score = scoreDecodedText(txt);
-      const tagged = /\[\d{1,2}:\d{1,2}(?:\.\d+)?\]/.test(txt);
-      if (tagged && score > bestTaggedScore) {
-        bestTaggedScore = score;
-        bestTagged = txt;
-      }
-      if (score > bestScore) {
-        bestScore = score;
-        best = txt;
-      }
-    } catch (_) {
-      // ignore unsupported encoding in runtime
-    }
+// Charset for a track's tags: its own override, else the nearest folder override, else auto-detect.
+function tagEncodingFor(track, settings) {
+  const own = settings?.tagEncodingMap?.[baseTrackId(track.id)];
+  if (own) return own;
+  const folders = settings?.folderTagEncodingMap || {};
+  for (let dir = path.dirname(track.path); ; dir = path.dirname(dir)) {
+    const forced = folders[normalizeId(dir)];
+    if (forced) return forced;
+    if (path.dirname(dir) === dir) return 'auto';
   }
-  return bestTagged || best || new TextDecoder('utf-8').decode(buf);
 }
 
-function decodeTextWithEncoding(buf, encoding) {
-  if (!buf || !buf.length) return '';
-  const enc = `${encoding || ''}`.toLowerCase();
-  if (!enc || enc === 'auto') return decodeTextSmart(buf);
-  if (enc === 'utf-16be') {
-    if (buf.length >= 2 && buf[0] === 0xfe && buf[1] === 0xff) return decodeUtf16be(buf.subarray(2));
-    return decodeUtf16be(buf);
-  }
-  if (enc === 'utf-16le') {
-    if (buf.length >= 2 && buf[0] === 0xff && buf[1] === 0xfe) return new TextDecoder('utf-16le').decode(buf.subarray(2));
-    return new TextDecoder('utf-16le').decode(buf);
-  }
-  return new TextDecoder(enc).decode(buf);
+// Display tags derived from what the file stores: charset repair first, then path-pattern guesses for untagged fields.
+function applyTagFixups(track, settings) {
+  applyTagEncoding(track, tagEncodingFor(track, settings));
+  return applyPathPatterns(track, settings?.pathPatterns);
 }
 
 function shiftLrcTimestamps(raw, shiftSec) {
@@ -384,23 +819,98 @@ function findLyricsForAudio(audioFile, lyricFiles) {
   return byContain || null;
 }
 
-async function parseTrack(file, lyricFiles) {
-  let metadata = null;
+function resolveCueAudioPath(dir, name) {
+  const direct = path.join(dir, name);
+  if (AUDIO_EXT.has(path.extname(direct).toLowerCase()) && existsSync(direct)) return direct;
+  // Rips are often re-encoded (CDImage.wav -> CDImage.flac) after the cue was written.
+  const stem = path.parse(name).name;
+  for (const ext of AUDIO_EXT) {
+    const candidate = path.join(dir, `${stem}${ext}`);
+    if (existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+async function readCueSheet(cuePath) {
   try {
-    metadata = await mm.parseFile(file);
+    const sheet = parseCueSheet(decodeTextSmart(await fs.readFile(cuePath), CUE_MARKER_RE));
+    const dir = path.dirname(cuePath);
+    sheet.path = cuePath;
+    sheet.files = sheet.files
+      .map((f) => ({ ...f, audioPath: resolveCueAudioPath(dir, f.name) }))
+      .filter((f) => f.audioPath);
+    return sheet;
+  } catch (err) {
+    logMain('WARN', 'cue sheet unreadable', { cuePath, error: err?.message || String(err) });
+    return null;
+  }
+}
+
+async function loadCueSheetsForDir(dir) {
+  let entries = [];
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
   } catch (_) {
-    metadata = null;
+    return [];
   }
+  const sheets = [];
+  for (const e of entries) {
+    if (!e.isFile() || !CUE_EXT.has(path.extname(e.name).toLowerCase())) continue;
+    const sheet = await readCueSheet(path.join(dir, e.name));
+    if (sheet) sheets.push(sheet);
+  }
+  return sheets;
+}
+
+// Replaces whole-file tracks referenced by a cue sheet with one virtual track per cue TRACK.
+function expandCueTracks(tracks, sheets) {
+  const byAudio = new Map();
+  for (const sheet of sheets) {
+    for (const file of sheet.files) byAudio.set(normalizeId(file.audioPath), { sheet, file });
+  }
+  if (!byAudio.size) return tracks;
+  return tracks.flatMap((base) => {
+    const hit = byAudio.get(normalizeId(base.path));
+    if (!hit) return [base];
+    const { sheet, file } = hit;
+    return file.tracks.map((ct, i) => {
+      const next = file.tracks[i + 1];
+      const end = next ? next.start : null;
+      const span = (end ?? base.duration) - ct.start;
+      return {
+        ...base,
+        id: `${base.id}#${ct.number}`,
+        title: ct.title || `${base.title} (${ct.number})`,
+        artist: ct.performer || sheet.performer || base.artist,
+        album: sheet.title || base.album,
+        albumArtist: sheet.performer || base.albumArtist,
+        trackNo: ct.number || i + 1,
+        trackTotal: file.tracks.length,
+        discNo: sheet.discNo || base.discNo,
+        year: sheet.year || base.year,
+        genre: sheet.genre || base.genre,
+        duration: Math.max(0, Math.round(span)),
+        // ReplayGain tags on a disc image describe the whole disc, so they count as album gain.
+        trackGain: ct.trackGain,
+        trackPeak: ct.trackPeak,
+        albumGain: sheet.albumGain ?? base.albumGain ?? base.trackGain,
+        albumPeak: sheet.albumPeak ?? base.albumPeak ?? base.trackPeak,
+        cueStart: ct.start,
+        cueEnd: end,
+        cuePath: sheet.path,
+        lyricPath: null,
+        liked: false
+      };
+    });
+  });
+}
 
-  const common = metadata?.common || {};
-  const format = metadata?.format || {};
+// `id` stays null until an identity resolver assigns one (see track-identity.cjs).
+function buildTrack(file, tags, lyricFiles) {
   return {
-    id: normalizeId(file),
+    id: null,
     path: file,
-    title: common.title || path.parse(file).name,
-    artist: common.artist || 'Unknown Artist',
-    album: common.album || 'Unknown Album',
-    duration: Number.isFinite(format.duration) ? Math.round(format.duration) : 0,
+    ...tags,
     folder: path.dirname(file),
     ext: path.extname(file).toLowerCase(),
     lyricPath: findLyricsForAudio(file, lyricFiles),
@@ -408,52 +918,434 @@ async function parseTrack(file, lyricFiles) {
   };
 }
 
-async function scanFolders(folders, prevData) {
+async function parseTrack(file, lyricFiles, onError) {
+  const { tags, error } = await readTrackTags(file);
+  if (error && onError) onError(file, new Error(error));
+  return buildTrack(file, tags, lyricFiles);
+}
+
+// Returns null when the job is canceled; callers must then leave persisted data alone.
+async function scanFolders(folders, prevData, job = null) {
   const allFiles = [];
   for (const folder of folders) {
     if (existsSync(folder)) {
-      const files = await walk(folder);
-      allFiles.push(...files);
+      try {
+        const files = await walk(folder, [], job);
+        allFiles.push(...files);
+      } catch (err) {
+        if (!job) throw err;
+        job.fail(folder, err);
+      }
+      if (job) job.discovered = allFiles.length;
     }
   }
+  if (job?.canceled) return null;
 
-  const normalized = allFiles.map((f) => f.replaceAll('\\\\', '/'));
+  const normalized = allFiles.map(forwardSlashes);
   const lyricFiles = normalized.filter((f) => LYRIC_EXT.has(path.extname(f).toLowerCase()));
   const audioFiles = normalized.filter((f) => AUDIO_EXT.has(path.extname(f).toLowerCase()));
+  const cueFiles = normalized.filter((f) => CUE_EXT.has(path.extname(f).toLowerCase()));
+
+  const lyricFilesByDir = new Map();
+  for (const lf of lyricFiles) {
+    const dirKey = normalizeId(path.dirname(lf));
+    const arr = lyricFilesByDir.get(dirKey) || [];
+    arr.push(lf);
+    lyricFilesByDir.set(dirKey, arr);
+  }
 
   const prevLiked = new Set((prevData.tracks || []).filter((t) => t.liked).map((t) => t.id));
-  const uniqAudioById = new Map();
+  const uniqAudioByKey = new Map();
   for (const af of audioFiles) {
-    const id = normalizeId(af);
-    if (!uniqAudioById.has(id)) uniqAudioById.set(id, af);
+    const key = normalizeId(af);
+    if (!uniqAudioByKey.has(key)) uniqAudioByKey.set(key, af);
   }
 
-  const tracks = [];
-  for (const af of uniqAudioById.values()) {
-    const track = await parseTrack(af, lyricFiles);
-    track.liked = prevLiked.has(track.id);
-    tracks.push(track);
+  const prevIndex = await loadLibraryIndex();
+  const nextIndex = { version: LIBRARY_INDEX_VERSION, entries: {} };
+  const slots = new Array(uniqAudioByKey.size).fill(null);
+  let reused = 0;
+  if (job) {
+    job.phase = 'parse';
+    job.total = uniqAudioByKey.size;
+    job.report(true);
   }
-
-  const favorites = prevData.playlists.find((p) => p.id === 'favorites') || {
-    id: 'favorites',
-    name: '我喜欢',
-    fixed: true,
-    trackIds: []
+  const stats = new Array(uniqAudioByKey.size).fill(null);
+  const finish = (slot, track, stat) => {
+    slots[slot] = track;
+    stats[slot] = stat;
+    if (job) {
+      job.parsed += 1;
+      job.currentPath = track.path;
+      job.report();
+    }
   };
-  favorites.trackIds = tracks.filter((t) => t.liked).map((t) => t.id);
 
-  const otherPlaylists = prevData.playlists.filter((p) => p.id !== 'favorites').map((p) => ({
-    ...p,
-    trackIds: p.trackIds.filter((id) => tracks.some((t) => t.id === id))
-  }));
+  const pool = createParsePool({ onLog: logMain });
+  if (job) job.pool = pool;
+  try {
+    const parsing = [];
+    let slot = -1;
+    for (const [key, af] of uniqAudioByKey.entries()) {
+      slot += 1;
+      if (job?.canceled) break;
+      const siblingLyrics = lyricFilesByDir.get(normalizeId(path.dirname(af))) || [];
+      let stat = null;
+      try {
+        stat = await fs.stat(af);
+      } catch (err) {
+        if (job) {
+          job.fail(af, err);
+          job.parsed += 1;
+        }
+        continue;
+      }
+      const cached = prevIndex.entries[key];
+      if (isIndexEntryFresh(cached, stat)) {
+        const track = { ...cached.track, path: af, lyricPath: findLyricsForAudio(af, siblingLyrics), liked: false };
+        // Index entries written before content hashes existed only need the hash, not a full parse.
+        if (track.contentHash === undefined) track.contentHash = await readContentHash(af);
+        finish(slot, track, stat);
+        reused += 1;
+        continue;
+      }
+      const at = slot;
+      parsing.push(pool.parse(af).then(({ tags, error }) => {
+        if (error && job) job.fail(af, new Error(error));
+        finish(at, buildTrack(af, tags, siblingLyrics), stat);
+      }, (err) => {
+        // A lost worker reply costs this file its tags, not the whole scan. Without a stat it is
+        // left out of the index, so the next scan parses it again.
+        if (job) job.fail(af, err);
+        finish(at, buildTrack(af, tagsFromMetadata(af, null), siblingLyrics), null);
+      }));
+    }
+    const settled = await Promise.allSettled(parsing);
+    if (job?.canceled) return null;
+    const failed = settled.find((r) => r.status === 'rejected');
+    if (failed) throw failed.reason;
+  } finally {
+    pool.destroy();
+  }
+  const identities = createIdentityResolver(prevData.tracks, {
+    keyOf: normalizeId,
+    isGone: (fp) => !uniqAudioByKey.has(normalizeId(fp))
+  });
+  slots.forEach((track, slot) => {
+    if (!track) return;
+    track.id = identities.resolve(track.path, track);
+    applyTagFixups(track, prevData.settings);
+    if (stats[slot]) nextIndex.entries[normalizeId(track.path)] = toIndexEntry(track, stats[slot]);
+  });
+  const cueSheets = [];
+  for (const cf of cueFiles) {
+    if (job?.canceled) return null;
+    const sheet = await readCueSheet(cf);
+    if (sheet) cueSheets.push(sheet);
+  }
+  const tracks = expandCueTracks(slots.filter(Boolean), cueSheets);
+  for (const t of tracks) t.liked = prevLiked.has(t.id);
+  // Files that vanished from a folder that is still scanned (unplugged drive, renamed folder) stay
+  // as missing tracks so likes and playlist entries survive until they are relinked or cleaned up.
+  const present = new Set(tracks.map((t) => t.id));
+  const missing = (prevData.tracks || []).filter((t) => !present.has(t.id)
+    && !uniqAudioByKey.has(normalizeId(t.path))
+    && folders.some((folder) => isPathInside(folder, t.path)));
+  for (const t of missing) tracks.push({ ...t, missing: true });
+  await saveLibraryIndex(nextIndex);
+  logMain('INFO', 'scan finished', {
+    total: tracks.length,
+    reused,
+    parsed: tracks.length - missing.length - reused,
+    relinked: identities.relinked.length,
+    missing: missing.length
+  });
+  for (const moved of identities.relinked) logMain('INFO', 'track relinked', moved);
 
-  return {
-    ...prevData,
-    scanFolders: folders,
-    tracks,
-    playlists: [favorites, ...otherPlaylists]
+  return { scanFolders: folders, tracks };
+}
+
+async function listSiblingLyrics(dir) {
+  try {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    return entries
+      .filter((e) => e.isFile() && LYRIC_EXT.has(path.extname(e.name).toLowerCase()))
+      .map((e) => forwardSlashes(path.join(dir, e.name)));
+  } catch (_) {
+    return [];
+  }
+}
+
+function scheduleWatchFlush() {
+  if (watchFlushTimer) clearTimeout(watchFlushTimer);
+  watchFlushTimer = setTimeout(() => {
+    flushWatchedChanges().catch((err) => {
+      logMain('ERROR', 'watch flush failed', { error: err?.message || String(err) });
+    });
+  }, WATCH_DEBOUNCE_MS);
+}
+
+function queueWatchedPath(fullPath) {
+  pendingWatchPaths.add(forwardSlashes(fullPath));
+  scheduleWatchFlush();
+}
+
+function syncLibraryWatchers(folders) {
+  const wanted = new Set((folders || []).filter((f) => f && existsSync(f)));
+  for (const [folder, watcher] of libraryWatchers.entries()) {
+    if (wanted.has(folder)) continue;
+    watcher.close();
+    libraryWatchers.delete(folder);
+  }
+  for (const folder of wanted) {
+    if (libraryWatchers.has(folder)) continue;
+    try {
+      const watcher = watch(folder, { recursive: true }, (_, filename) => {
+        if (!filename) return;
+        queueWatchedPath(path.join(folder, `${filename}`));
+      });
+      watcher.on('error', (err) => {
+        logMain('WARN', 'folder watcher error', { folder, error: err?.message || String(err) });
+        watcher.close();
+        libraryWatchers.delete(folder);
+      });
+      libraryWatchers.set(folder, watcher);
+    } catch (err) {
+      logMain('WARN', 'folder watch failed', { folder, error: err?.message || String(err) });
+    }
+  }
+}
+
+function closeLibraryWatchers() {
+  for (const watcher of libraryWatchers.values()) watcher.close();
+  libraryWatchers.clear();
+  if (watchFlushTimer) clearTimeout(watchFlushTimer);
+  watchFlushTimer = null;
+}
+
+async function flushWatchedChanges() {
+  watchFlushTimer = null;
+  if (scanInProgress) {
+    scheduleWatchFlush();
+    return;
+  }
+  const changed = [...pendingWatchPaths];
+  pendingWatchPaths = new Set();
+  if (!changed.length) return;
+
+  const audioPaths = new Set();
+  const lyricDirs = new Set();
+  const cueDirs = new Set();
+  const removedDirs = [];
+  for (const fp of changed) {
+    const ext = path.extname(fp).toLowerCase();
+    if (CUE_EXT.has(ext)) {
+      const dir = path.dirname(fp);
+      cueDirs.add(normalizeId(dir));
+      const siblings = await fs.readdir(dir).catch(() => []);
+      for (const name of siblings) {
+        if (AUDIO_EXT.has(path.extname(name).toLowerCase())) audioPaths.add(forwardSlashes(path.join(dir, name)));
+      }
+      continue;
+    }
+    if (AUDIO_EXT.has(ext)) {
+      audioPaths.add(fp);
+      lyricDirs.add(path.dirname(fp));
+      continue;
+    }
+    if (LYRIC_EXT.has(ext)) {
+      lyricDirs.add(path.dirname(fp));
+      continue;
+    }
+    // A directory appeared or vanished (moved/renamed folder): expand or drop everything below it.
+    let stat = null;
+    try {
+      stat = await fs.stat(fp);
+    } catch (_) {
+      stat = null;
+    }
+    if (!stat) {
+      removedDirs.push(fp);
+    } else if (stat.isDirectory()) {
+      const files = await walk(fp).catch(() => []);
+      for (const f of files.map(forwardSlashes)) {
+        if (AUDIO_EXT.has(path.extname(f).toLowerCase())) {
+          audioPaths.add(f);
+          lyricDirs.add(path.dirname(f));
+        }
+      }
+    }
+  }
+
+  const data = await loadLibrary();
+  const index = await loadLibraryIndex();
+  const known = new Map(data.tracks.map((t) => [t.id, t]));
+  const knownByFile = new Map();
+  for (const t of data.tracks) {
+    const fileId = normalizeId(t.path);
+    knownByFile.set(fileId, [...(knownByFile.get(fileId) || []), t]);
+  }
+  const cueSheetsByDir = new Map();
+  const cueSheetsFor = async (dir) => {
+    const key = normalizeId(dir);
+    if (!cueSheetsByDir.has(key)) cueSheetsByDir.set(key, await loadCueSheetsForDir(dir));
+    return cueSheetsByDir.get(key);
   };
+  const upserted = new Map();
+  const removedIds = new Set();
+  const missingIds = new Set();
+  const identities = createIdentityResolver(data.tracks, { keyOf: normalizeId, isGone: (fp) => !existsSync(fp) });
+
+  for (const t of known.values()) {
+    if (removedDirs.some((dir) => isPathInside(dir, t.path))) missingIds.add(t.id);
+  }
+
+  for (const fp of audioPaths) {
+    const fileId = normalizeId(fp);
+    const previous = knownByFile.get(fileId) || [];
+    let stat = null;
+    try {
+      stat = await fs.stat(fp);
+    } catch (_) {
+      stat = null;
+    }
+    if (!stat?.isFile()) {
+      for (const t of previous) missingIds.add(t.id);
+      delete index.entries[fileId];
+      continue;
+    }
+    for (const t of previous) missingIds.delete(t.id);
+    const fresh = isIndexEntryFresh(index.entries[fileId], stat);
+    const cueChanged = cueDirs.has(normalizeId(path.dirname(fp)));
+    if (previous.length && fresh && !cueChanged) continue;
+    const lyrics = await listSiblingLyrics(path.dirname(fp));
+    const base = fresh
+      ? { ...index.entries[fileId].track, path: fp, lyricPath: findLyricsForAudio(fp, lyrics), liked: false }
+      : await parseTrack(fp, lyrics);
+    if (base.contentHash === undefined) base.contentHash = await readContentHash(fp);
+    base.id = identities.resolve(fp, base);
+    applyTagFixups(base, data.settings);
+    index.entries[fileId] = toIndexEntry(base, stat);
+    const expanded = expandCueTracks([base], await cueSheetsFor(path.dirname(fp)));
+    for (const t of expanded) {
+      // Relinked files carry the liked flag of the track they replace, wherever it lived.
+      t.liked = !!known.get(t.id)?.liked;
+      upserted.set(t.id, t);
+    }
+    const keep = new Set(expanded.map((t) => t.id));
+    for (const t of previous) {
+      if (!keep.has(t.id)) removedIds.add(t.id);
+    }
+  }
+
+  for (const dir of lyricDirs) {
+    const dirKey = normalizeId(dir);
+    const lyrics = await listSiblingLyrics(dir);
+    for (const t of [...known.values(), ...upserted.values()]) {
+      if (removedIds.has(t.id) || t.cueStart != null || normalizeId(t.folder) !== dirKey) continue;
+      const current = upserted.get(t.id) || t;
+      const lyricPath = findLyricsForAudio(current.path, lyrics);
+      if (lyricPath !== current.lyricPath) upserted.set(t.id, { ...current, lyricPath });
+    }
+  }
+
+  // A moved file keeps its id: it is an update of the old entry, not a removal.
+  for (const id of upserted.keys()) {
+    removedIds.delete(id);
+    missingIds.delete(id);
+  }
+  const newlyMissing = [...missingIds].filter((id) => known.has(id) && !known.get(id).missing && !removedIds.has(id));
+  if (!upserted.size && !removedIds.size && !newlyMissing.length) return;
+
+  const livePaths = new Set([
+    ...data.tracks.filter((t) => !removedIds.has(t.id)).map((t) => normalizeId(t.path)),
+    ...[...upserted.values()].map((t) => normalizeId(t.path))
+  ]);
+  for (const id of removedIds) {
+    const fileId = normalizeId(known.get(id)?.path || '');
+    if (fileId && !livePaths.has(fileId)) delete index.entries[fileId];
+  }
+
+  await saveLibraryIndex(index);
+  await saveTrackChanges({ upsert: [...upserted.values()], remove: [...removedIds], missing: newlyMissing });
+  for (const id of newlyMissing) upserted.set(id, { ...known.get(id), missing: true });
+  logMain('INFO', 'library updated from folder watch', { upserted: upserted.size, removed: removedIds.size, missing: missingIds.size });
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('library:changed', {
+      upserted: [...upserted.values()],
+      removedIds: [...removedIds]
+    });
+  }
+}
+
+// Points the tracks recorded for `fromPath` at `toPath`, keeping their ids (and with them likes,
+// playlist entries and per-track settings). Library tracks already at `toPath` are folded in.
+async function relinkTrackFile(data, index, fromPath, toPath) {
+  const fromId = normalizeId(fromPath);
+  const toId = normalizeId(toPath);
+  const previous = data.tracks.filter((t) => normalizeId(t.path) === fromId);
+  if (!previous.length) return null;
+  const stat = await fs.stat(toPath).catch(() => null);
+  if (!stat?.isFile() || !AUDIO_EXT.has(path.extname(toPath).toLowerCase())) return null;
+  const dir = path.dirname(toPath);
+  const fresh = isIndexEntryFresh(index.entries[toId], stat);
+  const lyrics = await listSiblingLyrics(dir);
+  const base = fresh
+    ? { ...index.entries[toId].track, path: toPath, lyricPath: findLyricsForAudio(toPath, lyrics), liked: false }
+    : await parseTrack(toPath, lyrics);
+  if (base.contentHash === undefined) base.contentHash = await readContentHash(toPath);
+  const id = baseTrackId(previous[0].id);
+  base.id = id;
+  applyTagFixups(base, data.settings);
+  index.entries[toId] = toIndexEntry(base, stat);
+  const expanded = expandCueTracks([base], await loadCueSheetsForDir(dir));
+  const liked = new Set(previous.filter((t) => t.liked).map((t) => t.id));
+  for (const t of expanded) t.liked = liked.has(t.id);
+  const keep = new Set(expanded.map((t) => t.id));
+  const replaced = new Map();
+  for (const t of data.tracks) {
+    if (baseTrackId(t.id) === id) continue;
+    if (normalizeId(t.path) === toId) replaced.set(t.id, `${id}${t.id.slice(baseTrackId(t.id).length)}`);
+  }
+  const removedIds = [
+    ...previous.filter((t) => !keep.has(t.id)).map((t) => t.id),
+    ...replaced.keys()
+  ];
+  return { upserted: expanded, removedIds, replaced };
+}
+
+function applyRelinks(data, results) {
+  const upserted = new Map();
+  const removed = new Set();
+  const replaced = new Map();
+  for (const r of results) {
+    for (const t of r.upserted) upserted.set(t.id, t);
+    for (const id of r.removedIds) removed.add(id);
+    for (const [from, to] of r.replaced) replaced.set(from, to);
+  }
+  for (const id of upserted.keys()) removed.delete(id);
+  const known = new Set(data.tracks.map((t) => t.id));
+  data.tracks = [
+    ...data.tracks.filter((t) => !removed.has(t.id)).map((t) => upserted.get(t.id) || t),
+    ...[...upserted.values()].filter((t) => !known.has(t.id))
+  ];
+  return { upserted: [...upserted.values()], removedIds: [...removed], renamed: [...replaced] };
+}
+
+async function saveRelinks(change) {
+  await saveTrackChanges({ upsert: change.upserted, remove: change.removedIds, renamed: change.renamed });
+}
+
+// Strips the trailing path segments two folders share: E:/Music/A/B vs F:/Backup/Music/A/B -> E:/ vs F:/Backup/.
+function relinkRoots(fromFolder, toFolder) {
+  const from = path.resolve(fromFolder).split(/[\\/]+/);
+  const to = path.resolve(toFolder).split(/[\\/]+/);
+  while (from.length > 1 && to.length > 1 && from[from.length - 1].toLowerCase() === to[to.length - 1].toLowerCase()) {
+    from.pop();
+    to.pop();
+  }
+  const join = (parts) => (parts.length === 1 ? `${parts[0]}${path.sep}` : parts.join(path.sep));
+  return { fromRoot: join(from), toRoot: join(to) };
 }
 
 function createWindow() {
@@ -471,7 +1363,9 @@ function createWindow() {
     webPreferences: {
       preload: path.join(__dirname, 'preload.cjs'),
       contextIsolation: true,
-      nodeIntegration: false
+      nodeIntegration: false,
+      // Playback hands tracks over on renderer timers, which would be throttled while the window is hidden.
+      backgroundThrottling: false
     }
   });
   attachMainWindowDebugHooks(mainWindow);
@@ -633,10 +1527,7 @@ function createTray() {
 
 async function persistCloseBehavior(nextBehavior) {
   try {
-    const data = await loadData();
-    data.settings = data.settings || {};
-    data.settings.closeBehavior = nextBehavior;
-    await saveData(data);
+    (await getLibraryDb()).updateSettings({ closeBehavior: nextBehavior });
     if (mainWindow && !mainWindow.isDestroyed()) {
       mainWindow.webContents.send('settings:closeBehavior', nextBehavior);
     }
@@ -646,8 +1537,7 @@ async function persistCloseBehavior(nextBehavior) {
 }
 
 async function resolveCloseBehavior() {
-  const data = await loadData();
-  const current = data.settings?.closeBehavior || 'ask';
+  const current = (await getLibraryDb()).getSettings().closeBehavior || 'ask';
   if (current !== 'ask') return current;
 
   const result = await dialog.showMessageBox(mainWindow, {
@@ -694,14 +1584,88 @@ async function handleMainCloseRequest() {
   }
 }
 
+// Called whenever tracks are removed or point at another file, so the protocol re-resolves them.
+function forgetServedAudio(trackIds) {
+  for (const id of trackIds) servedAudioFiles.delete(id);
+}
+
+async function resolveServedAudioFile(trackId) {
+  if (servedAudioFiles.has(trackId)) return servedAudioFiles.get(trackId);
+  const track = (await getLibraryDb()).getTrack(trackId);
+  if (!track?.path) return null;
+  const mode = await resolvePlaybackMode(track.path);
+  const served = (mode === 'transcode' && (await transcodeToCache(track.path))) || track.path;
+  servedAudioFiles.set(trackId, served);
+  return served;
+}
+
+function parseByteRange(header, size) {
+  const m = `${header || ''}`.match(/^bytes=(\d*)-(\d*)$/);
+  if (!m || (!m[1] && !m[2])) return null;
+  let start;
+  let end;
+  if (!m[1]) {
+    start = Math.max(0, size - Number(m[2]));
+    end = size - 1;
+  } else {
+    start = Number(m[1]);
+    end = m[2] ? Math.min(Number(m[2]), size - 1) : size - 1;
+  }
+  if (start > end || start >= size) return { invalid: true };
+  return { start, end };
+}
+
+// ymusic://track/<encoded track id> streams audio with HTTP Range support so <audio> can seek without buffering whole files.
+async function handleAudioProtocol(request) {
+  try {
+    const url = new URL(request.url);
+    if (url.host !== 'track') return new Response(null, { status: 404 });
+    const trackId = decodeURIComponent(url.pathname.replace(/^\//, ''));
+    const filePath = await resolveServedAudioFile(trackId);
+    if (!filePath || !existsSync(filePath)) return new Response(null, { status: 404 });
+    const { size } = await fs.stat(filePath);
+    const headers = {
+      'Content-Type': SERVED_MIME_BY_EXT[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'no-store',
+      // The player routes <audio> through Web Audio, which stays silent for non-CORS media.
+      'Access-Control-Allow-Origin': '*'
+    };
+    const range = parseByteRange(request.headers.get('range'), size);
+    if (range?.invalid) {
+      return new Response(null, { status: 416, headers: { ...headers, 'Content-Range': `bytes */${size}` } });
+    }
+    if (range) {
+      const body = Readable.toWeb(createReadStream(filePath, { start: range.start, end: range.end }));
+      return new Response(body, {
+        status: 206,
+        headers: {
+          ...headers,
+          'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+          'Content-Length': `${range.end - range.start + 1}`
+        }
+      });
+    }
+    const body = Readable.toWeb(createReadStream(filePath));
+    return new Response(body, { status: 200, headers: { ...headers, 'Content-Length': `${size}` } });
+  } catch (err) {
+    logMain('ERROR', 'audio protocol request failed', { url: request.url, error: err?.message || String(err) });
+    return new Response(null, { status: 500 });
+  }
+}
+
 app.whenReady().then(() => {
   initMainLogger();
   logMain('INFO', 'app ready');
   Menu.setApplicationMenu(null);
+  protocol.handle(AUDIO_PROTOCOL, handleAudioProtocol);
   app.on('web-contents-created', (_, contents) => {
     bindLyricAutoDownloadHook(contents);
   });
   createWindow();
+  getLibraryDb()
+    .then((db) => syncLibraryWatchers(db.readMeta('scanFolders', [])))
+    .catch((err) => logMain('WARN', 'initial folder watch failed', { error: err?.message || String(err) }));
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) createWindow();
   });
@@ -718,6 +1682,12 @@ process.on('unhandledRejection', (reason) => {
 
 app.on('before-quit', () => {
   isQuitting = true;
+  closeLibraryWatchers();
+});
+
+app.on('will-quit', () => {
+  if (libraryDb) libraryDb.close();
+  libraryDb = null;
 });
 
 app.on('window-all-closed', () => {
@@ -743,6 +1713,24 @@ ipcMain.handle('dialog:pickBackgroundImage', async () => {
   return result.filePaths[0];
 });
 
+ipcMain.handle('dialog:pickCoverImage', async () => {
+  const result = await dialog.showOpenDialog({
+    properties: ['openFile'],
+    filters: [{ name: 'Images', extensions: ['jpg', 'jpeg', 'png'] }]
+  });
+  if (result.canceled || !result.filePaths?.length) return null;
+  return result.filePaths[0];
+});
+
+ipcMain.handle('dialog:pickFfmpegBinary', async () => {
+  const result = await dialog.showOpenDialog({
+    properties: ['openFile'],
+    filters: process.platform === 'win32' ? [{ name: 'ffmpeg', extensions: ['exe'] }] : []
+  });
+  if (result.canceled || !result.filePaths?.length) return null;
+  return result.filePaths[0];
+});
+
 ipcMain.handle('dialog:pickLyricFile', async () => {
   const result = await dialog.showOpenDialog({
     properties: ['openFile'],
@@ -754,30 +1742,647 @@ ipcMain.handle('dialog:pickLyricFile', async () => {
   return result.filePaths[0];
 });
 
+ipcMain.handle('playlist:import', async () => {
+  const result = await dialog.showOpenDialog({
+    properties: ['openFile'],
+    filters: [{ name: 'Playlists', extensions: Object.keys(PLAYLIST_FORMATS).map((ext) => ext.slice(1)) }]
+  });
+  if (result.canceled || !result.filePaths?.length) return null;
+  const filePath = result.filePaths[0];
+  try {
+    const buf = await fs.readFile(filePath);
+    const format = playlistFormatOf(filePath);
+    // .m3u8 and XSPF are UTF-8 by definition; plain .m3u/.pls follow the system codepage.
+    const text = path.extname(filePath).toLowerCase() === '.m3u8' || format === 'xspf'
+      ? new TextDecoder('utf-8').decode(buf)
+      : decodeTextSmart(buf, PLAYLIST_MARKER_RE);
+    const parsed = parsePlaylist(text, format);
+    const data = await loadLibrary();
+    const byPath = new Map();
+    const byName = new Map();
+    for (const t of data.tracks) {
+      const key = normalizeId(t.path);
+      if (!byPath.has(key)) byPath.set(key, []);
+      byPath.get(key).push(t.id);
+      const name = path.basename(t.path).toLowerCase();
+      byName.set(name, byName.has(name) && byName.get(name) !== key ? null : key);
+    }
+    const baseDir = path.dirname(filePath);
+    const trackIds = [];
+    const unmatched = [];
+    for (const entry of parsed.entries) {
+      const resolved = resolvePlaylistLocation(entry.location, baseDir);
+      let key = resolved ? normalizeId(resolved) : null;
+      // Playlists copied from another machine: fall back to a file name that is unique in the library.
+      if (key && !byPath.has(key)) key = byName.get(path.basename(resolved.replace(/\\/g, '/')).toLowerCase()) || null;
+      const ids = key ? byPath.get(key) : null;
+      if (!ids) {
+        unmatched.push(entry.title ? `${entry.title} (${entry.location})` : entry.location);
+        continue;
+      }
+      for (const id of ids) {
+        if (!trackIds.includes(id)) trackIds.push(id);
+      }
+    }
+    logMain('INFO', 'playlist imported', { filePath, entries: parsed.entries.length, matched: trackIds.length, unmatched: unmatched.length });
+    return {
+      name: parsed.title || path.parse(filePath).name,
+      trackIds,
+      total: parsed.entries.length,
+      unmatched
+    };
+  } catch (err) {
+    logMain('ERROR', 'playlist import failed', { filePath, error: err?.message || String(err) });
+    return { error: err?.message || String(err) };
+  }
+});
+
+ipcMain.handle('playlist:export', async (_, payload) => {
+  const name = `${payload?.name || 'playlist'}`.replace(/[\\/:*?"<>|]/g, '_');
+  const result = await dialog.showSaveDialog({
+    defaultPath: `${name}.m3u8`,
+    filters: [
+      { name: 'M3U8', extensions: ['m3u8'] },
+      { name: 'M3U', extensions: ['m3u'] },
+      { name: 'PLS', extensions: ['pls'] },
+      { name: 'XSPF', extensions: ['xspf'] }
+    ]
+  });
+  if (result.canceled || !result.filePath) return null;
+  try {
+    // Cue tracks share their image file; list that file once.
+    const seen = new Set();
+    const tracks = (payload?.tracks || []).filter((t) => {
+      if (!t?.path || seen.has(t.path)) return false;
+      seen.add(t.path);
+      return true;
+    });
+    const text = serializePlaylist(result.filePath, { name: payload?.name, tracks }, !!payload?.relative);
+    await fs.writeFile(result.filePath, text, 'utf8');
+    return { path: result.filePath, count: tracks.length };
+  } catch (err) {
+    logMain('ERROR', 'playlist export failed', { filePath: result.filePath, error: err?.message || String(err) });
+    return { error: err?.message || String(err) };
+  }
+});
+
+ipcMain.handle('dialog:pickAudioFile', async (_, defaultPath) => {
+  const result = await dialog.showOpenDialog({
+    defaultPath: defaultPath && existsSync(defaultPath) ? defaultPath : undefined,
+    properties: ['openFile'],
+    filters: [{ name: 'Audio', extensions: [...AUDIO_EXT].map((ext) => ext.slice(1)) }]
+  });
+  if (result.canceled || !result.filePaths?.length) return null;
+  return result.filePaths[0];
+});
+
+ipcMain.handle('library:relinkTrack', async (_, trackId, newPath) => {
+  try {
+    const data = await loadLibrary();
+    const index = await loadLibraryIndex();
+    const track = data.tracks.find((t) => t.id === trackId);
+    if (!track || !newPath) return null;
+    const result = await relinkTrackFile(data, index, track.path, forwardSlashes(newPath));
+    if (!result) return null;
+    const change = applyRelinks(data, [result]);
+    await saveLibraryIndex(index);
+    await saveRelinks(change);
+    logMain('INFO', 'track relinked by user', { trackId, from: track.path, to: newPath });
+    return change;
+  } catch (err) {
+    logMain('ERROR', 'track relink failed', { trackId, newPath, error: err?.message || String(err) });
+    return null;
+  }
+});
+
+// Maps the folder of a missing track onto `newFolder` and relinks every missing track that
+// resolves to an existing file under the same root, e.g. after a drive letter changed.
+ipcMain.handle('library:relinkFolder', async (_, oldFolder, newFolder) => {
+  try {
+    const data = await loadLibrary();
+    const index = await loadLibraryIndex();
+    const { fromRoot, toRoot } = relinkRoots(oldFolder, newFolder);
+    const results = [];
+    const files = [...new Set(data.tracks.filter((t) => t.missing && isPathInside(fromRoot, t.path)).map((t) => t.path))];
+    for (const file of files) {
+      const target = path.join(toRoot, path.relative(fromRoot, file));
+      if (!existsSync(target)) continue;
+      const result = await relinkTrackFile(data, index, file, target);
+      if (result) results.push(result);
+    }
+    const change = applyRelinks(data, results);
+    if (results.length) {
+      const moveFolder = (folder) => (folder === fromRoot || isPathInside(fromRoot, folder)
+        ? path.join(toRoot, path.relative(fromRoot, folder))
+        : folder);
+      const db = await getLibraryDb();
+      data.scanFolders = [...new Set(db.readMeta('scanFolders', []).map(moveFolder))];
+      if (!data.scanFolders.some((folder) => folder === newFolder || isPathInside(folder, newFolder))) {
+        data.scanFolders.push(newFolder);
+      }
+      syncLibraryWatchers(data.scanFolders);
+      await saveLibraryIndex(index);
+      await saveTrackChanges({ upsert: change.upserted, remove: change.removedIds, renamed: change.renamed, scanFolders: data.scanFolders });
+    }
+    const remaining = data.tracks.filter((t) => t.missing).length;
+    logMain('INFO', 'folder relinked', { fromRoot, toRoot, files: results.length, remaining });
+    return { ...change, scanFolders: data.scanFolders, relinked: results.length, remaining };
+  } catch (err) {
+    logMain('ERROR', 'folder relink failed', { oldFolder, newFolder, error: err?.message || String(err) });
+    return null;
+  }
+});
+
+function organizeLogFile() {
+  return path.join(app.getPath('userData'), 'organize-log.json');
+}
+
+// Undo log of the last few organize runs, newest last.
+async function loadOrganizeLog() {
+  try {
+    const raw = JSON.parse(await fs.readFile(organizeLogFile(), 'utf8'));
+    return Array.isArray(raw) ? raw : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+async function saveOrganizeLog(entries) {
+  await writeFileAtomic(organizeLogFile(), JSON.stringify(entries.slice(-ORGANIZE_LOG_KEEP), null, 2));
+}
+
+function organizeLogSummary(entries) {
+  const last = entries[entries.length - 1];
+  return last ? { at: last.at, files: last.moves.filter((m) => m.trackId).length } : null;
+}
+
+function scanRootOf(folders, filePath) {
+  return (folders || [])
+    .filter((folder) => isPathInside(folder, filePath))
+    .sort((a, b) => b.length - a.length)[0] || null;
+}
+
+async function buildOrganizePlan(data, { template, trackIds, conflict } = {}) {
+  const wanted = trackIds?.length ? new Set(trackIds.map(baseTrackId)) : null;
+  const cueFiles = new Set(data.tracks.filter((t) => t.cuePath).map((t) => normalizeId(t.path)));
+  const seen = new Set();
+  const files = [];
+  const skipped = [];
+  for (const track of data.tracks) {
+    const key = normalizeId(track.path);
+    if (track.missing || seen.has(key) || (wanted && !wanted.has(baseTrackId(track.id)))) continue;
+    seen.add(key);
+    // The .cue sheet names its audio file, so moving it would orphan every cue track.
+    if (cueFiles.has(key)) {
+      skipped.push({ trackId: baseTrackId(track.id), from: track.path, to: null, status: 'skip', reason: '由 CUE 分轨的整轨文件', companions: [] });
+      continue;
+    }
+    files.push({ path: track.path, track, root: scanRootOf(data.scanFolders, track.path) });
+  }
+  const items = await planOrganize(files, {
+    template: template || DEFAULT_ORGANIZE_TEMPLATE,
+    conflict,
+    isAudio: (name) => AUDIO_EXT.has(path.extname(name).toLowerCase())
+  });
+  return [...items, ...skipped];
+}
+
+// Keeps the cached tags of a moved file, so relinking it doesn't parse it again.
+function moveIndexEntry(index, from, to) {
+  const entry = index.entries[normalizeId(from)];
+  if (!entry) return;
+  delete index.entries[normalizeId(from)];
+  index.entries[normalizeId(to)] = { ...entry, track: { ...entry.track, path: to, folder: path.dirname(to) } };
+}
+
+// Points library tracks at the new locations of moved audio files; ids (and so likes and playlists) stay.
+async function relinkMovedFiles(data, moves) {
+  const index = await loadLibraryIndex();
+  const results = [];
+  for (const { from, to } of moves) {
+    const target = forwardSlashes(to);
+    moveIndexEntry(index, from, target);
+    const result = await relinkTrackFile(data, index, from, target);
+    if (result) results.push(result);
+  }
+  const change = applyRelinks(data, results);
+  await saveLibraryIndex(index);
+  await saveRelinks(change);
+  return change;
+}
+
+ipcMain.handle('organize:preview', async (_, options) => {
+  try {
+    const items = await buildOrganizePlan(await loadLibrary(), options);
+    return { items, lastRun: organizeLogSummary(await loadOrganizeLog()) };
+  } catch (err) {
+    logMain('ERROR', 'organize preview failed', { error: err?.message || String(err) });
+    return { error: err?.message || String(err) };
+  }
+});
+
+ipcMain.handle('organize:apply', async (_, options) => {
+  try {
+    const data = await loadLibrary();
+    const items = await buildOrganizePlan(data, options);
+    const { moves, failed } = await applyOrganize(items, (fp) => scanRootOf(data.scanFolders, fp));
+    const audioMoves = moves.filter((m) => m.trackId);
+    const change = await relinkMovedFiles(data, audioMoves);
+    const log = await loadOrganizeLog();
+    if (moves.length) {
+      log.push({ at: new Date().toISOString(), template: options?.template || DEFAULT_ORGANIZE_TEMPLATE, moves });
+      await saveOrganizeLog(log);
+    }
+    logMain('INFO', 'library organized', { moved: audioMoves.length, files: moves.length, failed: failed.length });
+    return {
+      ...change,
+      moved: audioMoves.length,
+      failed,
+      conflicts: items.filter((i) => i.status === 'conflict').length,
+      lastRun: organizeLogSummary(log)
+    };
+  } catch (err) {
+    logMain('ERROR', 'organize failed', { error: err?.message || String(err) });
+    return { error: err?.message || String(err) };
+  }
+});
+
+ipcMain.handle('organize:undo', async () => {
+  try {
+    const log = await loadOrganizeLog();
+    const last = log.pop();
+    if (!last) return { error: '没有可撤销的整理记录' };
+    const { restored, failed, remaining } = await undoOrganize(last.moves);
+    const data = await loadLibrary();
+    const change = await relinkMovedFiles(data, restored.filter((m) => m.trackId).map((m) => ({ from: m.to, to: m.from })));
+    // Moves that could not be reverted stay in the log, so fixing the cause and undoing again finishes the job.
+    if (remaining.length) log.push({ ...last, moves: remaining });
+    await saveOrganizeLog(log);
+    logMain('INFO', 'library organize undone', { at: last.at, restored: restored.length, failed: failed.length });
+    return {
+      ...change,
+      restored: restored.filter((m) => m.trackId).length,
+      failed,
+      lastRun: organizeLogSummary(log)
+    };
+  } catch (err) {
+    logMain('ERROR', 'organize undo failed', { error: err?.message || String(err) });
+    return { error: err?.message || String(err) };
+  }
+});
+
 ipcMain.handle('data:load', async () => loadData());
-ipcMain.handle('data:save', async (_, data) => saveData(data));
-ipcMain.handle('scan:folders', async (_, folders) => {
-  const data = await loadData();
-  const scanned = await scanFolders(folders, data);
-  await saveData(scanned);
-  return scanned;
+
+ipcMain.handle('library:setLiked', async (_, trackId, liked) => (await getLibraryDb()).setLiked(trackId, !!liked));
+ipcMain.handle('library:updateTrack', async (_, trackId, patch) => (await getLibraryDb()).updateTrack(trackId, patch));
+ipcMain.handle('library:removeTracks', async (_, trackIds) => {
+  forgetServedAudio(trackIds || []);
+  return (await getLibraryDb()).removeTracks(trackIds);
+});
+ipcMain.handle('library:queryTracks', async (_, options) => (await getLibraryDb()).queryTracks(options));
+ipcMain.handle('playlist:create', async (_, playlist) => (await getLibraryDb()).createPlaylist(playlist || {}));
+ipcMain.handle('playlist:delete', async (_, playlistId) => (await getLibraryDb()).deletePlaylist(playlistId));
+ipcMain.handle('playlist:addTrack', async (_, playlistId, trackId) => (await getLibraryDb()).addToPlaylist(playlistId, trackId));
+ipcMain.handle('playlist:removeTrack', async (_, playlistId, trackId) => (await getLibraryDb()).removeFromPlaylist(playlistId, trackId));
+ipcMain.handle('settings:update', async (_, patch) => {
+  (await getLibraryDb()).updateSettings(patch);
+  if (typeof patch?.ffmpegPath === 'string') ffmpegPathOverride = patch.ffmpegPath;
+  return true;
+});
+ipcMain.handle('scan:folders', async (event, folders) => {
+  if (activeScanJob) activeScanJob.cancel();
+  const job = createScanJob(event.sender);
+  activeScanJob = job;
+  scanInProgress = true;
+  try {
+    const data = await loadLibrary();
+    const scanned = await scanFolders(folders, data, job);
+    if (!scanned) {
+      job.phase = 'canceled';
+      job.report(true);
+      logMain('INFO', 'scan canceled', { discovered: job.discovered, parsed: job.parsed });
+      return null;
+    }
+    job.phase = 'save';
+    job.report(true);
+    const { upsert, remove } = diffTracks(data.tracks, scanned.tracks);
+    await saveTrackChanges({ upsert, remove, scanFolders: scanned.scanFolders });
+    syncLibraryWatchers(scanned.scanFolders);
+    job.phase = 'done';
+    job.report(true);
+    return { scanFolders: scanned.scanFolders, upserted: upsert, removedIds: remove };
+  } catch (err) {
+    job.phase = 'error';
+    job.error = err?.message || String(err);
+    job.report(true);
+    logMain('ERROR', 'scan failed', { folders, error: job.error });
+    return null;
+  } finally {
+    if (activeScanJob === job) {
+      activeScanJob = null;
+      scanInProgress = false;
+    }
+  }
+});
+
+ipcMain.handle('scan:cancel', async () => {
+  if (!activeScanJob) return false;
+  activeScanJob.cancel();
+  return true;
 });
 
 ipcMain.handle('scan:singleTrack', async (_, trackPath) => {
-  const data = await loadData();
+  const data = await loadLibrary();
   const files = await walk(path.dirname(trackPath));
-  const normalized = files.map((f) => f.replaceAll('\\\\', '/'));
+  const normalized = files.map(forwardSlashes);
   const lyricFiles = normalized.filter((f) => LYRIC_EXT.has(path.extname(f).toLowerCase()));
-  const track = await parseTrack(trackPath.replaceAll('\\\\', '/'), lyricFiles);
+  const track = await parseTrack(forwardSlashes(trackPath), lyricFiles);
+  track.id = createIdentityResolver(data.tracks, { keyOf: normalizeId, isGone: (fp) => !existsSync(fp) })
+    .resolve(track.path, track);
+  applyTagFixups(track, data.settings);
+
+  // A plain file is only refreshed if it is in the library; a cue image replaces all of its tracks.
+  const expanded = expandCueTracks([track], await loadCueSheetsForDir(path.dirname(trackPath)));
+  let upsert = data.tracks.some((t) => t.id === track.id) ? [track] : [];
+  let removedIds = [];
+  if (expanded[0] !== track) {
+    const fileId = normalizeId(track.path);
+    const keep = new Set(expanded.map((t) => t.id));
+    upsert = expanded;
+    removedIds = data.tracks.filter((t) => normalizeId(t.path) === fileId && !keep.has(t.id)).map((t) => t.id);
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('library:changed', { upserted: expanded, removedIds });
+    }
+  }
+
+  try {
+    const stat = await fs.stat(track.path);
+    const index = await loadLibraryIndex();
+    index.entries[normalizeId(track.path)] = toIndexEntry(track, stat);
+    await saveLibraryIndex(index);
+  } catch (_) {
+    // index refresh is best-effort; the next full scan will pick it up
+  }
+
+  await saveTrackChanges({ upsert, remove: removedIds });
+  return expanded[0];
+});
+
+// Track and disc numbers are stored as one "n/total" value in most formats, so an edit of one
+// half is completed with the other half from the library.
+function withNumberPairs(changes, track) {
+  const out = { ...changes };
+  for (const [no, total] of [['trackNo', 'trackTotal'], ['discNo', 'discTotal']]) {
+    if ((no in out) === (total in out)) continue;
+    if (no in out) out[total] = track[total];
+    else out[no] = track[no];
+  }
+  return out;
+}
+
+// Writes tags file by file; `changesFor(track)` returns (or resolves to) the fields to write, or null to skip the track.
+async function writeTagsForTracks(trackIds, changesFor, options) {
+  const db = await getLibraryDb();
+  const written = new Set();
+  const results = [];
+  for (const trackId of trackIds || []) {
+    const track = db.getTrack(trackId);
+    if (!track?.path) continue;
+    if (baseTrackId(trackId) !== trackId) {
+      results.push({ trackId, path: track.path, ok: false, error: 'CUE 分轨的信息来自 .cue 文件，不能写入音频文件' });
+      continue;
+    }
+    const key = normalizeId(track.path);
+    if (written.has(key)) continue;
+    const changes = await changesFor(track);
+    if (!changes) continue;
+    written.add(key);
+    try {
+      await writeTrackTags(track.path, changes, options);
+      results.push({ trackId, path: track.path, ok: true });
+    } catch (err) {
+      logMain('WARN', 'tag write failed', { path: track.path, error: err?.message || String(err) });
+      const error = err?.code === 'UNSUPPORTED_FORMAT' ? '暂不支持写入该格式的标签' : err?.message || String(err);
+      results.push({ trackId, path: track.path, ok: false, error });
+    }
+  }
+  logMain('INFO', 'tags written', { tracks: results.length, failed: results.filter((r) => !r.ok).length });
+  return results;
+}
+
+ipcMain.handle('tags:write', async (_, payload) => {
+  const { trackIds = [], changes = {}, coverPath = '', removeCover = false } = payload || {};
+  let cover;
+  if (coverPath) {
+    const data = await fs.readFile(coverPath).catch(() => null);
+    if (!imageMimeOf(data)) return { error: '封面只支持 JPEG 或 PNG 图片' };
+    cover = { data, mime: imageMimeOf(data) };
+  } else if (removeCover) {
+    cover = null;
+  }
+  return { results: await writeTagsForTracks(trackIds, (track) => withNumberPairs(changes, track), { cover }) };
+});
+
+// The charset the encoding dialog starts from, resolved exactly as scans apply the overrides.
+ipcMain.handle('tags:getEncoding', async (_, trackId) => {
+  const db = await getLibraryDb();
+  const track = db.getTrack(trackId);
+  return track ? tagEncodingFor(track, db.getSettings()) : 'auto';
+});
+
+// Sets (or with 'auto' clears) a tag charset override for some tracks or a whole folder and
+// re-decodes the affected library entries from their original strings.
+ipcMain.handle('tags:setEncoding', async (_, payload) => {
+  const { trackIds = [], folder = '', encoding = 'auto' } = payload || {};
+  const data = await loadLibrary();
+  const settings = data.settings;
+  const setOverride = (map, key) => {
+    const next = { ...(map || {}) };
+    if (!encoding || encoding === 'auto') delete next[key];
+    else next[key] = encoding;
+    return next;
+  };
+  const ids = new Set(trackIds.map(baseTrackId));
+  if (folder) settings.folderTagEncodingMap = setOverride(settings.folderTagEncodingMap, normalizeId(folder));
+  for (const id of ids) settings.tagEncodingMap = setOverride(settings.tagEncodingMap, id);
+  const changed = [];
+  for (const track of data.tracks) {
+    // Cue sheet tracks take their titles from the .cue file; the next scan re-derives them.
+    if (track.missing || baseTrackId(track.id) !== track.id) continue;
+    if (!ids.has(track.id) && !(folder && (isPathInside(folder, track.path) || normalizeId(path.dirname(track.path)) === normalizeId(folder)))) continue;
+    const before = JSON.stringify(track);
+    applyTagEncoding(track, tagEncodingFor(track, settings));
+    if (JSON.stringify(track) !== before) changed.push(track);
+  }
+  (await getLibraryDb()).updateSettings({
+    tagEncodingMap: settings.tagEncodingMap,
+    folderTagEncodingMap: settings.folderTagEncodingMap
+  });
+  await saveTrackChanges({ upsert: changed });
+  logMain('INFO', 'tag encoding override set', { tracks: ids.size, folder, encoding, changed: changed.length });
+  return {
+    tracks: changed,
+    tagEncodingMap: settings.tagEncodingMap,
+    folderTagEncodingMap: settings.folderTagEncodingMap
+  };
+});
+
+// The sidecar lyrics the player would show for a track, decoded with the track's lyric encoding.
+async function readSidecarLyrics(track, settings) {
+  const encoding = settings?.lyricEncodingMap?.[track.id] || 'auto';
+  const base = track.path.slice(0, track.path.length - path.extname(track.path).length);
+  const candidates = [...new Set([track.lyricPath, `${base}.lrc`, `${base}.LRC`, `${base}.txt`, `${base}.TXT`].filter(Boolean))];
+  for (const candidate of candidates) {
+    const text = await readTextFileWithEncoding(candidate, encoding);
+    if (text?.trim()) return text;
+  }
+  return null;
+}
+
+// Loads a candidate cover for the cover editor: an image file, the clipboard, or another track's cover.
+ipcMain.handle('cover:load', async (_, payload) => {
+  const { source, path: imagePath = '', trackId = '' } = payload || {};
+  let data = null;
+  if (source === 'file') {
+    data = await fs.readFile(imagePath).catch(() => null);
+  } else if (source === 'clipboard') {
+    const image = clipboard.readImage();
+    if (image.isEmpty()) return { error: '剪贴板中没有图片' };
+    data = image.toPNG();
+  } else if (source === 'track') {
+    const track = (await getLibraryDb()).getTrack(trackId);
+    if (!track?.path) return { error: '找不到这首歌曲' };
+    data = await readCoverSource(track.path, await findFolderCover(path.dirname(track.path)));
+    if (!data) return { error: '这首歌曲没有封面' };
+  }
+  const mime = imageMimeOf(data);
+  const image = mime ? nativeImage.createFromBuffer(data) : null;
+  if (!image || image.isEmpty()) return { error: '封面只支持 JPEG 或 PNG 图片' };
+  const { width, height } = image.getSize();
+  return { dataUrl: `data:${mime};base64,${data.toString('base64')}`, width, height };
+});
+
+// Center-crops to a square when asked; an image that is already square keeps its original bytes.
+function prepareCoverImage(data, square) {
+  const mime = imageMimeOf(data);
+  const image = mime ? nativeImage.createFromBuffer(data) : null;
+  if (!image || image.isEmpty()) return null;
+  const { width, height } = image.getSize();
+  if (!square || width === height) return { data, mime };
+  const edge = Math.min(width, height);
+  const cropped = image.crop({ x: Math.floor((width - edge) / 2), y: Math.floor((height - edge) / 2), width: edge, height: edge });
+  return { data: cropped.toJPEG(92), mime: 'image/jpeg' };
+}
+
+// Saves the cover next to the tracks, replacing an existing cover.jpg/cover.png in its own format.
+async function saveFolderCovers(folders, cover) {
+  const results = [];
+  for (const folder of folders) {
+    const names = await fs.readdir(folder).catch(() => []);
+    const existing = names.find((n) => /^cover\.(jpe?g|png)$/i.test(n));
+    const asPng = existing ? /\.png$/i.test(existing) : cover.mime === 'image/png';
+    const target = path.join(folder, existing || (asPng ? 'cover.png' : 'cover.jpg'));
+    let data = cover.data;
+    if (asPng !== (cover.mime === 'image/png')) {
+      const image = nativeImage.createFromBuffer(cover.data);
+      data = asPng ? image.toPNG() : image.toJPEG(92);
+    }
+    try {
+      await writeFileAtomic(target, data);
+      results.push({ path: target, ok: true });
+    } catch (err) {
+      logMain('WARN', 'folder cover write failed', { path: target, error: err?.message || String(err) });
+      results.push({ path: target, ok: false, error: err?.message || String(err) });
+    }
+  }
+  return results;
+}
 
-  const idx = data.tracks.findIndex((t) => t.id === track.id);
-  if (idx >= 0) {
-    track.liked = data.tracks[idx].liked;
-    data.tracks[idx] = track;
+ipcMain.handle('cover:apply', async (_, payload) => {
+  const { trackIds = [], dataUrl = '', square = true, embed = true, saveToFolder = false } = payload || {};
+  const cover = prepareCoverImage(Buffer.from(`${dataUrl}`.replace(/^data:[^,]*,/, ''), 'base64'), square);
+  if (!cover) return { error: '封面只支持 JPEG 或 PNG 图片' };
+  let folders = [];
+  if (saveToFolder) {
+    const db = await getLibraryDb();
+    const dirs = new Map();
+    for (const trackId of trackIds) {
+      const track = db.getTrack(trackId);
+      if (track?.path) dirs.set(normalizeId(path.dirname(track.path)), path.dirname(track.path));
+    }
+    folders = await saveFolderCovers([...dirs.values()], cover);
   }
+  const results = embed ? await writeTagsForTracks(trackIds, () => ({}), { cover }) : [];
+  // Thumbnails are keyed by file and folder-image mtimes, so the rewritten files already miss the
+  // cache; only the remembered "no cover" answers need dropping.
+  missingCoverKeys.clear();
+  logMain('INFO', 'cover applied', { tracks: trackIds.length, embedded: results.length, folders: folders.length });
+  return { results, folders };
+});
 
-  await saveData(data);
-  return track;
+// Copies sidecar lyrics into the audio files as UTF-8 tags, so they survive copying the songs elsewhere.
+ipcMain.handle('lyrics:embed', async (_, payload) => {
+  const { trackIds = [], synced = true } = payload || {};
+  const settings = await loadSettings();
+  const changesFor = async (track) => {
+    const lyrics = await readSidecarLyrics(track, settings);
+    return lyrics ? { lyrics } : null;
+  };
+  return { results: await writeTagsForTracks(trackIds, changesFor, { utf8: true, syncedLyrics: !!synced }) };
+});
+
+// Writes repaired strings back into the files as UTF-8 so other players stop showing mojibake.
+ipcMain.handle('tags:rewriteRepaired', async (_, trackIds) => {
+  const changesFor = (track) => {
+    const fields = Object.keys(track.rawTags || {});
+    return fields.length ? Object.fromEntries(fields.map((field) => [field, track[field]])) : null;
+  };
+  return { results: await writeTagsForTracks(trackIds, changesFor, { utf8: true }) };
+});
+
+function cleanPathPatterns(patterns) {
+  const list = (Array.isArray(patterns) ? patterns : []).map((p) => `${p || ''}`.trim()).filter(Boolean);
+  return {
+    patterns: [...new Set(list)].filter((p) => compilePathPattern(p)),
+    invalid: list.filter((p) => !compilePathPattern(p))
+  };
+}
+
+// Re-applies a pattern list to copies of the library tracks. Cue sheet tracks are left to the next scan.
+function previewPathPatterns(tracks, patterns) {
+  const changes = [];
+  for (const track of tracks) {
+    if (track.missing || baseTrackId(track.id) !== track.id) continue;
+    const next = applyPathPatterns({ ...track, missingTags: track.missingTags && [...track.missingTags] }, patterns);
+    const fields = PATH_TAG_FIELDS.filter((field) => (next[field] ?? null) !== (track[field] ?? null));
+    if (fields.length || !Array.isArray(track.missingTags)) changes.push({ track, next, fields });
+  }
+  return changes;
+}
+
+// Lists what a candidate pattern list would change, without saving anything.
+ipcMain.handle('tags:previewPathPatterns', async (_, patterns) => {
+  const { patterns: valid, invalid } = cleanPathPatterns(patterns);
+  const data = await loadLibrary();
+  const changes = previewPathPatterns(data.tracks, valid)
+    .filter((c) => c.fields.length)
+    .map(({ track, next, fields }) => ({
+      trackId: track.id,
+      path: track.path,
+      fields: Object.fromEntries(fields.map((field) => [field, { from: track[field], to: next[field] }]))
+    }));
+  return { changes, invalid };
+});
+
+ipcMain.handle('tags:setPathPatterns', async (_, patterns) => {
+  const { patterns: valid, invalid } = cleanPathPatterns(patterns);
+  if (invalid.length) return { error: `无法识别的规则：${invalid.join('，')}` };
+  const data = await loadLibrary();
+  const changed = previewPathPatterns(data.tracks, valid).map(({ track }) => applyPathPatterns(track, valid));
+  (await getLibraryDb()).updateSettings({ pathPatterns: valid });
+  await saveTrackChanges({ upsert: changed });
+  logMain('INFO', 'path patterns set', { patterns: valid, changed: changed.length });
+  return { tracks: changed, pathPatterns: valid };
 });
 
 ipcMain.handle('file:readText', async (_, filePath) => {
@@ -789,14 +2394,16 @@ ipcMain.handle('file:readText', async (_, filePath) => {
   }
 });
 
-ipcMain.handle('file:readTextWithEncoding', async (_, filePath, encoding) => {
+async function readTextFileWithEncoding(filePath, encoding) {
   try {
     const buf = await fs.readFile(filePath);
     return decodeTextWithEncoding(buf, encoding);
   } catch (_) {
     return null;
   }
-});
+}
+
+ipcMain.handle('file:readTextWithEncoding', async (_, filePath, encoding) => readTextFileWithEncoding(filePath, encoding));
 
 ipcMain.handle('file:writeText', async (_, filePath, content) => {
   try {
@@ -848,35 +2455,145 @@ ipcMain.handle('file:readImageDataUrl', async (_, filePath) => {
   }
 });
 
-ipcMain.handle('audio:readBuffer', async (_, filePath) => {
+ipcMain.handle('ffmpeg:setPath', async (_, ffmpegPath) => {
+  ffmpegPathOverride = `${ffmpegPath || ''}`;
+  return probeFfmpeg();
+});
+
+ipcMain.handle('ffmpeg:status', async () => probeFfmpeg());
+
+// Only library tracks can be served: the path comes from the database, never from the renderer.
+ipcMain.handle('audio:prepareSource', async (_, trackId) => {
   try {
-    const ext = path.extname(filePath).toLowerCase();
-    if (ext === '.wma') {
-      const transcoded = await transcodeWmaToWavBuffer(filePath);
-      if (transcoded) {
-        return {
-          kind: 'wav-transcoded',
-          data: transcoded
-        };
-      }
-      const raw = await fs.readFile(filePath);
-      return {
-        kind: 'wma-raw',
-        data: raw
-      };
+    const track = trackId ? (await getLibraryDb()).getTrack(trackId) : null;
+    if (!track?.path || !existsSync(track.path)) return null;
+    const mode = await resolvePlaybackMode(track.path);
+    let served = track.path;
+    let kind = 'raw';
+    if (mode === 'transcode') {
+      const transcoded = await transcodeToCache(track.path);
+      served = transcoded || track.path;
+      kind = transcoded ? 'transcoded' : 'transcode-unavailable';
     }
-    const buf = await fs.readFile(filePath);
+    servedAudioFiles.set(track.id, served);
     return {
-      kind: 'raw',
-      data: buf
+      kind,
+      url: `${AUDIO_PROTOCOL}://track/${encodeURIComponent(track.id)}`
     };
   } catch (_) {
     return null;
   }
 });
 
-ipcMain.handle('track:readCoverDataUrl', async (_, filePath) => {
-  return readTrackCoverDataUrl(filePath);
+// Same grouping as the album view: album name plus album artist, or the folder without either.
+function replayGainAlbumKey(track) {
+  const norm = (value) => `${value || ''}`.normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+  const album = norm(track.album);
+  const albumArtist = norm(track.albumArtist);
+  if (!album && !albumArtist) return `dir:${normalizeId(track.folder || path.dirname(track.path))}`;
+  return `${album}\u0000artist:${albumArtist}`;
+}
+
+/**
+ * Measures loudness for tracks one at a time with ffmpeg. Results go to settings.replayGainMap
+ * (track id -> gains) rather than onto the tracks, so rescans keep them; albums whose tracks all
+ * have a gain by then get an album gain too. With `writeTags` the values are also written to the files.
+ */
+ipcMain.handle('replayGain:analyze', async (event, payload) => {
+  const { trackIds = [], writeTags = false } = payload || {};
+  if (activeLoudnessJob) return { error: '响度分析正在进行' };
+  const ffmpeg = await probeFfmpeg();
+  if (!ffmpeg.found) return { error: '响度分析需要 ffmpeg，请先在设置中配置 ffmpeg' };
+  const controller = new AbortController();
+  activeLoudnessJob = controller;
+  const wanted = new Set(trackIds);
+  const measured = new Set();
+  const failed = [];
+  let map;
+  try {
+    const db = await getLibraryDb();
+    map = { ...(db.getSettings().replayGainMap || {}) };
+    const queue = [...wanted].map((id) => db.getTrack(id)).filter((t) => t && !t.missing);
+    const report = (done, current) => {
+      if (!event.sender.isDestroyed()) event.sender.send('replayGain:progress', { done, total: queue.length, current });
+    };
+    for (const [i, track] of queue.entries()) {
+      if (controller.signal.aborted) break;
+      report(i, track.title);
+      try {
+        const result = await measureLoudness(ffmpeg.path, track.path, {
+          start: track.cueStart || 0,
+          end: track.cueEnd ?? null,
+          signal: controller.signal
+        });
+        if (!result) {
+          failed.push({ path: track.path, error: '音频为静音，无法测量' });
+          continue;
+        }
+        map[track.id] = { ...map[track.id], trackGain: gainForLoudness(result.loudness), trackPeak: result.peak };
+        measured.add(track.id);
+      } catch (err) {
+        if (controller.signal.aborted) break;
+        logMain('WARN', 'loudness analysis failed', { path: track.path, error: err?.message || String(err) });
+        failed.push({ path: track.path, error: err?.message || String(err) });
+      }
+    }
+    report(queue.length, '');
+
+    const gainOf = (t) => ({
+      trackGain: t.trackGain ?? map[t.id]?.trackGain ?? null,
+      trackPeak: t.trackPeak ?? map[t.id]?.trackPeak ?? null,
+      duration: t.duration
+    });
+    const albumKeys = new Set(queue.filter((t) => measured.has(t.id)).map(replayGainAlbumKey));
+    const library = albumKeys.size ? db.listTracks() : [];
+    for (const key of albumKeys) {
+      const members = library.filter((t) => !t.missing && replayGainAlbumKey(t) === key);
+      if (members.some((t) => t.albumGain != null)) continue;
+      const album = albumGainFor(members.map(gainOf));
+      if (!album) continue;
+      for (const t of members) {
+        map[t.id] = { ...map[t.id], ...album };
+        measured.add(t.id);
+      }
+    }
+    // The analysis can run for a long time; merge into the current settings instead of saving the old snapshot.
+    const latest = { ...(db.getSettings().replayGainMap || {}) };
+    for (const id of measured) latest[id] = { ...latest[id], ...map[id] };
+    db.updateSettings({ replayGainMap: latest });
+    map = latest;
+  } finally {
+    activeLoudnessJob = null;
+  }
+  logMain('INFO', 'loudness analysis finished', { measured: measured.size, failed: failed.length, canceled: controller.signal.aborted });
+
+  let results = [];
+  if (writeTags) {
+    const changesFor = (track) => {
+      const entry = map[track.id] || {};
+      const changes = Object.fromEntries(REPLAY_GAIN_FIELDS.filter((f) => entry[f] != null).map((f) => [f, entry[f]]));
+      return Object.keys(changes).length ? changes : null;
+    };
+    // Cue sheet tracks share one file; their values stay in the player only.
+    const ids = [...measured].filter((id) => baseTrackId(id) === id);
+    results = await writeTagsForTracks(ids, changesFor, {});
+  }
+  return { replayGainMap: map, measured: measured.size, failed, results, canceled: controller.signal.aborted };
+});
+
+ipcMain.handle('replayGain:cancel', async () => {
+  if (!activeLoudnessJob) return false;
+  activeLoudnessJob.abort();
+  return true;
+});
+
+ipcMain.handle('track:readCoverDataUrl', async (_, filePath, size) => {
+  return readTrackCoverDataUrl(filePath, size);
+});
+
+ipcMain.handle('lyrics:readEmbedded', async (_, filePath) => {
+  if (!filePath) return [];
+  return readEmbeddedLyrics(filePath);
 });
 
 ipcMain.handle('lyrics:installForTrack', async (_, trackPath, lyricPath) => {
@@ -0,0 +1,139 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { readTrackTags } = require('./track-tags.cjs');
+
+const BATCH_SIZE = 16;
+
+function defaultPoolSize() {
+  const cores = os.cpus()?.length || 1;
+  return Math.max(1, Math.min(cores - 1, 8));
+}
+
+// Parses tags on worker threads in batches so the main process keeps serving IPC during large scans.
+// Falls back to in-process parsing if workers cannot be started.
+function createParsePool({ size = defaultPoolSize(), onLog } = {}) {
+  const queue = [];
+  const idle = [];
+  const inFlight = new Map();
+  let batchSeq = 0;
+  let destroyed = false;
+  const workers = [];
+
+  const settleBatch = (batch, results) => {
+    const byFile = new Map(results.map((r) => [r.file, r]));
+    for (const item of batch.items) {
+      const res = byFile.get(item.file);
+      if (res) item.resolve({ tags: res.tags, error: res.error });
+      else item.reject(new Error('missing parse result'));
+    }
+  };
+
+  // A reply for another batch leaves this one without results; its files go back to the front of
+  // the queue once, so a scan never waits on promises nobody will settle.
+  const requeueBatch = (batch) => {
+    const retry = [];
+    for (const item of batch.items) {
+      if (item.requeued) item.reject(new Error('parse result lost'));
+      else retry.push({ ...item, requeued: true });
+    }
+    queue.unshift(...retry);
+  };
+
+  const parseInline = async (batch) => {
+    const results = [];
+    for (const item of batch.items) {
+      results.push({ file: item.file, ...(await readTrackTags(item.file)) });
+    }
+    settleBatch(batch, results);
+  };
+
+  const pump = () => {
+    while (!destroyed && idle.length && queue.length) {
+      const worker = idle.pop();
+      const items = queue.splice(0, BATCH_SIZE);
+      const batch = { id: batchSeq += 1, items };
+      inFlight.set(worker, batch);
+      worker.postMessage({ type: 'parse', batchId: batch.id, files: items.map((x) => x.file) });
+    }
+  };
+
+  const retire = (worker, err) => {
+    const batch = inFlight.get(worker);
+    inFlight.delete(worker);
+    const at = workers.indexOf(worker);
+    if (at >= 0) workers.splice(at, 1);
+    const idleAt = idle.indexOf(worker);
+    if (idleAt >= 0) idle.splice(idleAt, 1);
+    if (onLog) onLog('WARN', 'scan worker exited', { error: err?.message || String(err || 'exit') });
+    if (batch && !destroyed) parseInline(batch);
+    if (!workers.length && !destroyed) {
+      const rest = queue.splice(0, queue.length);
+      if (rest.length) parseInline({ id: 0, items: rest });
+    }
+  };
+
+  for (let i = 0; i < size; i += 1) {
+    try {
+      const worker = new Worker(path.join(__dirname, 'scan-worker.cjs'));
+      worker.on('message', (msg) => {
+        if (msg?.type !== 'result') return;
+        const batch = inFlight.get(worker);
+        inFlight.delete(worker);
+        if (batch && batch.id === msg.batchId) {
+          settleBatch(batch, msg.results || []);
+        } else if (batch) {
+          if (onLog) onLog('WARN', 'scan worker replied for another batch', { expected: batch.id, got: msg.batchId });
+          requeueBatch(batch);
+        }
+        idle.push(worker);
+        pump();
+      });
+      worker.on('error', (err) => retire(worker, err));
+      worker.on('exit', (code) => {
+        if (!destroyed && workers.includes(worker)) retire(worker, new Error(`exit code ${code}`));
+      });
+      workers.push(worker);
+      idle.push(worker);
+    } catch (err) {
+      if (onLog) onLog('WARN', 'scan worker start failed', { error: err?.message || String(err) });
+      break;
+    }
+  }
+
+  return {
+    size: workers.length,
+    parse(file) {
+      return new Promise((resolve, reject) => {
+        if (destroyed) {
+          reject(new Error('parse pool destroyed'));
+          return;
+        }
+        const item = { file, resolve, reject };
+        if (!workers.length) {
+          parseInline({ id: 0, items: [item] });
+          return;
+        }
+        queue.push(item);
+        pump();
+      });
+    },
+    destroy() {
+      if (destroyed) return;
+      destroyed = true;
+      const canceled = new Error('parse pool destroyed');
+      for (const item of queue.splice(0, queue.length)) item.reject(canceled);
+      for (const batch of inFlight.values()) {
+        for (const item of batch.items) item.reject(canceled);
+      }
+      inFlight.clear();
+      for (const worker of workers) worker.terminate();
+      workers.length = 0;
+      idle.length = 0;
+    }
+  };
+}
+
+module.exports = {
+  createParsePool
+};
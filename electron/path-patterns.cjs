@@ -0,0 +1,119 @@
+const path = require('path');
+
+// Placeholder -> track field. Numeric fields only match digits.
+const PLACEHOLDERS = {
+  title: 'title',
+  artist: 'artist',
+  album: 'album',
+  albumartist: 'albumArtist',
+  track: 'trackNo',
+  disc: 'discNo',
+  year: 'year',
+  genre: 'genre',
+  ignore: null
+};
+const NUMERIC_FIELDS = new Set(['trackNo', 'discNo', 'year']);
+const PATH_TAG_FIELDS = ['title', 'artist', 'album', 'albumArtist', 'trackNo', 'discNo', 'year', 'genre'];
+const PLACEHOLDER_RE = /%([a-z]+)%/gi;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Spaces in a pattern are optional next to punctuation ("01.晴天" matches "%track%. %title%").
+function literalSource(text) {
+  if (!text) return '';
+  if (/^\s+$/.test(text)) return '\\s+';
+  return text.split(/\s+/).map(escapeRegExp).join('\\s*');
+}
+
+function compileSegment(segment) {
+  const fields = [];
+  let source = '';
+  let last = 0;
+  for (const match of segment.matchAll(PLACEHOLDER_RE)) {
+    const name = match[1].toLowerCase();
+    if (!(name in PLACEHOLDERS)) return null;
+    const field = PLACEHOLDERS[name];
+    source += literalSource(segment.slice(last, match.index));
+    source += field && NUMERIC_FIELDS.has(field) ? '(\\d+)' : '(.+?)';
+    fields.push(field);
+    last = match.index + match[0].length;
+  }
+  source += literalSource(segment.slice(last));
+  return { re: new RegExp(`^\\s*${source}\\s*$`, 'i'), fields };
+}
+
+/**
+ * Turns a pattern like `%album%/%track%. %title%` into a matcher for the tail of a file path:
+ * each `/`-separated part matches one folder name, the last one the file name without extension.
+ * Returns null for patterns without a known placeholder.
+ */
+function compilePathPattern(pattern) {
+  const text = `${pattern || ''}`.trim().replace(/\\/g, '/');
+  if (!text) return null;
+  const segments = text.split('/').map(compileSegment);
+  if (segments.some((s) => !s) || !segments.some((s) => s.fields.some(Boolean))) return null;
+  return segments;
+}
+
+function matchPathPattern(filePath, compiled) {
+  const parts = `${filePath || ''}`.split(/[\\/]+/).filter(Boolean);
+  if (!parts.length || parts.length < compiled.length) return null;
+  parts[parts.length - 1] = path.parse(parts[parts.length - 1]).name;
+  const tail = parts.slice(parts.length - compiled.length);
+  const values = {};
+  for (let i = 0; i < compiled.length; i += 1) {
+    const hit = compiled[i].re.exec(tail[i]);
+    if (!hit) return null;
+    compiled[i].fields.forEach((field, g) => {
+      const raw = hit[g + 1].trim();
+      if (!field || !raw) return;
+      values[field] = NUMERIC_FIELDS.has(field) ? Number(raw) || null : raw;
+    });
+  }
+  return values;
+}
+
+// What the scanner shows for a field the file has no tag for.
+function fallbackValue(track, field) {
+  if (field === 'title') return path.parse(track.path).name;
+  if (field === 'artist') return 'Unknown Artist';
+  if (field === 'album') return 'Unknown Album';
+  return NUMERIC_FIELDS.has(field) ? null : '';
+}
+
+// Library entries parsed before `missingTags` existed: anything still at its fallback was untagged.
+function guessMissingTags(track) {
+  return PATH_TAG_FIELDS.filter((field) => (track[field] ?? fallbackValue(track, field)) === fallbackValue(track, field));
+}
+
+/**
+ * Fills fields the file has no tag for from the first pattern that matches its path, after resetting
+ * them to their fallbacks so a changed pattern list never leaves stale guesses behind. Mutates and
+ * returns `track`; `track.inferredTags` lists the fields that came from the path.
+ */
+function applyPathPatterns(track, patterns) {
+  if (!Array.isArray(track.missingTags)) track.missingTags = guessMissingTags(track);
+  const missing = track.missingTags.filter((field) => PATH_TAG_FIELDS.includes(field));
+  for (const field of missing) track[field] = fallbackValue(track, field);
+  delete track.inferredTags;
+  if (!missing.length) return track;
+  for (const pattern of patterns || []) {
+    const compiled = compilePathPattern(pattern);
+    const values = compiled && matchPathPattern(track.path, compiled);
+    if (!values) continue;
+    const inferred = missing.filter((field) => values[field] != null);
+    if (!inferred.length) continue;
+    for (const field of inferred) track[field] = values[field];
+    track.inferredTags = inferred;
+    break;
+  }
+  return track;
+}
+
+module.exports = {
+  PATH_TAG_FIELDS,
+  applyPathPatterns,
+  compilePathPattern
+};
@@ -0,0 +1,197 @@
+const path = require('path');
+const { fileURLToPath, pathToFileURL } = require('url');
+
+const PLAYLIST_FORMATS = {
+  '.m3u': 'm3u',
+  '.m3u8': 'm3u',
+  '.pls': 'pls',
+  '.xspf': 'xspf'
+};
+
+function playlistFormatOf(filePath) {
+  return PLAYLIST_FORMATS[path.extname(filePath || '').toLowerCase()] || null;
+}
+
+function decodeXml(value) {
+  return `${value || ''}`
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(Number.parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+function encodeXml(value) {
+  return `${value ?? ''}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function xmlTag(block, name) {
+  const m = block.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i'));
+  return m ? decodeXml(m[1]) : '';
+}
+
+function parseM3u(lines) {
+  const entries = [];
+  let info = null;
+  for (const line of lines) {
+    if (line.startsWith('#')) {
+      const m = line.match(/^#EXTINF:\s*(-?\d+(?:\.\d+)?)[^,]*,(.*)$/i);
+      if (m) info = { duration: Number(m[1]) > 0 ? Number(m[1]) : null, title: m[2].trim() };
+      continue;
+    }
+    entries.push({ location: line, title: info?.title || '', duration: info?.duration ?? null });
+    info = null;
+  }
+  return entries;
+}
+
+function parsePls(lines) {
+  const byIndex = new Map();
+  for (const line of lines) {
+    const m = line.match(/^(File|Title|Length)(\d+)\s*=\s*(.*)$/i);
+    if (!m) continue;
+    const idx = Number(m[2]);
+    const entry = byIndex.get(idx) || { location: '', title: '', duration: null };
+    const key = m[1].toLowerCase();
+    if (key === 'file') entry.location = m[3].trim();
+    if (key === 'title') entry.title = m[3].trim();
+    if (key === 'length') entry.duration = Number(m[3]) > 0 ? Number(m[3]) : null;
+    byIndex.set(idx, entry);
+  }
+  return [...byIndex.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([, entry]) => entry)
+    .filter((entry) => entry.location);
+}
+
+function parseXspf(text) {
+  const title = xmlTag(text.replace(/<trackList[\s\S]*<\/trackList>/i, ''), 'title');
+  const entries = [];
+  for (const m of text.matchAll(/<track(?:\s[^>]*)?>([\s\S]*?)<\/track>/gi)) {
+    const location = xmlTag(m[1], 'location');
+    if (!location) continue;
+    const ms = Number(xmlTag(m[1], 'duration'));
+    entries.push({ location, title: xmlTag(m[1], 'title'), duration: ms > 0 ? ms / 1000 : null });
+  }
+  return { title, entries };
+}
+
+/**
+ * Parses playlist text into `{ title, entries }`; each entry carries the raw `location`
+ * as written in the file (path, relative path or URL) plus optional title/duration.
+ */
+function parsePlaylist(text, format) {
+  const clean = `${text || ''}`.replace(/^\uFEFF/, '');
+  if (format === 'xspf') return parseXspf(clean);
+  const lines = clean.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  if (format === 'pls') return { title: '', entries: parsePls(lines) };
+  const titleLine = lines.find((l) => /^#PLAYLIST:/i.test(l));
+  return { title: titleLine ? titleLine.slice(10).trim() : '', entries: parseM3u(lines) };
+}
+
+/**
+ * Turns an entry location into an absolute local path, or null for remote URLs.
+ * Windows-style separators are accepted everywhere since playlists travel between systems.
+ */
+function resolvePlaylistLocation(location, baseDir) {
+  const loc = `${location || ''}`.trim();
+  if (!loc) return null;
+  if (/^file:/i.test(loc)) {
+    try {
+      return fileURLToPath(loc);
+    } catch (_) {
+      return null;
+    }
+  }
+  if (/^[a-z][a-z0-9+.-]+:\/\//i.test(loc)) return null;
+  let local = loc;
+  if (/%[0-9a-f]{2}/i.test(local) && !/^[a-z]:[\\/]/i.test(local)) {
+    try {
+      local = decodeURIComponent(local);
+    } catch (_) {
+      // keep literal percent signs
+    }
+  }
+  if (path.sep === '/') local = local.replace(/\\/g, '/');
+  if (/^[a-z]:[\\/]/i.test(local) || path.isAbsolute(local)) return path.normalize(local);
+  return path.resolve(baseDir, local);
+}
+
+function playlistLocationFor(trackPath, targetDir, relative, format) {
+  if (!relative) return format === 'xspf' ? pathToFileURL(trackPath).href : trackPath;
+  const rel = path.relative(targetDir, trackPath);
+  // Different drive on Windows: path.relative() hands back an absolute path.
+  if (path.isAbsolute(rel)) return format === 'xspf' ? pathToFileURL(trackPath).href : trackPath;
+  if (format !== 'xspf') return rel;
+  return rel.split(path.sep).map((part) => encodeURIComponent(part)).join('/');
+}
+
+/**
+ * Serializes `{ name, tracks: [{ path, title, artist, duration }] }` for `targetPath`,
+ * picking the format from its extension. `relative` writes paths relative to the playlist.
+ */
+function serializePlaylist(targetPath, { name, tracks }, relative) {
+  const format = playlistFormatOf(targetPath) || 'm3u';
+  const dir = path.dirname(targetPath);
+  const items = (tracks || []).map((t) => ({
+    location: playlistLocationFor(t.path, dir, relative, format),
+    label: t.artist ? `${t.artist} - ${t.title || ''}` : t.title || path.parse(t.path).name,
+    title: t.title || path.parse(t.path).name,
+    artist: t.artist || '',
+    duration: Math.round(Number(t.duration) || 0)
+  }));
+  if (format === 'pls') {
+    return [
+      '[playlist]',
+      ...items.flatMap((item, i) => [
+        `File${i + 1}=${item.location}`,
+        `Title${i + 1}=${item.label}`,
+        `Length${i + 1}=${item.duration || -1}`
+      ]),
+      `NumberOfEntries=${items.length}`,
+      'Version=2',
+      ''
+    ].join('\r\n');
+  }
+  if (format === 'xspf') {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+      `  <title>${encodeXml(name)}</title>`,
+      '  <trackList>',
+      ...items.map((item) => [
+        '    <track>',
+        `      <location>${encodeXml(item.location)}</location>`,
+        `      <title>${encodeXml(item.title)}</title>`,
+        item.artist ? `      <creator>${encodeXml(item.artist)}</creator>` : null,
+        item.duration ? `      <duration>${item.duration * 1000}</duration>` : null,
+        '    </track>'
+      ].filter(Boolean).join('\n')),
+      '  </trackList>',
+      '</playlist>',
+      ''
+    ].join('\n');
+  }
+  return [
+    '#EXTM3U',
+    `#PLAYLIST:${name || ''}`,
+    ...items.flatMap((item) => [`#EXTINF:${item.duration || -1},${item.label}`, item.location]),
+    ''
+  ].join('\r\n');
+}
+
+module.exports = {
+  PLAYLIST_FORMATS,
+  playlistFormatOf,
+  parsePlaylist,
+  resolvePlaylistLocation,
+  serializePlaylist
+};
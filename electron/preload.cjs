@@ -4,15 +4,48 @@ contextBridge.exposeInMainWorld('electronAPI', {
   pickFolders: () => ipcRenderer.invoke('dialog:pickFolders'),
   pickBackgroundImage: () => ipcRenderer.invoke('dialog:pickBackgroundImage'),
   pickLyricFile: () => ipcRenderer.invoke('dialog:pickLyricFile'),
+  pickAudioFile: (defaultPath) => ipcRenderer.invoke('dialog:pickAudioFile', defaultPath),
+  pickCoverImage: () => ipcRenderer.invoke('dialog:pickCoverImage'),
+  pickFfmpegBinary: () => ipcRenderer.invoke('dialog:pickFfmpegBinary'),
+  setFfmpegPath: (ffmpegPath) => ipcRenderer.invoke('ffmpeg:setPath', ffmpegPath),
+  getFfmpegStatus: () => ipcRenderer.invoke('ffmpeg:status'),
+  analyzeReplayGain: (payload) => ipcRenderer.invoke('replayGain:analyze', payload),
+  cancelReplayGain: () => ipcRenderer.invoke('replayGain:cancel'),
   loadData: () => ipcRenderer.invoke('data:load'),
-  saveData: (payload) => ipcRenderer.invoke('data:save', payload),
+  setTrackLiked: (trackId, liked) => ipcRenderer.invoke('library:setLiked', trackId, liked),
+  updateTrack: (trackId, patch) => ipcRenderer.invoke('library:updateTrack', trackId, patch),
+  removeTracks: (trackIds) => ipcRenderer.invoke('library:removeTracks', trackIds),
+  queryTracks: (options) => ipcRenderer.invoke('library:queryTracks', options),
+  createPlaylist: (playlist) => ipcRenderer.invoke('playlist:create', playlist),
+  deletePlaylist: (playlistId) => ipcRenderer.invoke('playlist:delete', playlistId),
+  addTrackToPlaylist: (playlistId, trackId) => ipcRenderer.invoke('playlist:addTrack', playlistId, trackId),
+  removeTrackFromPlaylist: (playlistId, trackId) => ipcRenderer.invoke('playlist:removeTrack', playlistId, trackId),
+  updateSettings: (patch) => ipcRenderer.invoke('settings:update', patch),
+  importPlaylist: () => ipcRenderer.invoke('playlist:import'),
+  exportPlaylist: (payload) => ipcRenderer.invoke('playlist:export', payload),
   scanFolders: (folders) => ipcRenderer.invoke('scan:folders', folders),
+  cancelScan: () => ipcRenderer.invoke('scan:cancel'),
   rescanTrack: (trackPath) => ipcRenderer.invoke('scan:singleTrack', trackPath),
+  writeTrackTags: (payload) => ipcRenderer.invoke('tags:write', payload),
+  getTagEncoding: (trackId) => ipcRenderer.invoke('tags:getEncoding', trackId),
+  setTagEncoding: (payload) => ipcRenderer.invoke('tags:setEncoding', payload),
+  rewriteRepairedTags: (trackIds) => ipcRenderer.invoke('tags:rewriteRepaired', trackIds),
+  previewPathPatterns: (patterns) => ipcRenderer.invoke('tags:previewPathPatterns', patterns),
+  setPathPatterns: (patterns) => ipcRenderer.invoke('tags:setPathPatterns', patterns),
+  relinkTrack: (trackId, newPath) => ipcRenderer.invoke('library:relinkTrack', trackId, newPath),
+  relinkFolder: (oldFolder, newFolder) => ipcRenderer.invoke('library:relinkFolder', oldFolder, newFolder),
+  previewOrganize: (options) => ipcRenderer.invoke('organize:preview', options),
+  applyOrganize: (options) => ipcRenderer.invoke('organize:apply', options),
+  undoOrganize: () => ipcRenderer.invoke('organize:undo'),
   readTextFile: (filePath) => ipcRenderer.invoke('file:readText', filePath),
   readTextFileWithEncoding: (filePath, encoding) => ipcRenderer.invoke('file:readTextWithEncoding', filePath, encoding),
   writeTextFile: (filePath, content) => ipcRenderer.invoke('file:writeText', filePath, content),
   readImageDataUrl: (filePath) => ipcRenderer.invoke('file:readImageDataUrl', filePath),
-  readTrackCoverDataUrl: (filePath) => ipcRenderer.invoke('track:readCoverDataUrl', filePath),
+  readTrackCoverDataUrl: (filePath, size) => ipcRenderer.invoke('track:readCoverDataUrl', filePath, size),
+  loadCoverImage: (payload) => ipcRenderer.invoke('cover:load', payload),
+  applyCover: (payload) => ipcRenderer.invoke('cover:apply', payload),
+  readEmbeddedLyrics: (filePath) => ipcRenderer.invoke('lyrics:readEmbedded', filePath),
+  embedLyrics: (payload) => ipcRenderer.invoke('lyrics:embed', payload),
   installLyricForTrack: (trackPath, lyricPath) => ipcRenderer.invoke('lyrics:installForTrack', trackPath, lyricPath),
   setLyricDownloadTarget: (trackPath) => ipcRenderer.invoke('lyrics:setDownloadTarget', trackPath),
   clearLyricDownloadTarget: () => ipcRenderer.invoke('lyrics:clearDownloadTarget'),
@@ -20,7 +53,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   shiftAndSaveLyrics: (lyricPath, offsetSec) => ipcRenderer.invoke('lyrics:shiftAndSave', lyricPath, offsetSec),
   showItemInFolder: (filePath) => ipcRenderer.invoke('file:showInFolder', filePath),
   openExternal: (url) => ipcRenderer.invoke('external:open', url),
-  readAudioBuffer: (filePath) => ipcRenderer.invoke('audio:readBuffer', filePath),
+  prepareAudioSource: (trackId) => ipcRenderer.invoke('audio:prepareSource', trackId),
   windowMinimize: () => ipcRenderer.invoke('window:minimize'),
   windowToggleMaximize: () => ipcRenderer.invoke('window:toggleMaximize'),
   windowIsMaximized: () => ipcRenderer.invoke('window:isMaximized'),
@@ -44,6 +77,21 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.on('settings:closeBehavior', handler);
     return () => ipcRenderer.removeListener('settings:closeBehavior', handler);
   },
+  onScanProgress: (cb) => {
+    const handler = (_, payload) => cb(payload || {});
+    ipcRenderer.on('scan:progress', handler);
+    return () => ipcRenderer.removeListener('scan:progress', handler);
+  },
+  onReplayGainProgress: (cb) => {
+    const handler = (_, payload) => cb(payload || {});
+    ipcRenderer.on('replayGain:progress', handler);
+    return () => ipcRenderer.removeListener('replayGain:progress', handler);
+  },
+  onLibraryChanged: (cb) => {
+    const handler = (_, payload) => cb(payload || {});
+    ipcRenderer.on('library:changed', handler);
+    return () => ipcRenderer.removeListener('library:changed', handler);
+  },
   onWindowMaximizedChanged: (cb) => {
     const handler = (_, maximized) => cb(!!maximized);
     ipcRenderer.on('window:maximizedChanged', handler);
@@ -0,0 +1,92 @@
+const { execFile } = require('child_process');
+
+// ReplayGain 2.0 plays everything at -18 LUFS; Opus R128 gains are relative to -23 LUFS.
+const REFERENCE_LUFS = -18;
+const R128_OFFSET_DB = 5;
+// ebur128 reports gated silence as -70 LUFS; nothing quieter is worth a gain.
+const SILENCE_LUFS = -70;
+const REPLAY_GAIN_FIELDS = ['trackGain', 'trackPeak', 'albumGain', 'albumPeak'];
+
+// "-6.52 dB" -> -6.52. Null for anything that isn't a sane gain.
+function parseGain(value) {
+  const n = Number.parseFloat(`${value ?? ''}`);
+  return Number.isFinite(n) && Math.abs(n) < 64 ? n : null;
+}
+
+// Linear sample peak, 1.0 = full scale.
+function parsePeak(value) {
+  const n = Number.parseFloat(`${value ?? ''}`);
+  return Number.isFinite(n) && n > 0 && n < 100 ? n : null;
+}
+
+// R128_TRACK_GAIN / R128_ALBUM_GAIN: Q7.8 fixed point dB against -23 LUFS.
+function parseR128Gain(value) {
+  const n = Number.parseInt(`${value ?? ''}`, 10);
+  return Number.isFinite(n) ? Math.round((n / 256 + R128_OFFSET_DB) * 100) / 100 : null;
+}
+
+function parseEbur128Summary(stderr) {
+  const text = `${stderr || ''}`;
+  const summary = text.slice(text.lastIndexOf('Summary:'));
+  const integrated = Number.parseFloat(summary.match(/I:\s+(-?[\d.]+)\s+LUFS/)?.[1]);
+  const peakDb = Number.parseFloat(summary.match(/Peak:\s+(-?[\d.]+)\s+dBFS/)?.[1]);
+  if (!Number.isFinite(integrated) || integrated <= SILENCE_LUFS) return null;
+  return { loudness: integrated, peak: Number.isFinite(peakDb) ? 10 ** (peakDb / 20) : null };
+}
+
+/**
+ * Measures integrated loudness (EBU R128) and true peak with ffmpeg's ebur128 filter.
+ * `start`/`end` (seconds) limit it to a cue sheet track. Resolves to `{ loudness, peak }`,
+ * or null for silence; rejects when ffmpeg fails or `signal` aborts.
+ */
+function measureLoudness(ffmpegPath, filePath, { start = 0, end = null, signal } = {}) {
+  const args = ['-hide_banner', '-nostats', '-loglevel', 'info'];
+  if (start) args.push('-ss', `${start}`);
+  if (end != null) args.push('-t', `${Math.max(0, end - start)}`);
+  args.push('-i', filePath, '-map', '0:a:0', '-af', 'ebur128=peak=true:framelog=verbose', '-f', 'null', '-');
+  return new Promise((resolve, reject) => {
+    execFile(ffmpegPath, args, { maxBuffer: 1024 * 1024 * 16, signal, windowsHide: true }, (err, _stdout, stderr) => {
+      if (err) {
+        err.stderr = stderr;
+        reject(err);
+        return;
+      }
+      resolve(parseEbur128Summary(stderr));
+    });
+  });
+}
+
+function gainForLoudness(loudness) {
+  return Math.round((REFERENCE_LUFS - loudness) * 100) / 100;
+}
+
+/**
+ * Album gain from its tracks' gains: loudness is averaged in the energy domain, weighted by
+ * duration, which is what measuring the album as one stream gives up to gating differences.
+ * `tracks` are `{ trackGain, trackPeak, duration }`; null when any track has no gain.
+ */
+function albumGainFor(tracks) {
+  if (!tracks.length || tracks.some((t) => t.trackGain == null)) return null;
+  let energy = 0;
+  let weight = 0;
+  for (const t of tracks) {
+    const seconds = Math.max(1, Number(t.duration) || 0);
+    energy += seconds * 10 ** ((REFERENCE_LUFS - t.trackGain) / 10);
+    weight += seconds;
+  }
+  const peaks = tracks.map((t) => t.trackPeak).filter((p) => p != null);
+  return {
+    albumGain: gainForLoudness(10 * Math.log10(energy / weight)),
+    albumPeak: peaks.length ? Math.max(...peaks) : null
+  };
+}
+
+module.exports = {
+  REPLAY_GAIN_FIELDS,
+  albumGainFor,
+  gainForLoudness,
+  measureLoudness,
+  parseGain,
+  parsePeak,
+  parseR128Gain
+};
@@ -0,0 +1,24 @@
+const { parentPort } = require('worker_threads');
+const { readTrackTags } = require('./track-tags.cjs');
+
+const FILES_IN_FLIGHT = 4;
+
+async function parseBatch(files) {
+  const results = new Array(files.length);
+  let cursor = 0;
+  const next = async () => {
+    while (cursor < files.length) {
+      const i = cursor;
+      cursor += 1;
+      results[i] = { file: files[i], ...(await readTrackTags(files[i])) };
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(FILES_IN_FLIGHT, files.length) }, next));
+  return results;
+}
+
+parentPort.on('message', async (msg) => {
+  if (msg?.type !== 'parse') return;
+  const results = await parseBatch(msg.files || []);
+  parentPort.postMessage({ type: 'result', batchId: msg.batchId, results });
+});
@@ -0,0 +1,966 @@
+const path = require('path');
+const fs = require('fs/promises');
+const { renameWithRetry } = require('./data-store.cjs');
+
+const COPY_CHUNK = 1024 * 1024;
+const FLAC_PADDING = 4096;
+const ID3_PADDING = 1024;
+// Left-over room beyond this (e.g. after removing a cover) is given back instead of kept as padding.
+const ID3_MAX_REUSED_PADDING = 64 * 1024;
+
+// Fields the editor can change; anything else in a file's tags is carried over untouched.
+const TAG_FIELDS = [
+  'title', 'artist', 'album', 'albumArtist', 'trackNo', 'trackTotal', 'discNo', 'discTotal', 'year', 'genre', 'lyrics',
+  'trackGain', 'trackPeak', 'albumGain', 'albumPeak'
+];
+const NUMBER_FIELDS = new Set(['trackNo', 'trackTotal', 'discNo', 'discTotal', 'year']);
+// ReplayGain values go in as numbers (dB gain, linear peak) and are stored as the usual text.
+const REPLAY_GAIN_NAMES = {
+  trackGain: 'REPLAYGAIN_TRACK_GAIN',
+  trackPeak: 'REPLAYGAIN_TRACK_PEAK',
+  albumGain: 'REPLAYGAIN_ALBUM_GAIN',
+  albumPeak: 'REPLAYGAIN_ALBUM_PEAK'
+};
+
+const ID3_FRAMES = {
+  title: ['TIT2'],
+  artist: ['TPE1'],
+  album: ['TALB'],
+  albumArtist: ['TPE2'],
+  track: ['TRCK'],
+  disc: ['TPOS'],
+  year: ['TYER', 'TDRC', 'TDAT', 'TIME'],
+  genre: ['TCON'],
+  lyrics: ['USLT', 'SYLT']
+};
+const ID3V22_FRAMES = {
+  TT2: 'TIT2', TP1: 'TPE1', TP2: 'TPE2', TAL: 'TALB', TRK: 'TRCK', TPA: 'TPOS', TYE: 'TYER', TCO: 'TCON',
+  TCM: 'TCOM', TT1: 'TIT1', TT3: 'TIT3', TP3: 'TPE3', TP4: 'TPE4', TXT: 'TEXT', TPB: 'TPUB', COM: 'COMM', ULT: 'USLT'
+};
+const VORBIS_KEYS = {
+  title: ['TITLE'],
+  artist: ['ARTIST'],
+  album: ['ALBUM'],
+  albumArtist: ['ALBUMARTIST', 'ALBUM ARTIST'],
+  trackNo: ['TRACKNUMBER'],
+  trackTotal: ['TRACKTOTAL', 'TOTALTRACKS'],
+  discNo: ['DISCNUMBER'],
+  discTotal: ['DISCTOTAL', 'TOTALDISCS'],
+  year: ['DATE', 'YEAR'],
+  genre: ['GENRE'],
+  lyrics: ['LYRICS', 'UNSYNCEDLYRICS'],
+  trackGain: ['REPLAYGAIN_TRACK_GAIN'],
+  trackPeak: ['REPLAYGAIN_TRACK_PEAK'],
+  albumGain: ['REPLAYGAIN_ALBUM_GAIN'],
+  albumPeak: ['REPLAYGAIN_ALBUM_PEAK']
+};
+const MP4_ATOMS = {
+  title: ['©nam'],
+  artist: ['©ART'],
+  album: ['©alb'],
+  albumArtist: ['aART'],
+  track: ['trkn'],
+  disc: ['disk'],
+  year: ['©day'],
+  genre: ['©gen', 'gnre'],
+  lyrics: ['©lyr']
+};
+const APE_KEYS = {
+  title: ['Title'],
+  artist: ['Artist'],
+  album: ['Album'],
+  albumArtist: ['Album Artist', 'AlbumArtist'],
+  track: ['Track'],
+  disc: ['Disc'],
+  year: ['Year'],
+  genre: ['Genre'],
+  lyrics: ['Lyrics'],
+  trackGain: ['REPLAYGAIN_TRACK_GAIN'],
+  trackPeak: ['REPLAYGAIN_TRACK_PEAK'],
+  albumGain: ['REPLAYGAIN_ALBUM_GAIN'],
+  albumPeak: ['REPLAYGAIN_ALBUM_PEAK']
+};
+
+function unsupported(message) {
+  const err = new Error(message);
+  err.code = 'UNSUPPORTED_FORMAT';
+  return err;
+}
+
+function cleanText(value) {
+  return `${value ?? ''}`.trim();
+}
+
+// Lyrics keep their line structure; only the BOM and the line endings are normalized.
+function cleanLyrics(value) {
+  return `${value ?? ''}`.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim();
+}
+
+function cleanReplayGain(key, value) {
+  const n = value === '' || value == null ? NaN : Number(value);
+  if (!Number.isFinite(n)) return null;
+  return key.endsWith('Gain') ? `${n.toFixed(2)} dB` : n.toFixed(6);
+}
+
+function cleanNumber(value) {
+  const n = Number.parseInt(`${value ?? ''}`, 10);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// Normalizes an edit to `{ field: value }` where value is a trimmed string, a positive integer or null (= remove).
+function normalizeChanges(changes) {
+  const out = {};
+  for (const key of TAG_FIELDS) {
+    if (!Object.prototype.hasOwnProperty.call(changes || {}, key)) continue;
+    if (key === 'lyrics') out[key] = cleanLyrics(changes[key]) || null;
+    else if (REPLAY_GAIN_NAMES[key]) out[key] = cleanReplayGain(key, changes[key]);
+    else out[key] = NUMBER_FIELDS.has(key) ? cleanNumber(changes[key]) : cleanText(changes[key]) || null;
+  }
+  return out;
+}
+
+function has(changes, key) {
+  return Object.prototype.hasOwnProperty.call(changes, key);
+}
+
+// Track and disc numbers live in one "n/total" value in ID3, MP4 and APE tags.
+function numberPair(no, total) {
+  if (!no) return null;
+  return total ? `${no}/${total}` : `${no}`;
+}
+
+// Fields grouped the way ID3/MP4/APE store them: track/disc become "n/total" pairs.
+function pairedChanges(changes) {
+  const out = {};
+  for (const key of ['title', 'artist', 'album', 'albumArtist', 'genre', 'lyrics', ...Object.keys(REPLAY_GAIN_NAMES)]) {
+    if (has(changes, key)) out[key] = changes[key];
+  }
+  if (has(changes, 'year')) out.year = changes.year ? `${changes.year}` : null;
+  if (has(changes, 'trackNo') || has(changes, 'trackTotal')) out.track = [changes.trackNo, changes.trackTotal];
+  if (has(changes, 'discNo') || has(changes, 'discTotal')) out.disc = [changes.discNo, changes.discTotal];
+  return out;
+}
+
+function imageMimeOf(data) {
+  if (data?.[0] === 0xff && data[1] === 0xd8) return 'image/jpeg';
+  if (data?.length > 8 && data.toString('latin1', 1, 4) === 'PNG') return 'image/png';
+  return '';
+}
+
+async function readAt(fh, position, length) {
+  const buf = Buffer.alloc(Math.max(0, length));
+  const { bytesRead } = await fh.read(buf, 0, buf.length, position);
+  return buf.subarray(0, bytesRead);
+}
+
+/**
+ * Writes `segments` (Buffers or `{ from, to }` byte ranges of the original) to a temp file and
+ * swaps it in, so an interrupted write never leaves a half-tagged file behind.
+ */
+async function rewriteFile(filePath, segments) {
+  const tmp = `${filePath}.${process.pid}.tagtmp`;
+  const src = await fs.open(filePath, 'r');
+  let out = null;
+  try {
+    out = await fs.open(tmp, 'w');
+    for (const seg of segments) {
+      if (Buffer.isBuffer(seg)) {
+        await out.write(seg);
+        continue;
+      }
+      for (let at = seg.from; at < seg.to; at += COPY_CHUNK) {
+        const chunk = await readAt(src, at, Math.min(COPY_CHUNK, seg.to - at));
+        if (!chunk.length) break;
+        await out.write(chunk);
+      }
+    }
+    await out.sync();
+  } catch (err) {
+    await out?.close().catch(() => {});
+    out = null;
+    await fs.rm(tmp, { force: true }).catch(() => {});
+    throw err;
+  } finally {
+    await out?.close().catch(() => {});
+    await src.close().catch(() => {});
+  }
+  try {
+    await renameWithRetry(tmp, filePath);
+  } catch (err) {
+    await fs.rm(tmp, { force: true }).catch(() => {});
+    throw err;
+  }
+}
+
+// ---------------------------------------------------------------------------------------------
+// ID3v2 (MP3 and other raw MPEG/AAC streams)
+
+function syncsafe(buf, at) {
+  return ((buf[at] & 0x7f) << 21) | ((buf[at + 1] & 0x7f) << 14) | ((buf[at + 2] & 0x7f) << 7) | (buf[at + 3] & 0x7f);
+}
+
+function toSyncsafe(n) {
+  return Buffer.from([(n >> 21) & 0x7f, (n >> 14) & 0x7f, (n >> 7) & 0x7f, n & 0x7f]);
+}
+
+function removeUnsync(buf) {
+  const out = [];
+  for (let i = 0; i < buf.length; i += 1) {
+    out.push(buf[i]);
+    if (buf[i] === 0xff && buf[i + 1] === 0x00) i += 1;
+  }
+  return Buffer.from(out);
+}
+
+function id3TagLength(head) {
+  if (head.length < 10 || head.toString('latin1', 0, 3) !== 'ID3') return 0;
+  return 10 + syncsafe(head, 6) + (head[5] & 0x10 ? 10 : 0);
+}
+
+function id3FrameHeader(id, size, version) {
+  const header = Buffer.alloc(10);
+  header.write(id, 0, 'latin1');
+  if (version === 4) toSyncsafe(size).copy(header, 4);
+  else header.writeUInt32BE(size, 4);
+  return header;
+}
+
+function id3Frame(id, data, version) {
+  return Buffer.concat([id3FrameHeader(id, data.length, version), data]);
+}
+
+// Re-heads a v2.3 frame for a v2.4 tag; compressed or encrypted frames can't be carried over.
+function upgradeV23Frame({ id, raw }) {
+  const flags = raw.readUInt16BE(8);
+  if (flags & 0x00c0 || ['TDAT', 'TIME', 'TRDA', 'TSIZ'].includes(id)) return null;
+  const nextId = id === 'TYER' ? 'TDRC' : id;
+  const header = id3FrameHeader(nextId, raw.length - 10, 4);
+  header.writeUInt16BE(((flags & 0xe000) >> 1) | (flags & 0x0020 ? 0x0040 : 0), 8);
+  return { id: nextId, raw: Buffer.concat([header, raw.subarray(10)]) };
+}
+
+// v2.2 frames have 3-character ids and 6-byte headers; the common ones map onto v2.3 frames.
+function convertV22Frame(id, data) {
+  if (id === 'PIC' && data.length > 5) {
+    const format = data.toString('latin1', 1, 4).toUpperCase();
+    const mime = format === 'PNG' ? 'image/png' : 'image/jpeg';
+    return { id: 'APIC', data: Buffer.concat([data.subarray(0, 1), Buffer.from(`${mime}\0`, 'latin1'), data.subarray(4)]) };
+  }
+  const mapped = ID3V22_FRAMES[id];
+  return mapped ? { id: mapped, data } : null;
+}
+
+function parseId3v2(tag) {
+  const version = tag[3];
+  const flags = tag[5];
+  let body = tag.subarray(10, 10 + syncsafe(tag, 6));
+  if (flags & 0x80 && version < 4) body = removeUnsync(body);
+  let pos = 0;
+  if (flags & 0x40 && version >= 3) pos = version === 4 ? syncsafe(body, 0) : body.readUInt32BE(0) + 4;
+  const frames = [];
+  const headerSize = version === 2 ? 6 : 10;
+  while (pos + headerSize <= body.length && body[pos] !== 0) {
+    const id = body.toString('latin1', pos, pos + (version === 2 ? 3 : 4));
+    let size = 0;
+    if (version === 2) size = body.readUIntBE(pos + 3, 3);
+    else if (version === 4) size = syncsafe(body, pos + 4);
+    else size = body.readUInt32BE(pos + 4);
+    const end = pos + headerSize + size;
+    if (end > body.length) break;
+    if (version === 2) {
+      const converted = convertV22Frame(id, body.subarray(pos + headerSize, end));
+      if (converted) frames.push({ id: converted.id, raw: id3Frame(converted.id, converted.data, 3) });
+    } else {
+      frames.push({ id, raw: body.subarray(pos, end) });
+    }
+    pos = end;
+  }
+  return { version: version === 4 ? 4 : 3, frames };
+}
+
+function isLatin1(text) {
+  return [...text].every((ch) => ch.codePointAt(0) <= 0xff);
+}
+
+function id3Text(text, version) {
+  if (version === 4) return Buffer.concat([Buffer.from([3]), Buffer.from(text, 'utf8')]);
+  if (isLatin1(text)) return Buffer.concat([Buffer.from([0]), Buffer.from(text, 'latin1')]);
+  return Buffer.concat([Buffer.from([1, 0xff, 0xfe]), Buffer.from(text, 'utf16le')]);
+}
+
+// Encoding byte for a frame holding `text`: UTF-8 in v2.4, else Latin-1 when it fits, else UTF-16.
+function id3Encoding(text, version) {
+  if (version === 4) return 3;
+  return isLatin1(text) ? 0 : 1;
+}
+
+function id3String(text, encoding, terminated) {
+  let body = Buffer.from(text, encoding === 3 ? 'utf8' : 'latin1');
+  if (encoding === 1) body = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(text, 'utf16le')]);
+  return terminated ? Buffer.concat([body, Buffer.alloc(encoding === 1 ? 2 : 1)]) : body;
+}
+
+// LRC lines as `{ ms, text }`, one entry per timestamp, in time order.
+function lrcLines(text) {
+  return text
+    .split('\n')
+    .flatMap((line) => {
+      const stamps = [...line.matchAll(/\[(\d+):(\d+(?:\.\d+)?)\]/g)];
+      const content = line.replace(/\[(\d+):(\d+(?:\.\d+)?)\]/g, '').trim();
+      return stamps.map((m) => ({ ms: Math.round((Number(m[1]) * 60 + Number(m[2])) * 1000), text: content }));
+    })
+    .sort((a, b) => a.ms - b.ms);
+}
+
+// USLT with language "XXX" (unknown) and an empty description.
+function id3Lyrics(text, version) {
+  const encoding = id3Encoding(text, version);
+  return Buffer.concat([Buffer.from([encoding]), Buffer.from('XXX', 'latin1'), id3String('', encoding, true), id3String(text, encoding, false)]);
+}
+
+// SYLT with millisecond timestamps (format 2) and content type "lyrics" (1); null when `text` isn't LRC.
+function id3SyncedLyrics(text, version) {
+  const lines = lrcLines(text);
+  if (!lines.length) return null;
+  const encoding = id3Encoding(lines.map((l) => l.text).join(''), version);
+  const entries = lines.map((line) => {
+    const stamp = Buffer.alloc(4);
+    stamp.writeUInt32BE(line.ms);
+    return Buffer.concat([id3String(line.text, encoding, true), stamp]);
+  });
+  return Buffer.concat([Buffer.from([encoding]), Buffer.from('XXX', 'latin1'), Buffer.from([2, 1]), id3String('', encoding, true), ...entries]);
+}
+
+// TXXX is a user-defined text frame: encoding, description, value.
+function id3UserText(description, text, version) {
+  const encoding = id3Encoding(text, version);
+  return Buffer.concat([Buffer.from([encoding]), id3String(description, encoding, true), id3String(text, encoding, false)]);
+}
+
+function id3UserTextDescription(raw) {
+  const encoding = raw[10];
+  const data = raw.subarray(11);
+  if (encoding === 1 || encoding === 2) {
+    let end = 0;
+    while (end + 1 < data.length && (data[end] || data[end + 1])) end += 2;
+    const text = data.subarray(0, end);
+    if (encoding === 2) return Buffer.from(text).swap16().toString('utf16le');
+    return text[0] === 0xfe ? Buffer.from(text.subarray(2)).swap16().toString('utf16le') : text.subarray(text[0] === 0xff ? 2 : 0).toString('utf16le');
+  }
+  const end = data.indexOf(0);
+  return data.toString(encoding === 3 ? 'utf8' : 'latin1', 0, end < 0 ? data.length : end);
+}
+
+function id3Picture(cover) {
+  return Buffer.concat([Buffer.from([0]), Buffer.from(`${cover.mime}\0`, 'latin1'), Buffer.from([3, 0]), cover.data]);
+}
+
+function updateId3v1(trailer, paired) {
+  const out = Buffer.from(trailer);
+  const put = (value, at, length) => {
+    const text = value && isLatin1(value) ? value : '';
+    out.fill(0, at, at + length);
+    out.write(text.slice(0, length), at, 'latin1');
+  };
+  if (has(paired, 'title')) put(paired.title, 3, 30);
+  if (has(paired, 'artist')) put(paired.artist, 33, 30);
+  if (has(paired, 'album')) put(paired.album, 63, 30);
+  if (has(paired, 'year')) put(paired.year, 93, 4);
+  if (paired.track && out[125] === 0) out[126] = Math.min(255, paired.track[0] || 0);
+  return out;
+}
+
+async function writeId3(fh, size, changes, cover, utf8, syncedLyrics) {
+  const head = await readAt(fh, 0, 10);
+  const oldLength = Math.min(id3TagLength(head), size);
+  const parsed = oldLength ? parseId3v2(await readAt(fh, 0, oldLength)) : { version: 3, frames: [] };
+  // ID3v2.3 has no UTF-8 text encoding; asking for UTF-8 upgrades the tag to v2.4.
+  const version = utf8 ? 4 : parsed.version;
+  if (version !== parsed.version) parsed.frames = parsed.frames.map(upgradeV23Frame).filter(Boolean);
+  const paired = pairedChanges(changes);
+  const drop = new Set(Object.keys(paired).flatMap((key) => ID3_FRAMES[key] || []));
+  if (cover !== undefined) drop.add('APIC');
+  // In v2.3 the day and time sit in TDAT/TIME next to TYER; a new year keeps them, clearing it drops them.
+  if (version === 3 && paired.year) {
+    drop.delete('TDAT');
+    drop.delete('TIME');
+  }
+  const dropUserText = new Set(Object.keys(paired).filter((key) => REPLAY_GAIN_NAMES[key]).map((key) => REPLAY_GAIN_NAMES[key]));
+  const frames = parsed.frames
+    .filter((f) => !drop.has(f.id) && !(f.id === 'TXXX' && dropUserText.has(id3UserTextDescription(f.raw).toUpperCase())))
+    .map((f) => f.raw);
+  for (const [key, value] of Object.entries(paired)) {
+    const text = Array.isArray(value) ? numberPair(value[0], value[1]) : value;
+    if (!text) continue;
+    if (REPLAY_GAIN_NAMES[key]) {
+      frames.push(id3Frame('TXXX', id3UserText(REPLAY_GAIN_NAMES[key], text, version), version));
+      continue;
+    }
+    if (key === 'lyrics') {
+      frames.push(id3Frame('USLT', id3Lyrics(text, version), version));
+      const synced = syncedLyrics && id3SyncedLyrics(text, version);
+      if (synced) frames.push(id3Frame('SYLT', synced, version));
+      continue;
+    }
+    const id = key === 'year' ? (version === 4 ? 'TDRC' : 'TYER') : ID3_FRAMES[key][0];
+    frames.push(id3Frame(id, id3Text(text, version), version));
+  }
+  if (cover) frames.push(id3Frame('APIC', id3Picture(cover), version));
+  // The old tag's space is reused when the frames still fit, so files that already had padding keep
+  // their size; otherwise some padding is left for the next edit.
+  const used = frames.reduce((sum, f) => sum + f.length, 0);
+  const room = oldLength - 10;
+  const padding = used <= room && room - used <= ID3_MAX_REUSED_PADDING ? room - used : ID3_PADDING;
+  const body = Buffer.concat([...frames, Buffer.alloc(padding)]);
+  const header = Buffer.concat([Buffer.from('ID3', 'latin1'), Buffer.from([version, 0, 0]), toSyncsafe(body.length)]);
+  const segments = [header, body];
+  const trailer = size - oldLength >= 128 ? await readAt(fh, size - 128, 128) : null;
+  if (trailer?.toString('latin1', 0, 3) === 'TAG') {
+    segments.push({ from: oldLength, to: size - 128 }, updateId3v1(trailer, paired));
+  } else {
+    segments.push({ from: oldLength, to: size });
+  }
+  return segments;
+}
+
+// ---------------------------------------------------------------------------------------------
+// Vorbis comments (FLAC and Ogg Vorbis/Opus)
+
+function parseVorbisComment(buf) {
+  let pos = 0;
+  const vendorLength = buf.readUInt32LE(pos);
+  const vendor = buf.toString('utf8', pos + 4, pos + 4 + vendorLength);
+  pos += 4 + vendorLength;
+  const count = buf.readUInt32LE(pos);
+  pos += 4;
+  const comments = [];
+  for (let i = 0; i < count && pos + 4 <= buf.length; i += 1) {
+    const length = buf.readUInt32LE(pos);
+    comments.push(buf.toString('utf8', pos + 4, pos + 4 + length));
+    pos += 4 + length;
+  }
+  return { vendor, comments, end: pos };
+}
+
+function buildVorbisComment(vendor, comments) {
+  const parts = [];
+  const vendorBuf = Buffer.from(vendor, 'utf8');
+  const u32 = (n) => {
+    const b = Buffer.alloc(4);
+    b.writeUInt32LE(n);
+    return b;
+  };
+  parts.push(u32(vendorBuf.length), vendorBuf, u32(comments.length));
+  for (const comment of comments) {
+    const b = Buffer.from(comment, 'utf8');
+    parts.push(u32(b.length), b);
+  }
+  return Buffer.concat(parts);
+}
+
+function flacPicture(cover) {
+  const mime = Buffer.from(cover.mime, 'latin1');
+  const head = Buffer.alloc(8 + mime.length + 4 + 16 + 4);
+  head.writeUInt32BE(3, 0);
+  head.writeUInt32BE(mime.length, 4);
+  mime.copy(head, 8);
+  // description length, width, height, depth and palette size stay 0
+  head.writeUInt32BE(cover.data.length, head.length - 4);
+  return Buffer.concat([head, cover.data]);
+}
+
+// Applies the edit to a list of "KEY=value" comments; `pictureKey` names the field that carries covers.
+function updateVorbisComments(comments, changes, cover, pictureKey) {
+  const drop = new Set(Object.keys(changes).flatMap((key) => VORBIS_KEYS[key]));
+  if (cover !== undefined && pictureKey) {
+    drop.add(pictureKey);
+    drop.add('COVERART');
+  }
+  const next = comments.filter((c) => !drop.has(c.slice(0, c.indexOf('=')).toUpperCase()));
+  for (const [key, value] of Object.entries(changes)) {
+    if (value) next.push(`${VORBIS_KEYS[key][0]}=${value}`);
+  }
+  if (cover && pictureKey) next.push(`${pictureKey}=${flacPicture(cover).toString('base64')}`);
+  return next;
+}
+
+function flacBlock(type, data, last) {
+  const header = Buffer.alloc(4);
+  header[0] = (last ? 0x80 : 0) | type;
+  header.writeUIntBE(data.length, 1, 3);
+  return Buffer.concat([header, data]);
+}
+
+async function writeFlac(fh, size, changes, cover, start) {
+  const blocks = [];
+  let pos = start + 4;
+  for (;;) {
+    const header = await readAt(fh, pos, 4);
+    if (header.length < 4) throw unsupported('truncated FLAC metadata');
+    const length = header.readUIntBE(1, 3);
+    blocks.push({ type: header[0] & 0x7f, data: await readAt(fh, pos + 4, length) });
+    pos += 4 + length;
+    if (header[0] & 0x80) break;
+  }
+  const metadataLength = pos - start - 4;
+  const existing = blocks.find((b) => b.type === 4);
+  const parsed = existing ? parseVorbisComment(existing.data) : { vendor: 'YMusic', comments: [] };
+  const comment = buildVorbisComment(parsed.vendor, updateVorbisComments(parsed.comments, changes, undefined, null));
+  const kept = [];
+  for (const block of blocks) {
+    if (block.type === 1) continue;
+    if (block.type === 4) {
+      kept.push({ type: 4, data: comment });
+      continue;
+    }
+    if (block.type === 6 && cover !== undefined) continue;
+    kept.push(block);
+  }
+  if (!existing) kept.splice(1, 0, { type: 4, data: comment });
+  if (cover) kept.push({ type: 6, data: flacPicture(cover) });
+  const used = kept.reduce((sum, b) => sum + 4 + b.data.length, 0);
+  // Reuse the old metadata area when the new blocks fit, so the audio starts at the same offset and
+  // the size doesn't change; the file itself is still rewritten through a temp copy.
+  const padding = used + 4 <= metadataLength ? metadataLength - used - 4 : FLAC_PADDING;
+  kept.push({ type: 1, data: Buffer.alloc(padding) });
+  const encoded = kept.map((b, i) => flacBlock(b.type, b.data, i === kept.length - 1));
+  const prefix = start ? [{ from: 0, to: start }] : [];
+  return [...prefix, Buffer.from('fLaC', 'latin1'), ...encoded, { from: pos, to: size }];
+}
+
+const OGG_CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i += 1) {
+    let r = i << 24;
+    for (let j = 0; j < 8; j += 1) r = r & 0x80000000 ? (r << 1) ^ 0x04c11db7 : r << 1;
+    table[i] = r >>> 0;
+  }
+  return table;
+})();
+
+function oggCrc(buf) {
+  let crc = 0;
+  for (const byte of buf) crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+  return crc;
+}
+
+function parseOggPages(buf) {
+  const pages = [];
+  let pos = 0;
+  while (pos + 27 <= buf.length && buf.toString('latin1', pos, pos + 4) === 'OggS') {
+    const segments = buf[pos + 26];
+    const lacing = buf.subarray(pos + 27, pos + 27 + segments);
+    const bodyLength = lacing.reduce((sum, n) => sum + n, 0);
+    const headerLength = 27 + segments;
+    pages.push({
+      start: pos,
+      end: pos + headerLength + bodyLength,
+      flags: buf[pos + 5],
+      serial: buf.readUInt32LE(pos + 14),
+      lacing,
+      body: buf.subarray(pos + headerLength, pos + headerLength + bodyLength)
+    });
+    pos += headerLength + bodyLength;
+  }
+  return pages;
+}
+
+function oggPage({ flags, granule, serial, sequence, lacing, body }) {
+  const header = Buffer.alloc(27 + lacing.length);
+  header.write('OggS', 0, 'latin1');
+  header[5] = flags;
+  header.writeBigUInt64LE(granule, 6);
+  header.writeUInt32LE(serial, 14);
+  header.writeUInt32LE(sequence, 18);
+  header[26] = lacing.length;
+  Buffer.from(lacing).copy(header, 27);
+  const page = Buffer.concat([header, body]);
+  page.writeUInt32LE(oggCrc(page), 22);
+  return page;
+}
+
+// Splits header packets into fresh pages; the last header packet always ends its page.
+function paginateOgg(packets, serial, firstSequence) {
+  const pages = [];
+  let lacing = [];
+  let bodies = [];
+  let continued = false;
+  const flush = (nextContinued) => {
+    pages.push(oggPage({
+      flags: continued ? 1 : 0,
+      granule: 0n,
+      serial,
+      sequence: firstSequence + pages.length,
+      lacing,
+      body: Buffer.concat(bodies)
+    }));
+    lacing = [];
+    bodies = [];
+    continued = nextContinued;
+  };
+  for (const packet of packets) {
+    let offset = 0;
+    for (;;) {
+      const chunk = Math.min(255, packet.length - offset);
+      lacing.push(chunk);
+      bodies.push(packet.subarray(offset, offset + chunk));
+      offset += chunk;
+      const done = chunk < 255;
+      if (lacing.length === 255) flush(!done);
+      if (done) break;
+    }
+  }
+  if (lacing.length) flush(false);
+  return pages;
+}
+
+async function writeOgg(filePath, changes, cover) {
+  const buf = await fs.readFile(filePath);
+  const pages = parseOggPages(buf);
+  if (!pages.length) throw unsupported('no Ogg pages');
+  const serial = pages[0].serial;
+  const first = pages[0].body;
+  const codec = first.toString('latin1', 1, 7) === 'vorbis' ? 'vorbis' : first.toString('latin1', 0, 8) === 'OpusHead' ? 'opus' : '';
+  if (!codec) throw unsupported('unsupported Ogg codec');
+  const headerCount = codec === 'vorbis' ? 3 : 2;
+
+  // Reassemble the header packets from the pages of the first logical stream.
+  const packets = [];
+  let partial = [];
+  let lastHeaderPage = -1;
+  for (let i = 0; i < pages.length && packets.length < headerCount; i += 1) {
+    const page = pages[i];
+    if (page.serial !== serial) continue;
+    let offset = 0;
+    for (const n of page.lacing) {
+      partial.push(page.body.subarray(offset, offset + n));
+      offset += n;
+      if (n < 255) {
+        packets.push(Buffer.concat(partial));
+        partial = [];
+        if (packets.length === headerCount) break;
+      }
+    }
+    lastHeaderPage = i;
+  }
+  if (packets.length < headerCount) throw unsupported('truncated Ogg headers');
+
+  const magicLength = codec === 'vorbis' ? 7 : 8;
+  const parsed = parseVorbisComment(packets[1].subarray(magicLength));
+  const comments = updateVorbisComments(parsed.comments, changes, cover, 'METADATA_BLOCK_PICTURE');
+  const body = buildVorbisComment(parsed.vendor, comments);
+  packets[1] = Buffer.concat([packets[1].subarray(0, magicLength), body, codec === 'vorbis' ? Buffer.from([1]) : Buffer.alloc(0)]);
+
+  const headerPages = paginateOgg(packets.slice(1), serial, 1);
+  const between = pages.slice(1, lastHeaderPage + 1);
+  const others = between.filter((page) => page.serial !== serial);
+  const shift = headerPages.length - (between.length - others.length);
+  const out = [buf.subarray(pages[0].start, pages[0].end), ...headerPages, ...others.map((page) => buf.subarray(page.start, page.end))];
+  for (const page of pages.slice(lastHeaderPage + 1)) {
+    const raw = buf.subarray(page.start, page.end);
+    if (page.serial !== serial || shift === 0) {
+      out.push(raw);
+      continue;
+    }
+    const copy = Buffer.from(raw);
+    copy.writeUInt32LE(copy.readUInt32LE(18) + shift, 18);
+    copy.writeUInt32LE(0, 22);
+    copy.writeUInt32LE(oggCrc(copy), 22);
+    out.push(copy);
+  }
+  const tailStart = pages[pages.length - 1].end;
+  if (tailStart < buf.length) out.push(buf.subarray(tailStart));
+  return out;
+}
+
+// ---------------------------------------------------------------------------------------------
+// MP4 / M4A (iTunes-style ilst atoms)
+
+function readBoxes(buf, start, end) {
+  const boxes = [];
+  let pos = start;
+  while (pos + 8 <= end) {
+    let size = buf.readUInt32BE(pos);
+    let header = 8;
+    if (size === 1) {
+      size = Number(buf.readBigUInt64BE(pos + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - pos;
+    }
+    if (size < header || pos + size > end) break;
+    boxes.push({ type: buf.toString('latin1', pos + 4, pos + 8), start: pos, end: pos + size, header });
+    pos += size;
+  }
+  return boxes;
+}
+
+function mp4Box(type, ...payload) {
+  const body = Buffer.concat(payload);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+function mp4Item(type, dataType, payload) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(dataType, 0);
+  return mp4Box(type, mp4Box('data', head, payload));
+}
+
+function mp4Pair(no, total, length) {
+  const payload = Buffer.alloc(length);
+  payload.writeUInt16BE(no || 0, 2);
+  payload.writeUInt16BE(total || 0, 4);
+  return payload;
+}
+
+// iTunes freeform item ("----" with mean/name/data), used for tags without a dedicated atom.
+function mp4Freeform(name, value) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(1, 0);
+  return mp4Box(
+    '----',
+    mp4Box('mean', Buffer.alloc(4), Buffer.from('com.apple.iTunes', 'latin1')),
+    mp4Box('name', Buffer.alloc(4), Buffer.from(name, 'utf8')),
+    mp4Box('data', head, Buffer.from(value, 'utf8'))
+  );
+}
+
+function mp4FreeformName(raw) {
+  const name = readBoxes(raw, 8, raw.length).find((b) => b.type === 'name');
+  return name ? raw.toString('utf8', name.start + name.header + 4, name.end) : '';
+}
+
+// Rebuilds a container box from new child buffers, keeping `keep` bytes after its header (meta's version/flags).
+function rebuildBox(buf, box, children, keep = 0) {
+  return mp4Box(box.type, buf.subarray(box.start + box.header, box.start + box.header + keep), ...children);
+}
+
+function childBuffers(buf, box, keep = 0) {
+  return readBoxes(buf, box.start + box.header + keep, box.end).map((child) => ({ ...child, raw: buf.subarray(child.start, child.end) }));
+}
+
+function replaceChild(children, type, replacement) {
+  const idx = children.findIndex((c) => c.type === type);
+  if (idx >= 0) children[idx] = { type, raw: replacement };
+  else children.push({ type, raw: replacement });
+  return children.map((c) => c.raw);
+}
+
+// Chunk offsets point into mdat; when moov sits in front of it they move by however much moov grew.
+function shiftChunkOffsets(moov, delta, after) {
+  const visit = (start, end) => {
+    for (const box of readBoxes(moov, start, end)) {
+      if (['trak', 'mdia', 'minf', 'stbl'].includes(box.type)) visit(box.start + box.header, box.end);
+      if (box.type !== 'stco' && box.type !== 'co64') continue;
+      const count = moov.readUInt32BE(box.start + box.header + 4);
+      const wide = box.type === 'co64';
+      let at = box.start + box.header + 8;
+      for (let i = 0; i < count; i += 1, at += wide ? 8 : 4) {
+        if (wide) {
+          const value = moov.readBigUInt64BE(at);
+          if (value >= BigInt(after)) moov.writeBigUInt64BE(value + BigInt(delta), at);
+        } else {
+          const value = moov.readUInt32BE(at);
+          if (value >= after) moov.writeUInt32BE(value + delta, at);
+        }
+      }
+    }
+  };
+  visit(8, moov.length);
+}
+
+async function writeMp4(fh, size, changes, cover) {
+  const top = [];
+  for (let pos = 0; pos + 8 <= size;) {
+    const head = await readAt(fh, pos, 16);
+    let boxSize = head.readUInt32BE(0);
+    let header = 8;
+    if (boxSize === 1) {
+      boxSize = Number(head.readBigUInt64BE(8));
+      header = 16;
+    } else if (boxSize === 0) {
+      boxSize = size - pos;
+    }
+    if (boxSize < header) break;
+    top.push({ type: head.toString('latin1', 4, 8), start: pos, end: Math.min(size, pos + boxSize), header });
+    pos += boxSize;
+  }
+  const moovBox = top.find((b) => b.type === 'moov');
+  if (!moovBox) throw unsupported('no moov atom');
+  const moov = await readAt(fh, moovBox.start, moovBox.end - moovBox.start);
+  const root = { type: 'moov', start: 0, end: moov.length, header: moovBox.header };
+
+  const moovChildren = childBuffers(moov, root);
+  const udta = moovChildren.find((c) => c.type === 'udta');
+  const udtaChildren = udta ? childBuffers(moov, udta) : [];
+  const meta = udtaChildren.find((c) => c.type === 'meta');
+  const metaChildren = meta ? childBuffers(moov, meta, 4) : [];
+  if (!meta) {
+    const hdlr = Buffer.alloc(25);
+    hdlr.write('mdir', 8, 'latin1');
+    hdlr.write('appl', 12, 'latin1');
+    metaChildren.push({ type: 'hdlr', raw: mp4Box('hdlr', hdlr) });
+  }
+  const ilst = metaChildren.find((c) => c.type === 'ilst');
+
+  const paired = pairedChanges(changes);
+  const drop = new Set(Object.keys(paired).flatMap((key) => MP4_ATOMS[key] || []));
+  if (cover !== undefined) drop.add('covr');
+  const dropFreeform = new Set(Object.keys(paired).filter((key) => REPLAY_GAIN_NAMES[key]).map((key) => REPLAY_GAIN_NAMES[key]));
+  const items = (ilst ? childBuffers(moov, ilst) : [])
+    .filter((c) => !drop.has(c.type) && !(c.type === '----' && dropFreeform.has(mp4FreeformName(c.raw).toUpperCase())))
+    .map((c) => c.raw);
+  for (const [key, value] of Object.entries(paired)) {
+    if (REPLAY_GAIN_NAMES[key]) {
+      if (value) items.push(mp4Freeform(REPLAY_GAIN_NAMES[key].toLowerCase(), value));
+      continue;
+    }
+    const type = MP4_ATOMS[key][0];
+    if (Array.isArray(value)) {
+      if (value[0] || value[1]) items.push(mp4Item(type, 0, mp4Pair(value[0], value[1], key === 'track' ? 8 : 6)));
+    } else if (value) {
+      items.push(mp4Item(type, 1, Buffer.from(value, 'utf8')));
+    }
+  }
+  if (cover) items.push(mp4Item('covr', cover.mime === 'image/png' ? 14 : 13, cover.data));
+
+  const newMeta = meta
+    ? rebuildBox(moov, meta, replaceChild(metaChildren, 'ilst', mp4Box('ilst', ...items)), 4)
+    : mp4Box('meta', Buffer.alloc(4), ...replaceChild(metaChildren, 'ilst', mp4Box('ilst', ...items)));
+  const newUdta = udta
+    ? rebuildBox(moov, udta, replaceChild(udtaChildren, 'meta', newMeta))
+    : mp4Box('udta', newMeta);
+  const newMoov = mp4Box('moov', ...replaceChild(moovChildren, 'udta', newUdta));
+
+  const delta = newMoov.length - moov.length;
+  if (delta && top.some((b) => b.type === 'mdat' && b.start > moovBox.start)) {
+    shiftChunkOffsets(newMoov, delta, moovBox.end);
+  }
+  return top.map((box) => (box === moovBox ? newMoov : { from: box.start, to: box.end }));
+}
+
+// ---------------------------------------------------------------------------------------------
+// APEv2 (Monkey's Audio, WavPack, Musepack)
+
+function apeHeader(size, count, isHeader) {
+  const buf = Buffer.alloc(32);
+  buf.write('APETAGEX', 0, 'latin1');
+  buf.writeUInt32LE(2000, 8);
+  buf.writeUInt32LE(size, 12);
+  buf.writeUInt32LE(count, 16);
+  buf.writeUInt32LE((0x80000000 | (isHeader ? 0x20000000 : 0)) >>> 0, 20);
+  return buf;
+}
+
+function apeItem(key, value, binary) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32LE(value.length, 0);
+  head.writeUInt32LE(binary ? 2 : 0, 4);
+  return Buffer.concat([head, Buffer.from(`${key}\0`, 'latin1'), value]);
+}
+
+async function writeApe(fh, size, changes, cover) {
+  let audioEnd = size;
+  let trailer = null;
+  if (size >= 128) {
+    const last = await readAt(fh, size - 128, 128);
+    if (last.toString('latin1', 0, 3) === 'TAG') {
+      trailer = last;
+      audioEnd -= 128;
+    }
+  }
+  let items = [];
+  const footer = audioEnd >= 32 ? await readAt(fh, audioEnd - 32, 32) : Buffer.alloc(0);
+  if (footer.length === 32 && footer.toString('latin1', 0, 8) === 'APETAGEX') {
+    const tagSize = footer.readUInt32LE(12);
+    const count = footer.readUInt32LE(16);
+    const hasHeader = !!(footer.readUInt32LE(20) & 0x80000000);
+    const itemsStart = audioEnd - tagSize;
+    const body = await readAt(fh, itemsStart, tagSize - 32);
+    let pos = 0;
+    for (let i = 0; i < count && pos + 8 < body.length; i += 1) {
+      const valueSize = body.readUInt32LE(pos);
+      const keyEnd = body.indexOf(0, pos + 8);
+      if (keyEnd < 0) break;
+      const end = keyEnd + 1 + valueSize;
+      items.push({ key: body.toString('latin1', pos + 8, keyEnd), raw: body.subarray(pos, end) });
+      pos = end;
+    }
+    audioEnd = itemsStart - (hasHeader ? 32 : 0);
+  }
+  const paired = pairedChanges(changes);
+  const drop = new Set(Object.keys(paired).flatMap((key) => APE_KEYS[key]).map((k) => k.toLowerCase()));
+  if (cover !== undefined) drop.add('cover art (front)');
+  items = items.filter((item) => !drop.has(item.key.toLowerCase())).map((item) => item.raw);
+  for (const [key, value] of Object.entries(paired)) {
+    const text = Array.isArray(value) ? numberPair(value[0], value[1]) : value;
+    if (text) items.push(apeItem(APE_KEYS[key][0], Buffer.from(text, 'utf8'), false));
+  }
+  if (cover) {
+    const name = cover.mime === 'image/png' ? 'cover.png' : 'cover.jpg';
+    items.push(apeItem('Cover Art (Front)', Buffer.concat([Buffer.from(`${name}\0`, 'latin1'), cover.data]), true));
+  }
+  const body = Buffer.concat(items);
+  const segments = [{ from: 0, to: audioEnd }];
+  if (items.length) segments.push(apeHeader(body.length + 32, items.length, true), body, apeHeader(body.length + 32, items.length, false));
+  if (trailer) segments.push(trailer);
+  return segments;
+}
+
+// ---------------------------------------------------------------------------------------------
+
+async function detectTagFormat(fh, filePath) {
+  const head = await readAt(fh, 0, 12);
+  const skip = id3TagLength(head);
+  const afterId3 = skip ? await readAt(fh, skip, 4) : head;
+  const ext = path.extname(filePath).toLowerCase();
+  if (afterId3.toString('latin1', 0, 4) === 'fLaC') return { format: 'flac', start: skip };
+  if (head.toString('latin1', 0, 4) === 'OggS') return { format: 'ogg' };
+  if (head.toString('latin1', 4, 8) === 'ftyp') return { format: 'mp4' };
+  if (['MAC ', 'wvpk', 'MPCK'].includes(afterId3.toString('latin1', 0, 4)) || afterId3.toString('latin1', 0, 3) === 'MP+') {
+    return { format: 'ape' };
+  }
+  if (skip || ['.mp3', '.mp2', '.aac'].includes(ext) || (head[0] === 0xff && (head[1] & 0xe0) === 0xe0)) return { format: 'id3' };
+  return { format: null };
+}
+
+/**
+ * Writes tag fields (and optionally a cover) into an audio file in place. `changes` holds only the
+ * fields to touch (see TAG_FIELDS); empty values remove the field. `cover` is `{ data, mime }` to
+ * replace the front cover, `null` to remove all embedded pictures, or undefined to leave them.
+ * `utf8` makes ID3 tags store text as UTF-8 (other formats always do). `lyrics` is stored as
+ * USLT / LYRICS / ©lyr / Lyrics; with `syncedLyrics` an LRC text also gets an ID3 SYLT frame.
+ * ReplayGain fields become TXXX frames, REPLAYGAIN_* comments or iTunes freeform items.
+ * Throws an error with code UNSUPPORTED_FORMAT for containers this writer doesn't understand.
+ */
+async function writeTrackTags(filePath, changes, { cover, utf8 = false, syncedLyrics = false } = {}) {
+  const normalized = normalizeChanges(changes);
+  const picture = cover ? { data: cover.data, mime: cover.mime || imageMimeOf(cover.data) || 'image/jpeg' } : cover;
+  const fh = await fs.open(filePath, 'r');
+  let format = null;
+  let segments = null;
+  try {
+    const { size } = await fh.stat();
+    const detected = await detectTagFormat(fh, filePath);
+    format = detected.format;
+    if (format === 'id3') segments = await writeId3(fh, size, normalized, picture, utf8, syncedLyrics);
+    else if (format === 'flac') segments = await writeFlac(fh, size, normalized, picture, detected.start);
+    else if (format === 'mp4') segments = await writeMp4(fh, size, normalized, picture);
+    else if (format === 'ape') segments = await writeApe(fh, size, normalized, picture);
+    else if (format === 'ogg') segments = await writeOgg(filePath, normalized, picture);
+    else throw unsupported(`unsupported format: ${path.extname(filePath) || 'unknown'}`);
+  } finally {
+    await fh.close().catch(() => {});
+  }
+  await rewriteFile(filePath, segments);
+  return { format };
+}
+
+module.exports = {
+  TAG_FIELDS,
+  imageMimeOf,
+  writeTrackTags
+};
@@ -0,0 +1,158 @@
+const LRC_MARKER_RE = /\[\d{1,2}:\d{1,2}(?:\.\d+)?\]/;
+const TEXT_ENCODINGS = ['utf-8', 'gb18030', 'gbk', 'big5', 'shift_jis', 'euc-kr', 'utf-16le'];
+// Tag strings never hold UTF-16 once a parser has turned them into Latin-1 text.
+const TAG_ENCODINGS = TEXT_ENCODINGS.filter((enc) => enc !== 'utf-16le');
+const TAG_TEXT_FIELDS = ['title', 'artist', 'album', 'albumArtist', 'genre', 'composer'];
+const NO_MARKER_RE = /(?!)/;
+
+function decodeUtf16be(buf) {
+  if (buf.length < 2) return '';
+  const evenLen = buf.length - (buf.length % 2);
+  const swapped = Buffer.allocUnsafe(evenLen);
+  for (let i = 0; i < evenLen; i += 2) {
+    swapped[i] = buf[i + 1];
+    swapped[i + 1] = buf[i];
+  }
+  return new TextDecoder('utf-16le').decode(swapped);
+}
+
+function scoreDecodedText(txt, marker = LRC_MARKER_RE) {
+  if (!txt) return -1e9;
+  const bad = (txt.match(/\uFFFD/g) || []).length;
+  const nul = (txt.match(/\u0000/g) || []).length;
+  const hasLrcTag = marker.test(txt);
+  const cjk = (txt.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g) || []).length;
+  return (hasLrcTag ? 1000 : 0) + cjk * 0.1 - bad * 40 - nul * 3;
+}
+
+// `marker` recognizes a correctly decoded file (LRC timestamps by default, TRACK lines for cue sheets).
+function decodeTextSmart(buf, marker = LRC_MARKER_RE) {
+  if (!buf || !buf.length) return '';
+
+  if (buf.length >= 3 && buf[0] === 0xef && buf[1] === 0xbb && buf[2] === 0xbf) {
+    return new TextDecoder('utf-8').decode(buf.subarray(3));
+  }
+  if (buf.length >= 2 && buf[0] === 0xff && buf[1] === 0xfe) {
+    return new TextDecoder('utf-16le').decode(buf.subarray(2));
+  }
+  if (buf.length >= 2 && buf[0] === 0xfe && buf[1] === 0xff) {
+    return decodeUtf16be(buf.subarray(2));
+  }
+
+  let best = '';
+  let bestScore = -1e9;
+  let bestTagged = '';
+  let bestTaggedScore = -1e9;
+  for (const enc of TEXT_ENCODINGS) {
+    try {
+      const txt = new TextDecoder(enc).decode(buf);
+      const score = scoreDecodedText(txt, marker);
+      const tagged = marker.test(txt);
+      if (tagged && score > bestTaggedScore) {
+        bestTaggedScore = score;
+        bestTagged = txt;
+      }
+      if (score > bestScore) {
+        bestScore = score;
+        best = txt;
+      }
+    } catch (_) {
+      // ignore unsupported encoding in runtime
+    }
+  }
+  return bestTagged || best || new TextDecoder('utf-8').decode(buf);
+}
+
+function decodeTextWithEncoding(buf, encoding) {
+  if (!buf || !buf.length) return '';
+  const enc = `${encoding || ''}`.toLowerCase();
+  if (!enc || enc === 'auto') return decodeTextSmart(buf);
+  if (enc === 'utf-16be') {
+    if (buf.length >= 2 && buf[0] === 0xfe && buf[1] === 0xff) return decodeUtf16be(buf.subarray(2));
+    return decodeUtf16be(buf);
+  }
+  if (enc === 'utf-16le') {
+    if (buf.length >= 2 && buf[0] === 0xff && buf[1] === 0xfe) return new TextDecoder('utf-16le').decode(buf.subarray(2));
+    return new TextDecoder('utf-16le').decode(buf);
+  }
+  return new TextDecoder(enc).decode(buf);
+}
+
+/**
+ * Re-decodes a tag string that a parser read as Latin-1 although it holds GBK/Big5/Shift_JIS (or
+ * UTF-8) bytes, e.g. "Ö÷¸è". Returns `{ text, encoding }`, or null when the string is fine as it is.
+ * `encoding` forces one charset; 'auto' picks the best candidate by the same scoring as lyric files.
+ */
+function redecodeTagText(value, encoding = 'auto') {
+  const text = `${value || ''}`;
+  // Anything above U+00FF means the parser already produced real Unicode.
+  if (!/[\u0080-\u00ff]/.test(text) || /[^\u0000-\u00ff]/.test(text)) return null;
+  const buf = Buffer.from(text, 'latin1');
+  if (encoding && encoding !== 'auto') {
+    try {
+      const forced = decodeTextWithEncoding(buf, encoding);
+      return forced.includes('\uFFFD') ? null : { text: forced, encoding };
+    } catch (_) {
+      return null;
+    }
+  }
+  // Genuine Latin-1 names ("Beyoncé", "Mötley Crüe") rarely have two accented letters in a row;
+  // every double-byte charset produces at least one such pair.
+  if (!/[\u0080-\u00ff]{2}/.test(text)) return null;
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buf), encoding: 'utf-8' };
+  } catch (_) {
+    // not UTF-8; try the legacy double-byte charsets
+  }
+  let best = null;
+  let bestScore = 0;
+  for (const enc of TAG_ENCODINGS.slice(1)) {
+    try {
+      const candidate = new TextDecoder(enc).decode(buf);
+      const score = scoreDecodedText(candidate, NO_MARKER_RE);
+      if (score > bestScore) {
+        bestScore = score;
+        best = { text: candidate, encoding: enc };
+      }
+    } catch (_) {
+      // ignore unsupported encoding in runtime
+    }
+  }
+  return best;
+}
+
+/**
+ * Repairs the text fields of a track in place. The strings as parsed are kept in `rawTags`, so a
+ * later override (another `encoding`, or 'none' to keep the Latin-1 text) starts from the original.
+ * `tagEncoding` records the charset that was applied, empty when nothing needed fixing.
+ */
+function applyTagEncoding(track, encoding = 'auto') {
+  const raw = track.rawTags || {};
+  const rawTags = {};
+  let applied = '';
+  for (const field of TAG_TEXT_FIELDS) {
+    // Untagged fields hold fallbacks or names inferred from the path, never legacy tag bytes.
+    if (track.missingTags?.includes(field)) continue;
+    const source = raw[field] ?? track[field];
+    if (typeof source !== 'string') continue;
+    const fixed = encoding === 'none' ? null : redecodeTagText(source, encoding);
+    track[field] = fixed ? fixed.text : source;
+    if (!fixed) continue;
+    rawTags[field] = source;
+    applied = applied || fixed.encoding;
+  }
+  if (applied) {
+    track.rawTags = rawTags;
+    track.tagEncoding = applied;
+  } else {
+    delete track.rawTags;
+    delete track.tagEncoding;
+  }
+  return track;
+}
+
+module.exports = {
+  applyTagEncoding,
+  decodeTextSmart,
+  decodeTextWithEncoding
+};
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+
+const FINGERPRINT_CHUNK = 64 * 1024;
+const TRACK_ID_PREFIX = 't-';
+
+function sha1(value) {
+  return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+async function readAt(fh, position, length) {
+  const buf = Buffer.alloc(Math.max(0, length));
+  const { bytesRead } = await fh.read(buf, 0, buf.length, position);
+  return buf.subarray(0, bytesRead);
+}
+
+// Offset of the first audio byte, skipping leading tag/metadata containers that tag edits rewrite.
+async function findPayloadStart(fh, size) {
+  let pos = 0;
+  for (;;) {
+    const head = await readAt(fh, pos, 12);
+    if (head.length < 4) return pos;
+    const magic = head.toString('latin1', 0, 4);
+    if (magic.startsWith('ID3') && head.length >= 10) {
+      const tagSize = ((head[6] & 0x7f) << 21) | ((head[7] & 0x7f) << 14) | ((head[8] & 0x7f) << 7) | (head[9] & 0x7f);
+      pos += 10 + tagSize + (head[5] & 0x10 ? 10 : 0);
+      continue;
+    }
+    if (magic === 'fLaC') {
+      pos += 4;
+      for (;;) {
+        const block = await readAt(fh, pos, 4);
+        if (block.length < 4) return pos;
+        pos += 4 + block.readUIntBE(1, 3);
+        if (block[0] & 0x80) return pos;
+      }
+    }
+    if (magic === 'RIFF' || magic === 'FORM') {
+      const le = magic === 'RIFF';
+      const dataId = le ? 'data' : 'SSND';
+      let at = 12;
+      while (at + 8 <= size) {
+        const chunk = await readAt(fh, at, 8);
+        if (chunk.length < 8) break;
+        const chunkSize = le ? chunk.readUInt32LE(4) : chunk.readUInt32BE(4);
+        if (chunk.toString('latin1', 0, 4) === dataId) return at + 8 + (le ? 0 : 8);
+        at += 8 + chunkSize + (chunkSize & 1);
+      }
+      return pos;
+    }
+    if (head.length >= 8 && head.toString('latin1', 4, 8) === 'ftyp') {
+      let at = 0;
+      while (at + 8 <= size) {
+        const box = await readAt(fh, at, 16);
+        if (box.length < 8) break;
+        let boxSize = box.readUInt32BE(0);
+        let header = 8;
+        if (boxSize === 1 && box.length >= 16) {
+          boxSize = Number(box.readBigUInt64BE(8));
+          header = 16;
+        }
+        if (box.toString('latin1', 4, 8) === 'mdat') return at + header;
+        if (boxSize < header) break;
+        at += boxSize;
+      }
+      return pos;
+    }
+    return pos;
+  }
+}
+
+// End of the audio payload, excluding trailing ID3v1 and APEv2 tags.
+async function findPayloadEnd(fh, size) {
+  let end = size;
+  if (end >= 128 && (await readAt(fh, end - 128, 3)).toString('latin1') === 'TAG') end -= 128;
+  if (end >= 32) {
+    const footer = await readAt(fh, end - 32, 32);
+    if (footer.length === 32 && footer.toString('latin1', 0, 8) === 'APETAGEX') {
+      const flags = footer.readUInt32LE(20);
+      end -= footer.readUInt32LE(12) + (flags & 0x80000000 ? 32 : 0);
+    }
+  }
+  return Math.max(0, end);
+}
+
+/**
+ * Hashes the audio payload of a file (its first and last 64 KiB plus its length), so the value
+ * survives moves, renames and most tag edits. Returns null when the file can't be read.
+ */
+async function readContentHash(filePath) {
+  let fh = null;
+  try {
+    fh = await fs.open(filePath, 'r');
+    const { size } = await fh.stat();
+    const start = Math.min(await findPayloadStart(fh, size), size);
+    const end = Math.max(start, await findPayloadEnd(fh, size));
+    const hash = crypto.createHash('sha1');
+    hash.update(`${end - start}|`);
+    hash.update(await readAt(fh, start, Math.min(FINGERPRINT_CHUNK, end - start)));
+    const tailStart = Math.max(start + FINGERPRINT_CHUNK, end - FINGERPRINT_CHUNK);
+    if (tailStart < end) hash.update(await readAt(fh, tailStart, end - tailStart));
+    return hash.digest('hex');
+  } catch (_) {
+    return null;
+  } finally {
+    if (fh) await fh.close().catch(() => {});
+  }
+}
+
+// Secondary identity from the parsed tags; only meaningful when the file actually had tags.
+function tagHashOf(tags) {
+  if (!tags?.title || !tags.duration) return null;
+  const parts = [tags.title, tags.artist, tags.album, tags.trackNo || '', tags.duration];
+  return sha1(parts.join('|').normalize('NFKC').toLowerCase()).slice(0, 20);
+}
+
+// Cue sheets turn one file into `${id}#${n}` virtual tracks; they share the file's identity.
+function baseTrackId(id) {
+  return `${id || ''}`.replace(/#\d+$/, '');
+}
+
+function isLegacyTrackId(id) {
+  return !`${id || ''}`.startsWith(TRACK_ID_PREFIX);
+}
+
+// Old ids were normalized paths; map them onto the opaque id format without touching the files.
+function migrateLegacyTrackId(id) {
+  if (!isLegacyTrackId(id)) return id;
+  const base = baseTrackId(id);
+  return `${TRACK_ID_PREFIX}${sha1(base).slice(0, 20)}${id.slice(base.length)}`;
+}
+
+/**
+ * Hands out track ids for files seen by a scan. A file keeps the id already recorded for its
+ * path; a file at a new path takes over the id of a vanished track with the same audio content
+ * (or, failing that, the same tags), so likes, playlists and per-track settings follow it.
+ * `keyOf` normalizes paths for comparison and `isGone` tells whether a known path disappeared.
+ */
+function createIdentityResolver(prevTracks, { keyOf, isGone }) {
+  const byPath = new Map();
+  const taken = new Set();
+  const orphans = [];
+  for (const t of prevTracks || []) {
+    const id = baseTrackId(t.id);
+    if (!id || taken.has(id)) continue;
+    taken.add(id);
+    byPath.set(keyOf(t.path), id);
+    if (isGone(t.path)) orphans.push({ id, path: t.path, contentHash: t.contentHash, tagHash: t.tagHash });
+  }
+  const only = (list) => (list.length === 1 ? list[0] : null);
+  const relinked = [];
+  return {
+    relinked,
+    resolve(filePath, { contentHash, tagHash } = {}) {
+      const key = keyOf(filePath);
+      const known = byPath.get(key);
+      if (known) return known;
+      const match = (contentHash && only(orphans.filter((o) => o.contentHash === contentHash)))
+        || (tagHash && only(orphans.filter((o) => o.tagHash === tagHash)));
+      let id = null;
+      if (match) {
+        orphans.splice(orphans.indexOf(match), 1);
+        relinked.push({ id: match.id, from: match.path, to: filePath });
+        id = match.id;
+      } else {
+        id = `${TRACK_ID_PREFIX}${(contentHash || sha1(key)).slice(0, 20)}`;
+        // Byte-identical copies in two folders are still two tracks.
+        if (taken.has(id)) id = `${TRACK_ID_PREFIX}${sha1(`${contentHash}|${key}`).slice(0, 20)}`;
+      }
+      taken.add(id);
+      byPath.set(key, id);
+      return id;
+    }
+  };
+}
+
+module.exports = {
+  baseTrackId,
+  createIdentityResolver,
+  isLegacyTrackId,
+  migrateLegacyTrackId,
+  readContentHash,
+  tagHashOf
+};
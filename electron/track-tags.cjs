@@ -0,0 +1,195 @@
+const path = require('path');
+const mm = require('music-metadata');
+const { readContentHash, tagHashOf } = require('./track-identity.cjs');
+const { parseGain, parsePeak, parseR128Gain } = require('./replay-gain.cjs');
+
+const EXTENDED_TAG_DEFAULTS = {
+  albumArtist: '',
+  trackNo: null,
+  trackTotal: null,
+  discNo: null,
+  discTotal: null,
+  year: null,
+  genre: '',
+  composer: '',
+  bitrate: null,
+  sampleRate: null,
+  bitDepth: null,
+  channels: null,
+  codec: '',
+  lossless: false,
+  trackGain: null,
+  trackPeak: null,
+  albumGain: null,
+  albumPeak: null
+};
+
+function finiteOrNull(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function joinTagList(value) {
+  if (Array.isArray(value)) return value.filter(Boolean).join(' / ');
+  return `${value || ''}`;
+}
+
+// Native ids after stripping the ID3 "TXXX:" and MP4 "----:com.apple.iTunes:" prefixes.
+const REPLAY_GAIN_TAGS = {
+  REPLAYGAIN_TRACK_GAIN: ['trackGain', parseGain],
+  REPLAYGAIN_TRACK_PEAK: ['trackPeak', parsePeak],
+  REPLAYGAIN_ALBUM_GAIN: ['albumGain', parseGain],
+  REPLAYGAIN_ALBUM_PEAK: ['albumPeak', parsePeak]
+};
+const R128_TAGS = { R128_TRACK_GAIN: 'trackGain', R128_ALBUM_GAIN: 'albumGain' };
+
+/**
+ * ReplayGain values from any tag format, as dB gains and linear peaks (null when absent).
+ * Opus R128 gains count only when the file has no REPLAYGAIN tags of its own.
+ */
+function replayGainFromMetadata(metadata) {
+  const found = { trackGain: null, trackPeak: null, albumGain: null, albumPeak: null };
+  const r128 = {};
+  for (const tags of Object.values(metadata?.native || {})) {
+    for (const { id, value } of tags || []) {
+      const key = `${id || ''}`.toUpperCase().replace(/^TXXX:|^----:COM\.APPLE\.ITUNES:/, '');
+      const text = typeof value === 'object' && value ? value.text ?? value : value;
+      if (REPLAY_GAIN_TAGS[key]) {
+        const [field, parse] = REPLAY_GAIN_TAGS[key];
+        found[field] ??= parse(text);
+      } else if (R128_TAGS[key]) {
+        r128[R128_TAGS[key]] ??= parseR128Gain(text);
+      }
+    }
+  }
+  for (const [field, gain] of Object.entries(r128)) found[field] ??= gain;
+  return found;
+}
+
+function tagsFromMetadata(file, metadata) {
+  const common = metadata?.common || {};
+  const format = metadata?.format || {};
+  const yearFromDate = `${common.date || common.originaldate || ''}`.match(/^\d{4}/)?.[0];
+  return {
+    title: common.title || path.parse(file).name,
+    artist: common.artist || 'Unknown Artist',
+    album: common.album || 'Unknown Album',
+    duration: Number.isFinite(format.duration) ? Math.round(format.duration) : 0,
+    albumArtist: common.albumartist || '',
+    trackNo: finiteOrNull(common.track?.no),
+    trackTotal: finiteOrNull(common.track?.of),
+    discNo: finiteOrNull(common.disk?.no),
+    discTotal: finiteOrNull(common.disk?.of),
+    year: finiteOrNull(common.year) || finiteOrNull(yearFromDate),
+    genre: joinTagList(common.genre),
+    composer: joinTagList(common.composer),
+    bitrate: format.bitrate ? Math.round(format.bitrate / 1000) : null,
+    sampleRate: finiteOrNull(format.sampleRate),
+    bitDepth: finiteOrNull(format.bitsPerSample),
+    channels: finiteOrNull(format.numberOfChannels),
+    codec: `${format.codec || format.container || ''}`,
+    lossless: !!format.lossless,
+    ...replayGainFromMetadata(metadata),
+    // Fields filled with fallbacks above; path patterns may infer them later (see path-patterns.cjs).
+    missingTags: [
+      !common.title && 'title',
+      !common.artist && 'artist',
+      !common.album && 'album',
+      !common.albumartist && 'albumArtist',
+      !finiteOrNull(common.track?.no) && 'trackNo',
+      !finiteOrNull(common.disk?.no) && 'discNo',
+      !(finiteOrNull(common.year) || finiteOrNull(yearFromDate)) && 'year',
+      !joinTagList(common.genre) && 'genre'
+    ].filter(Boolean)
+  };
+}
+
+// Shared by the main process and scan workers so both produce identical track fields.
+async function readTrackTags(file) {
+  let metadata = null;
+  let error = null;
+  try {
+    metadata = await mm.parseFile(file);
+  } catch (err) {
+    metadata = null;
+    error = err?.message || String(err);
+  }
+  const tags = tagsFromMetadata(file, metadata);
+  tags.contentHash = await readContentHash(file);
+  tags.tagHash = metadata?.common?.title ? tagHashOf(tags) : null;
+  return { tags, error };
+}
+
+// Native tag ids that hold plain lyric text: Vorbis/FLAC, APEv2, MP4 and ASF.
+const TEXT_LYRIC_IDS = new Set(['LYRICS', 'UNSYNCEDLYRICS', 'UNSYNCED LYRICS', '©LYR', 'WM/LYRICS']);
+const SYLT_MPEG_FRAMES = 1;
+
+function formatLrcTime(sec) {
+  const ms = Math.max(0, Math.round(sec * 1000));
+  const mm = Math.floor(ms / 60000);
+  return `[${String(mm).padStart(2, '0')}:${((ms - mm * 60000) / 1000).toFixed(3).padStart(6, '0')}]`;
+}
+
+/**
+ * Turns SYLT entries into LRC text. Entries are either whole lines or syllables, in which case a
+ * newline at the start (or end) of an entry marks where a new line begins.
+ */
+function syncTextToLrc(syncText, toSec) {
+  const syllables = syncText.some((e) => /^[\r\n]|[\r\n]$/.test(e.text || ''));
+  const lines = [];
+  for (const entry of syncText) {
+    const text = `${entry.text || ''}`;
+    const last = lines[lines.length - 1];
+    if (!syllables || !last || last.closed || /^[\r\n]/.test(text)) {
+      lines.push({ time: toSec(entry.timestamp || 0), text: text.replace(/[\r\n]/g, ''), closed: /[\r\n]$/.test(text) });
+    } else {
+      last.text += text.replace(/[\r\n]/g, '');
+      last.closed = /[\r\n]$/.test(text);
+    }
+  }
+  return lines.map((line) => `${formatLrcTime(line.time)}${line.text.trim()}`).join('\n');
+}
+
+/**
+ * Collects lyrics stored inside the file: ID3 USLT/SYLT, Vorbis LYRICS/UNSYNCEDLYRICS, MP4 ©lyr and
+ * APE/ASF lyrics. Synced SYLT frames are converted to LRC text; returns
+ * `[{ key, frame, language, descriptor, synced, text }]`, duplicates removed.
+ */
+function embeddedLyricsFromMetadata(metadata) {
+  const sampleRate = metadata?.format?.sampleRate || 44100;
+  // MPEG frame timestamps: 1152 samples per frame for MPEG-1 rates, 576 below 32 kHz.
+  const frameSec = (sampleRate >= 32000 ? 1152 : 576) / sampleRate;
+  const found = [];
+  for (const tags of Object.values(metadata?.native || {})) {
+    for (const { id, value } of tags || []) {
+      const frame = `${id || ''}`.toUpperCase();
+      if (value?.syncText?.length && (frame === 'SYLT' || frame === 'SLT')) {
+        const toSec = value.timeStampFormat === SYLT_MPEG_FRAMES ? (t) => t * frameSec : (t) => t / 1000;
+        found.push({ frame, language: value.language || '', descriptor: value.descriptor || '', synced: true, text: syncTextToLrc(value.syncText, toSec) });
+      } else if (frame === 'USLT' || frame === 'ULT') {
+        found.push({ frame, language: value?.language || '', descriptor: value?.descriptor || '', synced: false, text: `${value?.text || ''}` });
+      } else if (TEXT_LYRIC_IDS.has(frame) && typeof value === 'string') {
+        found.push({ frame: id, language: '', descriptor: '', synced: false, text: value });
+      }
+    }
+  }
+  const seen = new Set();
+  return found
+    .filter((item) => item.text.trim() && !seen.has(item.text) && seen.add(item.text))
+    .map((item, i) => ({ key: `embedded:${i}`, ...item }));
+}
+
+async function readEmbeddedLyrics(file) {
+  try {
+    return embeddedLyricsFromMetadata(await mm.parseFile(file, { skipCovers: true }));
+  } catch (_) {
+    return [];
+  }
+}
+
+module.exports = {
+  EXTENDED_TAG_DEFAULTS,
+  readEmbeddedLyrics,
+  readTrackTags,
+  tagsFromMetadata
+};
@@ -20,9 +20,15 @@ import {
   Disc3,
   Volume2,
   Moon,
-  Sun
+  Sun,
+  Columns3,
+  Check,
+  Album,
+  ArrowLeft
 } from 'lucide-react';
 import { useEffect, useMemo, useRef, useState } from 'react';
+import { createPlaybackEngine } from './playback-engine';
+import { BUILTIN_EQ_PRESETS, EQ_BANDS, EQ_GAIN_LIMIT_DB, FLAT_EQ_GAINS } from './audio-dsp';
 
 const SPRING = { type: 'spring', stiffness: 300, damping: 30 };
 const DEFAULT_DATA = {
@@ -39,20 +45,81 @@ const DEFAULT_DATA = {
     backgroundImagePath: '',
     backgroundBlur: 8,
     volume: 0.8,
-    lyricEncodingMap: {}
+    lyricEncodingMap: {},
+    lyricSourceMap: {},
+    tagEncodingMap: {},
+    folderTagEncodingMap: {},
+    pathPatterns: [],
+    organizeTemplate: '{albumartist}/{year} - {album}/{disc}-{track} {title}',
+    trackColumns: ['title', 'artist', 'album', 'duration'],
+    ffmpegPath: '',
+    replayGainMode: 'off',
+    replayGainPreamp: 0,
+    replayGainPreventClipping: true,
+    replayGainMap: {},
+    gaplessPlayback: true,
+    crossfadeSec: 0,
+    pauseFadeSec: 0.2,
+    eqEnabled: false,
+    eqPreset: 'flat',
+    eqGains: FLAT_EQ_GAINS,
+    eqPreamp: 0,
+    eqUserPresets: [],
+    eqAutoSelect: false,
+    eqTrackPresets: {},
+    eqGenrePresets: {},
+    balance: 0,
+    monoDownmix: false,
+    crossfeed: 'off'
   }
 };
 
 const electronAPI = window.electronAPI;
-const MIME_BY_EXT = {
-  '.mp3': 'audio/mpeg',
-  '.flac': 'audio/flac',
-  '.wma': 'audio/x-ms-wma',
-  '.wav': 'audio/wav',
-  '.m4a': 'audio/mp4',
-  '.aac': 'audio/aac',
-  '.ogg': 'audio/ogg'
-};
+
+const TRACK_COLUMNS = [
+  { key: 'cover', label: '封面', width: '40px', unsortable: true },
+  { key: 'title', label: '歌曲名', width: '2fr', locked: true },
+  { key: 'artist', label: '作者', width: '1.2fr' },
+  { key: 'album', label: '专辑', width: '1.2fr' },
+  { key: 'albumArtist', label: '专辑艺人', width: '1.2fr' },
+  { key: 'trackNo', label: '音轨', width: '56px', numeric: true, format: (t) => (t.trackNo ? `${t.trackNo}` : '') },
+  { key: 'discNo', label: '碟号', width: '56px', numeric: true, format: (t) => (t.discNo ? `${t.discNo}` : '') },
+  { key: 'year', label: '年份', width: '64px', numeric: true, format: (t) => (t.year ? `${t.year}` : '') },
+  { key: 'genre', label: '流派', width: '1fr' },
+  { key: 'composer', label: '作曲', width: '1fr' },
+  { key: 'bitrate', label: '码率', width: '86px', numeric: true, format: (t) => (t.bitrate ? `${t.bitrate} kbps` : '') },
+  { key: 'sampleRate', label: '采样率', width: '86px', numeric: true, format: (t) => (t.sampleRate ? `${(t.sampleRate / 1000).toFixed(1)} kHz` : '') },
+  { key: 'bitDepth', label: '位深', width: '64px', numeric: true, format: (t) => (t.bitDepth ? `${t.bitDepth} bit` : '') },
+  { key: 'channels', label: '声道', width: '56px', numeric: true, format: (t) => (t.channels ? `${t.channels}` : '') },
+  { key: 'codec', label: '编码', width: '1fr' },
+  { key: 'lossless', label: '无损', width: '56px', numeric: true, format: (t) => (t.lossless ? '是' : '') },
+  { key: 'duration', label: '时长', width: '90px', numeric: true, align: 'right', format: (t) => formatDuration(t.duration) }
+];
+const TRACK_COLUMN_MAP = new Map(TRACK_COLUMNS.map((c) => [c.key, c]));
+const TAG_ENCODING_OPTIONS = [
+  ['auto', '自动检测'],
+  ['gbk', 'GBK（简体中文）'],
+  ['big5', 'Big5（繁体中文）'],
+  ['shift_jis', 'Shift_JIS（日文）'],
+  ['euc-kr', 'EUC-KR（韩文）'],
+  ['utf-8', 'UTF-8'],
+  ['none', '不转换']
+];
+const PATH_PATTERN_EXAMPLES = ['%artist% - %title%', '%album%/%track%. %title%', '%artist%/%album%/%track% %title%'];
+const ORGANIZE_STATUS_LABELS = { move: '移动', conflict: '冲突', skip: '跳过' };
+const TAG_EDIT_FIELDS = [
+  { key: 'title', label: '歌曲名', wide: true },
+  { key: 'artist', label: '作者', wide: true },
+  { key: 'album', label: '专辑' },
+  { key: 'albumArtist', label: '专辑艺人' },
+  { key: 'trackNo', label: '音轨', numeric: true },
+  { key: 'trackTotal', label: '音轨总数', numeric: true },
+  { key: 'discNo', label: '碟号', numeric: true },
+  { key: 'discTotal', label: '碟片总数', numeric: true },
+  { key: 'year', label: '年份', numeric: true },
+  { key: 'genre', label: '流派' }
+];
+const DEFAULT_TRACK_COLUMNS = DEFAULT_DATA.settings.trackColumns;
 
 function formatDuration(seconds) {
   const s = Number.isFinite(seconds) ? seconds : 0;
@@ -78,6 +145,22 @@ function parseLyrics(raw) {
     .sort((a, b) => a.time - b.time);
 }
 
+// Lyrics without timestamps (plain USLT/LYRICS/©lyr text) as display lines; LRC tag lines are dropped.
+function plainLyricLines(raw) {
+  return `${raw || ''}`
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !/^\[[a-z]+:.*\]$/i.test(line));
+}
+
+function embeddedLyricLabel(item) {
+  const details = [item.synced ? `同步 ${item.frame}` : item.frame];
+  if (item.language && !/^x+$/i.test(item.language)) details.push(item.language);
+  if (item.descriptor) details.push(item.descriptor);
+  return `内嵌歌词（${details.join(' · ')}）`;
+}
+
 function nextSort(prev, key) {
   if (prev.key !== key) return { key, dir: 'asc' };
   return { key, dir: prev.dir === 'asc' ? 'desc' : 'asc' };
@@ -91,19 +174,6 @@ function normalizeSearchText(value) {
     .trim();
 }
 
-function splitSearchTokens(query) {
-  const normalized = normalizeSearchText(query);
-  if (!normalized) return [];
-  return normalized.split(' ').map((x) => x.trim()).filter(Boolean);
-}
-
-function trackMatchesTokens(track, tokens) {
-  if (!tokens.length) return true;
-  const searchable = `${normalizeSearchText(track?.title)} ${normalizeSearchText(track?.artist)}`.trim();
-  if (!searchable) return false;
-  return tokens.every((token) => searchable.includes(token));
-}
-
 function dedupeTracksById(tracks) {
   const map = new Map();
   for (const t of tracks || []) {
@@ -113,6 +183,115 @@ function dedupeTracksById(tracks) {
   return [...map.values()];
 }
 
+function applyLibraryChange(prev, change) {
+  const removed = new Set(change?.removedIds || []);
+  const upserted = new Map((change?.upserted || []).map((t) => [t.id, t]));
+  // Relinks fold duplicates into the track replacing them; their playlist entries move along.
+  const renamed = new Map(change?.renamed || []);
+  if (!removed.size && !upserted.size) return prev;
+  const tracks = prev.tracks
+    .filter((t) => !removed.has(t.id))
+    .map((t) => (upserted.has(t.id) ? { ...upserted.get(t.id), liked: t.liked } : t));
+  const known = new Set(prev.tracks.map((t) => t.id));
+  for (const [id, track] of upserted.entries()) {
+    if (!known.has(id)) tracks.push(track);
+  }
+  const playlists = prev.playlists.map((p) => ({
+    ...p,
+    trackIds: [...new Set(p.trackIds.map((id) => renamed.get(id) || id))].filter((id) => !removed.has(id))
+  }));
+  return { ...prev, tracks, playlists };
+}
+
+function albumGroupKey(track) {
+  const album = normalizeSearchText(track?.album);
+  const albumArtist = normalizeSearchText(track?.albumArtist);
+  // Discs kept in CD1/CD2 folders stay one album; the folder only names tracks with neither tag.
+  if (!album && !albumArtist) return `dir:${track?.folder || ''}`;
+  return `${album}\u0000artist:${albumArtist}`;
+}
+
+function compareAlbumOrder(a, b) {
+  const disc = (a.discNo || 1) - (b.discNo || 1);
+  if (disc !== 0) return disc;
+  const no = (a.trackNo || Number.MAX_SAFE_INTEGER) - (b.trackNo || Number.MAX_SAFE_INTEGER);
+  if (no !== 0) return no;
+  return MIXED_COLLATOR.compare(`${a.title || ''}`, `${b.title || ''}`);
+}
+
+// size: 'list' for track rows, 'grid' for album tiles, 'full' for the player panel.
+function AlbumCover({ trackPath, size = 'grid', version = 0, className = '' }) {
+  const [src, setSrc] = useState('');
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const el = ref.current;
+    setSrc('');
+    if (!el || !trackPath || !electronAPI?.readTrackCoverDataUrl) return;
+    let canceled = false;
+    const observer = new IntersectionObserver((entries) => {
+      if (!entries.some((e) => e.isIntersecting)) return;
+      observer.disconnect();
+      electronAPI.readTrackCoverDataUrl(trackPath, size).then((dataUrl) => {
+        if (!canceled) setSrc(dataUrl || '');
+      });
+    }, { rootMargin: '200px' });
+    observer.observe(el);
+    return () => {
+      canceled = true;
+      observer.disconnect();
+    };
+  }, [trackPath, size, version]);
+
+  return (
+    <div ref={ref} className={`aspect-square w-full overflow-hidden bg-black/5 dark:bg-white/8 ${className}`}>
+      {src ? (
+        <img src={src} alt="cover" loading="lazy" className="h-full w-full object-cover" />
+      ) : (
+        <div className="flex h-full w-full items-center justify-center">
+          <Disc3 size={size === 'list' ? 14 : 40} className="text-black/30 dark:text-white/30" />
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Linear gain for a track under the ReplayGain settings. Tags in the file win over values measured
+// in the app (settings.replayGainMap); album mode falls back to the track gain.
+function replayGainFactor(track, settings) {
+  const mode = settings?.replayGainMode;
+  if (!track || (mode !== 'track' && mode !== 'album')) return 1;
+  const measured = settings.replayGainMap?.[track.id] || {};
+  const albumGain = track.albumGain ?? measured.albumGain;
+  const useAlbum = mode === 'album' && albumGain != null;
+  const gain = useAlbum ? albumGain : track.trackGain ?? measured.trackGain;
+  if (gain == null) return 1;
+  const peak = useAlbum ? track.albumPeak ?? measured.albumPeak : track.trackPeak ?? measured.trackPeak;
+  let factor = 10 ** ((gain + (Number(settings.replayGainPreamp) || 0)) / 20);
+  if (settings.replayGainPreventClipping !== false && peak > 0) factor = Math.min(factor, 1 / peak);
+  return factor;
+}
+
+function trackGenreKeys(track) {
+  return `${track?.genre || ''}`.split(/[/;,]/).map((g) => g.trim().toLowerCase()).filter(Boolean);
+}
+
+// EQ preset in effect for a track. With automatic selection a preset assigned to the track, then one
+// assigned to any of its genres, wins over the one picked by hand ('custom' is the hand-tuned curve).
+function eqPresetFor(track, settings) {
+  const presets = [...BUILTIN_EQ_PRESETS, ...(settings?.eqUserPresets || [])];
+  const byId = (id) => (id ? presets.find((p) => p.id === id) : null);
+  if (settings?.eqAutoSelect && track) {
+    const auto = byId(settings.eqTrackPresets?.[track.id])
+      || trackGenreKeys(track).map((genre) => byId(settings.eqGenrePresets?.[genre])).find(Boolean);
+    if (auto) return auto;
+  }
+  if (settings?.eqPreset === 'custom') {
+    return { id: 'custom', name: '自定义', gains: settings.eqGains || FLAT_EQ_GAINS, preamp: Number(settings.eqPreamp) || 0 };
+  }
+  return byId(settings?.eqPreset) || BUILTIN_EQ_PRESETS[0];
+}
+
 function cyclePlayMode(mode) {
   if (mode === 'sequence') return 'random';
   if (mode === 'random') return 'loop';
@@ -138,8 +317,10 @@ function App() {
   const [loaded, setLoaded] = useState(false);
   const [dark, setDark] = useState(true);
   const [view, setView] = useState('songs');
+  const [openAlbumKey, setOpenAlbumKey] = useState(null);
   const [playlistId, setPlaylistId] = useState('all');
   const [sort, setSort] = useState({ key: 'title', dir: 'asc' });
+  const [listIds, setListIds] = useState([]);
   const [query, setQuery] = useState('');
   const [currentTrackId, setCurrentTrackId] = useState(null);
   const [isPlaying, setIsPlaying] = useState(false);
@@ -148,19 +329,45 @@ function App() {
   const [contextMenu, setContextMenu] = useState(null);
   const [lyricsRaw, setLyricsRaw] = useState('');
   const [pendingQueue, setPendingQueue] = useState([]);
+  // Random mode's pick for after `from`, made once so the prepared track is also the one that plays.
+  const [randomNext, setRandomNext] = useState(null);
+  // Bumped whenever the engine moves on by itself; a repeated track needs preparing again.
+  const [advanceCount, setAdvanceCount] = useState(0);
   const [trackDuration, setTrackDuration] = useState(0);
   const [playError, setPlayError] = useState('');
   const [creatingPlaylist, setCreatingPlaylist] = useState(false);
   const [newPlaylistName, setNewPlaylistName] = useState('');
   const [scanBusy, setScanBusy] = useState(false);
+  const [scanProgress, setScanProgress] = useState(null);
+  const [scanError, setScanError] = useState('');
   const [playlistToDelete, setPlaylistToDelete] = useState(null);
+  const [playlistMenu, setPlaylistMenu] = useState(null);
+  const [reportDialog, setReportDialog] = useState(null);
+  const [selectedTrackIds, setSelectedTrackIds] = useState([]);
+  const [tagEditor, setTagEditor] = useState(null);
+  const [tagEncodingDialog, setTagEncodingDialog] = useState(null);
+  const [pathPatternDraft, setPathPatternDraft] = useState('');
+  const [pathPatternPreview, setPathPatternPreview] = useState(null);
+  const [organizeDialog, setOrganizeDialog] = useState(null);
+  const [coverVersion, setCoverVersion] = useState(0);
   const [bgDataUrl, setBgDataUrl] = useState('');
   const [settingsOpen, setSettingsOpen] = useState(false);
   const [playerPanelOpen, setPlayerPanelOpen] = useState(false);
   const [currentCoverDataUrl, setCurrentCoverDataUrl] = useState('');
   const [lyricDebugPath, setLyricDebugPath] = useState('');
   const [encodingMenuOpen, setEncodingMenuOpen] = useState(false);
+  const [lyricSourceMenuOpen, setLyricSourceMenuOpen] = useState(false);
+  const [lyricSourceState, setLyricSourceState] = useState({ sources: [], fallbackPath: '' });
+  const [lyricSourceKey, setLyricSourceKey] = useState('');
+  const [lyricSourcesVersion, setLyricSourcesVersion] = useState(0);
+  const [lyricEmbedDialog, setLyricEmbedDialog] = useState(null);
+  const [coverEditor, setCoverEditor] = useState(null);
   const [closeBehaviorMenuOpen, setCloseBehaviorMenuOpen] = useState(false);
+  const [columnMenuOpen, setColumnMenuOpen] = useState(false);
+  const [ffmpegStatus, setFfmpegStatus] = useState(null);
+  const [replayGainJob, setReplayGainJob] = useState(null);
+  const [replayGainWriteTags, setReplayGainWriteTags] = useState(false);
+  const [eqPresetName, setEqPresetName] = useState('');
   const [lyricOffsetSec, setLyricOffsetSec] = useState(0);
   const [lyricAdjustMode, setLyricAdjustMode] = useState(false);
   const [holdLyricIdx, setHoldLyricIdx] = useState(null);
@@ -168,9 +375,12 @@ function App() {
   const [lyricAlignNotice, setLyricAlignNotice] = useState('');
   const [isWindowMaximized, setIsWindowMaximized] = useState(false);
 
-  const audioRef = useRef(null);
+  const engineRef = useRef(null);
+  const engineEventsRef = useRef({});
+  const selectionAnchorRef = useRef(null);
   const panelLyricsScrollRef = useRef(null);
-  const sourceSwitchingRef = useRef(false);
+  const scanParseStartRef = useRef(null);
+  const savedSettingsRef = useRef(null);
 
   useEffect(() => {
     document.documentElement.classList.toggle('dark', dark);
@@ -183,6 +393,7 @@ function App() {
         return;
       }
       const saved = await electronAPI.loadData();
+      savedSettingsRef.current = saved.settings;
       setData(saved);
       setLoaded(true);
     };
@@ -191,14 +402,22 @@ function App() {
 
   useEffect(() => {
     if (!loaded || !electronAPI) return;
+    // Only keys edited here are sent, so maps the main process updates (ReplayGain results, tag
+    // encodings) aren't overwritten by an older copy of them.
     const timer = setTimeout(() => {
-      electronAPI.saveData(data);
+      const previous = savedSettingsRef.current || {};
+      const patch = Object.fromEntries(Object.entries(data.settings).filter(([key, value]) => previous[key] !== value));
+      savedSettingsRef.current = data.settings;
+      if (Object.keys(patch).length) electronAPI.updateSettings(patch);
     }, 250);
     return () => clearTimeout(timer);
-  }, [data, loaded]);
+  }, [data.settings, loaded]);
 
   useEffect(() => {
-    const close = () => setContextMenu(null);
+    const close = () => {
+      setContextMenu(null);
+      setPlaylistMenu(null);
+    };
     window.addEventListener('click', close);
     return () => window.removeEventListener('click', close);
   }, []);
@@ -209,12 +428,24 @@ function App() {
     return () => window.removeEventListener('click', close);
   }, []);
 
+  useEffect(() => {
+    const close = () => setLyricSourceMenuOpen(false);
+    window.addEventListener('click', close);
+    return () => window.removeEventListener('click', close);
+  }, []);
+
   useEffect(() => {
     const close = () => setCloseBehaviorMenuOpen(false);
     window.addEventListener('click', close);
     return () => window.removeEventListener('click', close);
   }, []);
 
+  useEffect(() => {
+    const close = () => setColumnMenuOpen(false);
+    window.addEventListener('click', close);
+    return () => window.removeEventListener('click', close);
+  }, []);
+
   useEffect(() => {
     let canceled = false;
     const loadBg = async () => {
@@ -233,48 +464,69 @@ function App() {
   }, [data.settings?.backgroundImagePath]);
 
   const uniqueTracks = useMemo(() => dedupeTracksById(data.tracks), [data.tracks]);
-
-  const baseTracks = useMemo(() => {
-    if (playlistId === 'all') return uniqueTracks;
-    const p = data.playlists.find((x) => x.id === playlistId);
-    if (!p) return uniqueTracks;
-    const ids = new Set(p.trackIds);
-    return uniqueTracks.filter((t) => ids.has(t.id));
-  }, [uniqueTracks, data.playlists, playlistId]);
-
-  const filteredTracks = useMemo(() => {
-    const tokens = splitSearchTokens(query);
-    if (!tokens.length) return baseTracks;
-    return baseTracks.filter((t) => trackMatchesTokens(t, tokens));
-  }, [baseTracks, query]);
-
-  const queryTokens = useMemo(() => splitSearchTokens(query), [query]);
-
-  const sortedTracks = useMemo(() => {
-    const arr = [...filteredTracks];
-    const dir = sort.dir === 'asc' ? 1 : -1;
-    arr.sort((a, b) => {
-      const av = a[sort.key];
-      const bv = b[sort.key];
-      if (typeof av === 'number' && typeof bv === 'number') return (av - bv) * dir;
-      const ak = toMixedSortKey(av);
-      const bk = toMixedSortKey(bv);
-      const primary = MIXED_COLLATOR.compare(ak, bk) * dir;
-      if (primary !== 0) return primary;
-      return MIXED_COLLATOR.compare(`${av ?? ''}`, `${bv ?? ''}`) * dir;
-    });
-    return arr;
-  }, [filteredTracks, sort]);
+  const missingCount = useMemo(() => uniqueTracks.filter((t) => t.missing).length, [uniqueTracks]);
+  const repairedTrackIds = useMemo(() => uniqueTracks.filter((t) => t.rawTags && !t.missing).map((t) => t.id), [uniqueTracks]);
 
   const trackMap = useMemo(() => new Map(uniqueTracks.map((t) => [t.id, t])), [uniqueTracks]);
   const currentTrack = currentTrackId ? trackMap.get(currentTrackId) : null;
+
+  // The library database filters and sorts the list; it answers with ids only, since the rows are already here.
+  useEffect(() => {
+    if (!loaded || !electronAPI?.queryTracks) return;
+    let canceled = false;
+    const listPlaylistId = data.playlists.some((p) => p.id === playlistId) ? playlistId : 'all';
+    electronAPI.queryTracks({ playlistId: listPlaylistId, query, sort, idsOnly: true })
+      .then((result) => {
+        if (!canceled) setListIds(result?.ids || []);
+      })
+      .catch(() => {});
+    return () => {
+      canceled = true;
+    };
+  }, [loaded, data.tracks, data.playlists, playlistId, query, sort]);
+
+  const displayTracks = useMemo(() => listIds.map((id) => trackMap.get(id)).filter(Boolean), [listIds, trackMap]);
+
+  useEffect(() => {
+    if (!loaded || !currentTrackId || trackMap.has(currentTrackId)) return;
+    setCurrentTrackId(null);
+    setIsPlaying(false);
+  }, [loaded, currentTrackId, trackMap]);
   const playMode = data.settings.playMode;
   const lyricsEnabled = !!currentTrack && isPlaying && data.settings.showLyrics && (!mini || data.settings.minimizedShowLyrics);
   const floatingLyricsEnabled = lyricsEnabled && !playerPanelOpen;
   const bgBlur = Number.isFinite(Number(data.settings.backgroundBlur)) ? Number(data.settings.backgroundBlur) : 8;
   const volume = Math.max(0, Math.min(1, Number.isFinite(Number(data.settings.volume)) ? Number(data.settings.volume) : 0.8));
   const lyricEncoding = currentTrackId ? (data.settings.lyricEncodingMap?.[currentTrackId] || 'auto') : 'auto';
+  const preferredLyricSource = currentTrackId ? (data.settings.lyricSourceMap?.[currentTrackId] || '') : '';
+  const activeLyricSource = lyricSourceState.sources.find((source) => source.key === lyricSourceKey) || null;
   const adjustedLyricTime = time + lyricOffsetSec;
+  const readTrackTime = () => (engineRef.current ? engineRef.current.currentTime() : time);
+  const visibleColumns = (() => {
+    const keys = Array.isArray(data.settings.trackColumns) && data.settings.trackColumns.length
+      ? data.settings.trackColumns
+      : DEFAULT_TRACK_COLUMNS;
+    const cols = TRACK_COLUMNS.filter((c) => c.locked || keys.includes(c.key));
+    return cols.length ? cols : TRACK_COLUMNS.filter((c) => DEFAULT_TRACK_COLUMNS.includes(c.key));
+  })();
+  const trackGridTemplate = `48px ${visibleColumns.map((c) => c.width).join(' ')}`;
+  const scanRatio = scanProgress?.total ? Math.min(1, scanProgress.parsed / scanProgress.total) : 0;
+  const scanEtaSec = (() => {
+    const start = scanParseStartRef.current;
+    if (scanProgress?.phase !== 'parse' || !start || !scanProgress.total) return null;
+    const done = scanProgress.parsed - start.parsed;
+    const elapsed = (Date.now() - start.at) / 1000;
+    if (done <= 0 || elapsed < 1) return null;
+    return ((scanProgress.total - scanProgress.parsed) * elapsed) / done;
+  })();
+  const scanPhaseLabel = {
+    discover: '查找文件',
+    parse: '读取标签',
+    save: '保存中',
+    done: '完成',
+    canceled: '已取消',
+    error: '失败'
+  }[scanProgress?.phase] || '准备中';
   const encodingLabelMap = {
     auto: '编码: 自动',
     'utf-8': 'UTF-8',
@@ -287,103 +539,135 @@ function App() {
   };
   const encodingOptions = Object.entries(encodingLabelMap);
 
+  useEffect(() => {
+    const engine = createPlaybackEngine({
+      onTime: setTime,
+      onDuration: setTrackDuration,
+      onAdvance: (trackId) => engineEventsRef.current.advance?.(trackId),
+      onEnded: () => engineEventsRef.current.ended?.(),
+      onError: (message) => {
+        setPlayError(message);
+        setIsPlaying(false);
+      }
+    });
+    engineRef.current = engine;
+    return () => {
+      engine.destroy();
+      engineRef.current = null;
+    };
+  }, []);
+
   useEffect(() => {
     let canceled = false;
     const loadSource = async () => {
-      const audio = audioRef.current;
-      if (!audio || !currentTrack || !electronAPI?.readAudioBuffer) return;
-      sourceSwitchingRef.current = true;
+      const engine = engineRef.current;
+      if (!engine) return;
+      if (!currentTrackId) {
+        engine.stop();
+        return;
+      }
+      if (!currentTrack || !electronAPI?.prepareAudioSource) return;
+      if (currentTrack.missing) {
+        engine.stop();
+        setPlayError('文件已丢失，可右键选择“定位文件”重新关联');
+        setIsPlaying(false);
+        return;
+      }
+      // A gapless or crossfaded transition has already moved the engine on to this track.
+      if (engine.currentTrackId() === currentTrack.id) {
+        setPlayError('');
+        return;
+      }
       try {
-        const raw = await electronAPI.readAudioBuffer(currentTrack.path);
+        const source = await electronAPI.prepareAudioSource(currentTrack.id);
         if (canceled) return;
-        if (!raw) {
+        if (!source?.url) {
           setPlayError('该歌曲无法读取或解码');
           setIsPlaying(false);
           return;
         }
-        const payload = raw?.data ?? raw;
-        const mime = raw?.kind === 'wav-transcoded' ? 'audio/wav' : (MIME_BY_EXT[currentTrack.ext] || 'audio/mpeg');
-        const bytes = payload?.type === 'Buffer' && Array.isArray(payload.data)
-          ? new Uint8Array(payload.data)
-          : payload instanceof Uint8Array
-            ? payload
-            : new Uint8Array(payload);
-        const blobUrl = URL.createObjectURL(new Blob([bytes], { type: mime }));
-        const prevUrl = audio.dataset.blobUrl;
-        if (prevUrl) URL.revokeObjectURL(prevUrl);
-        audio.dataset.blobUrl = blobUrl;
-        audio.pause();
-        audio.src = blobUrl;
-        audio.load();
-        audio.volume = volume;
-        audio.currentTime = 0;
         setTime(0);
         setTrackDuration(currentTrack.duration || 0);
         setPlayError(
-          raw?.kind === 'wav-transcoded'
-            ? 'WMA 已自动转码播放'
-            : raw?.kind === 'wma-raw'
-              ? '检测到 WMA 原始流，若无法播放请安装 ffmpeg'
+          source.kind === 'transcoded'
+            ? '已通过 ffmpeg 转码播放'
+            : source.kind === 'transcode-unavailable'
+              ? '该格式需要 ffmpeg 转码，请在设置中配置 ffmpeg'
               : ''
         );
-        if (isPlaying) {
-          await audio.play().catch(() => {
-            setPlayError('当前格式暂不支持播放');
-            setIsPlaying(false);
-          });
-        }
+        await engine.load(currentTrack, { url: source.url, gain: replayGainFactor(currentTrack, data.settings) });
       } catch (_) {
         setPlayError('音频读取失败，请尝试重新扫描');
         setIsPlaying(false);
-      } finally {
-        sourceSwitchingRef.current = false;
       }
     };
     loadSource();
     return () => {
-      const audio = audioRef.current;
-      const prevUrl = audio?.dataset?.blobUrl;
-      if (prevUrl) {
-        URL.revokeObjectURL(prevUrl);
-        if (audio) delete audio.dataset.blobUrl;
-      }
-      sourceSwitchingRef.current = false;
       canceled = true;
     };
   }, [currentTrackId]);
 
   useEffect(() => {
-    const audio = audioRef.current;
-    if (!audio) return;
-    audio.volume = volume;
+    engineRef.current?.setVolume(volume);
   }, [volume]);
 
+  const replayGain = replayGainFactor(currentTrack, data.settings);
+  const replayGainPendingIds = useMemo(
+    () => data.tracks
+      .filter((t) => !t.missing && t.trackGain == null && data.settings.replayGainMap?.[t.id]?.trackGain == null)
+      .map((t) => t.id),
+    [data.tracks, data.settings.replayGainMap]
+  );
   useEffect(() => {
-    const audio = audioRef.current;
-    if (!audio) return;
-    if (sourceSwitchingRef.current) return;
-    if (isPlaying) {
-      audio.play().catch(() => {
-        setPlayError('当前格式暂不支持播放');
-        setIsPlaying(false);
-      });
-    }
-    else audio.pause();
+    engineRef.current?.setLevel(replayGain);
+  }, [replayGain]);
+
+  const pauseFadeSec = Math.max(0, Math.min(2, Number(data.settings.pauseFadeSec) || 0));
+  const crossfadeSec = Math.max(0, Math.min(12, Number(data.settings.crossfadeSec) || 0));
+  useEffect(() => {
+    engineRef.current?.setOptions({ fade: pauseFadeSec });
+  }, [pauseFadeSec]);
+
+  const eqPreset = eqPresetFor(currentTrack, data.settings);
+  const manualEqPreset = eqPresetFor(null, data.settings);
+  const eqPresetOptions = [...BUILTIN_EQ_PRESETS, ...(data.settings.eqUserPresets || [])];
+  const currentGenreKey = trackGenreKeys(currentTrack)[0] || '';
+  const dspSettings = {
+    gains: data.settings.eqEnabled ? eqPreset.gains : FLAT_EQ_GAINS,
+    preamp: data.settings.eqEnabled ? eqPreset.preamp : 0,
+    balance: Number(data.settings.balance) || 0,
+    mono: !!data.settings.monoDownmix,
+    crossfeed: data.settings.crossfeed || 'off'
+  };
+  const dspKey = JSON.stringify(dspSettings);
+  useEffect(() => {
+    engineRef.current?.setDsp(dspSettings);
+  }, [dspKey]);
+
+  useEffect(() => {
+    const engine = engineRef.current;
+    if (!engine) return;
+    if (isPlaying) engine.play();
+    else engine.pause();
   }, [isPlaying]);
 
+  // Collects every lyric source of the current track: the sidecar file and lyrics embedded in the tags.
   useEffect(() => {
+    let canceled = false;
     const loadLyrics = async () => {
       if (!currentTrack?.path || !electronAPI?.readTextFile) {
-        setLyricsRaw('');
-        setLyricLines([]);
+        setLyricSourceState({ sources: [], fallbackPath: '' });
         return;
       }
       const candidates = [];
       if (currentTrack.lyricPath) candidates.push(currentTrack.lyricPath);
-      const dot = currentTrack.path.lastIndexOf('.');
-      const base = dot > 0 ? currentTrack.path.slice(0, dot) : currentTrack.path;
-      candidates.push(`${base}.lrc`, `${base}.LRC`, `${base}.txt`, `${base}.TXT`);
+      if (currentTrack.cueStart == null) {
+        const dot = currentTrack.path.lastIndexOf('.');
+        const base = dot > 0 ? currentTrack.path.slice(0, dot) : currentTrack.path;
+        candidates.push(`${base}.lrc`, `${base}.LRC`, `${base}.txt`, `${base}.TXT`);
+      }
       const uniqueCandidates = [...new Set(candidates)];
+      const sources = [];
       for (const lyricPath of uniqueCandidates) {
         const txt = electronAPI.readTextFileWithEncoding
           ? await electronAPI.readTextFileWithEncoding(lyricPath, lyricEncoding)
@@ -391,18 +675,38 @@ function App() {
         if (!txt) continue;
         const parsed = parseLyrics(txt);
         if (parsed.length > 0) {
-          setLyricDebugPath(lyricPath);
-          setLyricsRaw(txt);
-          setLyricLines(parsed);
-          return;
+          sources.push({ key: 'file', label: '歌词文件', path: lyricPath, text: txt, lines: parsed });
+          break;
+        }
+      }
+      // A cue track shares its file with the whole disc, so the file's own lyrics don't fit it.
+      if (currentTrack.cueStart == null && electronAPI.readEmbeddedLyrics) {
+        const embedded = await electronAPI.readEmbeddedLyrics(currentTrack.path);
+        for (const item of embedded || []) {
+          sources.push({ key: item.key, label: embeddedLyricLabel(item), path: '', text: item.text, lines: parseLyrics(item.text) });
         }
       }
-      setLyricDebugPath(uniqueCandidates[0] || '');
-      setLyricsRaw('');
-      setLyricLines([]);
+      if (canceled) return;
+      setLyricSourceState({ sources, fallbackPath: uniqueCandidates[0] || '' });
     };
     loadLyrics();
-  }, [currentTrack?.lyricPath, currentTrack?.path, lyricEncoding]);
+    return () => {
+      canceled = true;
+    };
+  }, [currentTrack?.lyricPath, currentTrack?.path, lyricEncoding, lyricSourcesVersion]);
+
+  // The chosen source wins; otherwise the sidecar file, then the first embedded source with timed lines.
+  useEffect(() => {
+    const { sources, fallbackPath } = lyricSourceState;
+    const source = sources.find((s) => s.key === preferredLyricSource)
+      || sources.find((s) => s.lines.length)
+      || sources[0]
+      || null;
+    setLyricSourceKey(source?.key || '');
+    setLyricDebugPath(source ? source.path : fallbackPath);
+    setLyricsRaw(source?.text || '');
+    setLyricLines(source?.lines || []);
+  }, [lyricSourceState, preferredLyricSource]);
 
   useEffect(() => {
     setLyricOffsetSec(0);
@@ -418,14 +722,14 @@ function App() {
         setCurrentCoverDataUrl('');
         return;
       }
-      const dataUrl = await electronAPI.readTrackCoverDataUrl(currentTrack.path);
+      const dataUrl = await electronAPI.readTrackCoverDataUrl(currentTrack.path, 'full');
       if (!canceled) setCurrentCoverDataUrl(dataUrl || '');
     };
     loadCover();
     return () => {
       canceled = true;
     };
-  }, [currentTrack?.path]);
+  }, [currentTrack?.path, coverVersion]);
 
   const activeLyricIdx = useMemo(() => {
     if (!lyricLines.length) return -1;
@@ -446,6 +750,11 @@ function App() {
     return lyricLines[holdLyricIdx]?.text || '';
   }, [holdLyricIdx, lyricLines]);
 
+  const untimedLyricLines = useMemo(
+    () => (lyricLines.length ? [] : plainLyricLines(lyricsRaw)),
+    [lyricLines, lyricsRaw]
+  );
+
   const nextLyricLine = useMemo(() => {
     if (!lyricLines.length) return '';
     if (activeLyricIdx < 0) return lyricLines[1]?.text || '';
@@ -482,6 +791,17 @@ function App() {
     });
   }, [data.settings.lyricLocked, data.settings.lyricClickThrough]);
 
+  useEffect(() => {
+    if (!loaded || !electronAPI?.setFfmpegPath) return;
+    let canceled = false;
+    electronAPI.setFfmpegPath(data.settings.ffmpegPath || '').then((status) => {
+      if (!canceled) setFfmpegStatus(status || null);
+    });
+    return () => {
+      canceled = true;
+    };
+  }, [loaded, data.settings.ffmpegPath]);
+
   useEffect(() => {
     if (!electronAPI?.onLyricsMinimized) return;
     const off = electronAPI.onLyricsMinimized(() => {
@@ -502,6 +822,40 @@ function App() {
     };
   }, []);
 
+  useEffect(() => {
+    if (!electronAPI?.onReplayGainProgress) return;
+    const off = electronAPI.onReplayGainProgress((progress) => {
+      setReplayGainJob((prev) => (prev ? progress : prev));
+    });
+    return () => {
+      if (typeof off === 'function') off();
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!electronAPI?.onScanProgress) return;
+    const off = electronAPI.onScanProgress((progress) => {
+      if (progress.phase === 'parse' && !scanParseStartRef.current) {
+        scanParseStartRef.current = { at: Date.now(), parsed: progress.parsed || 0 };
+      }
+      if (progress.phase === 'error') setScanError(progress.error || '未知错误');
+      setScanProgress(progress);
+    });
+    return () => {
+      if (typeof off === 'function') off();
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!electronAPI?.onLibraryChanged) return;
+    const off = electronAPI.onLibraryChanged((change) => {
+      setData((prev) => applyLibraryChange(prev, change));
+    });
+    return () => {
+      if (typeof off === 'function') off();
+    };
+  }, []);
+
   useEffect(() => {
     if (!electronAPI?.onWindowMaximizedChanged) return;
     const off = electronAPI.onWindowMaximizedChanged((maxed) => {
@@ -533,53 +887,55 @@ function App() {
     setIsPlaying(true);
   };
 
-  const playNext = () => {
-    const activePlayList = view === 'folders' ? groupedByFolder.flatMap(([, tracks]) => tracks) : displayTracks;
-    if (!activePlayList.length) return;
-    if (pendingQueue.length > 0) {
-      const [next, ...rest] = pendingQueue;
-      setPendingQueue(rest);
-      playTrack(next);
-      return;
-    }
-    if (!currentTrackId) {
-      playTrack(activePlayList[0].id);
-      return;
-    }
+  const getActivePlayList = () => {
+    const list = view === 'folders'
+      ? groupedByFolder.flatMap(([, tracks]) => tracks)
+      : view === 'albums'
+        ? openAlbum ? openAlbum.tracks : groupedByAlbum.flatMap((a) => a.tracks)
+        : displayTracks;
+    // Missing files stay visible in the list but are skipped when advancing.
+    return list.filter((t) => !t.missing);
+  };
+
+  // The track playNext would switch to, without switching, so the engine can prepare it. In random
+  // mode that is the remembered pick; only event handlers (`pickRandom`) may draw one when it is missing.
+  const resolveNextTrackId = ({ pickRandom = false } = {}) => {
+    const activePlayList = getActivePlayList();
+    if (!activePlayList.length) return null;
+    if (pendingQueue.length > 0) return pendingQueue[0];
+    if (!currentTrackId) return activePlayList[0].id;
     if (playMode === 'random') {
       const pool = activePlayList.filter((t) => t.id !== currentTrackId);
-      if (!pool.length) return;
-      const next = pool[Math.floor(Math.random() * pool.length)];
-      playTrack(next.id);
-      return;
-    }
-    if (playMode === 'loop') {
-      if (currentTrackId) {
-        const audio = audioRef.current;
-        if (audio) {
-          audio.currentTime = 0;
-          audio.play().catch(() => setIsPlaying(false));
-        } else {
-          playTrack(currentTrackId);
-        }
-      }
-      return;
+      if (!pool.length) return null;
+      if (randomNext?.from === currentTrackId && pool.some((t) => t.id === randomNext.id)) return randomNext.id;
+      return pickRandom ? pool[Math.floor(Math.random() * pool.length)].id : null;
     }
+    if (playMode === 'loop') return currentTrackId;
     const idx = activePlayList.findIndex((t) => t.id === currentTrackId);
-    if (idx < 0) {
-      playTrack(activePlayList[0].id);
+    if (idx < 0) return activePlayList[0].id;
+    if (idx >= activePlayList.length - 1) return null;
+    return activePlayList[idx + 1].id;
+  };
+
+  const playNext = () => {
+    if (!getActivePlayList().length) return;
+    const nextId = resolveNextTrackId({ pickRandom: true });
+    if (!nextId) {
+      if (playMode !== 'random') setIsPlaying(false);
       return;
     }
-    if (idx >= activePlayList.length - 1) {
-      setIsPlaying(false);
+    if (pendingQueue[0] === nextId) setPendingQueue(pendingQueue.slice(1));
+    if (nextId === currentTrackId) {
+      engineRef.current?.seek(0);
+      engineRef.current?.play();
+      setIsPlaying(true);
       return;
     }
-    const next = activePlayList[idx + 1];
-    playTrack(next.id);
+    playTrack(nextId);
   };
 
   const playPrev = () => {
-    const activePlayList = view === 'folders' ? groupedByFolder.flatMap(([, tracks]) => tracks) : displayTracks;
+    const activePlayList = getActivePlayList();
     if (!activePlayList.length) return;
     if (!currentTrackId) {
       playTrack(activePlayList[0].id);
@@ -600,13 +956,40 @@ function App() {
     playTrack(prev.id);
   };
 
+  // The engine reports to whatever this render's handlers are.
+  engineEventsRef.current = {
+    advance: (trackId) => {
+      setAdvanceCount((n) => n + 1);
+      if (pendingQueue[0] === trackId) setPendingQueue(pendingQueue.slice(1));
+      if (trackId === currentTrackId) setTime(0);
+      else playTrack(trackId);
+    },
+    ended: () => {
+      if (resolveNextTrackId({ pickRandom: true })) playNext();
+      else setIsPlaying(false);
+    }
+  };
+
+  const toggleTrackColumn = (key) => {
+    setData((prev) => {
+      const current = Array.isArray(prev.settings.trackColumns) && prev.settings.trackColumns.length
+        ? prev.settings.trackColumns
+        : DEFAULT_TRACK_COLUMNS;
+      const next = current.includes(key) ? current.filter((k) => k !== key) : [...current, key];
+      return { ...prev, settings: { ...prev.settings, trackColumns: next } };
+    });
+  };
+
   const toggleLike = (id) => {
+    const liked = !trackMap.get(id)?.liked;
+    electronAPI?.setTrackLiked(id, liked);
     setData((prev) => {
-      const tracks = prev.tracks.map((t) => (t.id === id ? { ...t, liked: !t.liked } : t));
-      const likedSet = new Set(tracks.filter((t) => t.liked).map((t) => t.id));
-      const playlists = prev.playlists.map((p) =>
-        p.id === 'favorites' ? { ...p, trackIds: [...likedSet] } : p
-      );
+      const tracks = prev.tracks.map((t) => (t.id === id ? { ...t, liked } : t));
+      const playlists = prev.playlists.map((p) => {
+        if (p.id !== 'favorites') return p;
+        const rest = p.trackIds.filter((trackId) => trackId !== id);
+        return { ...p, trackIds: liked ? [...rest, id] : rest };
+      });
       return { ...prev, tracks, playlists };
     });
   };
@@ -615,7 +998,8 @@ function App() {
     const name = `${nameInput || ''}`.trim();
     if (!name) return;
     const id = `playlist-${Date.now()}`;
-    setData((prev) => ({ ...prev, playlists: [...prev.playlists, { id, name: name.trim(), fixed: false, trackIds: [] }] }));
+    electronAPI?.createPlaylist({ id, name });
+    setData((prev) => ({ ...prev, playlists: [...prev.playlists, { id, name, fixed: false, trackIds: [] }] }));
     setNewPlaylistName('');
     setCreatingPlaylist(false);
   };
@@ -629,11 +1013,43 @@ function App() {
   const confirmRemovePlaylist = () => {
     if (!playlistToDelete) return;
     const id = playlistToDelete.id;
+    electronAPI?.deletePlaylist(id);
     setData((prev) => ({ ...prev, playlists: prev.playlists.filter((p) => p.id !== id) }));
     if (playlistId === id) setPlaylistId('all');
     setPlaylistToDelete(null);
   };
 
+  const importPlaylist = async () => {
+    if (!electronAPI?.importPlaylist) return;
+    const res = await electronAPI.importPlaylist();
+    if (!res) return;
+    if (res.error) {
+      setReportDialog({ title: '导入失败', message: res.error, items: [] });
+      return;
+    }
+    const id = `playlist-${Date.now()}`;
+    await electronAPI.createPlaylist({ id, name: res.name, trackIds: res.trackIds });
+    setData((prev) => ({ ...prev, playlists: [...prev.playlists, { id, name: res.name, fixed: false, trackIds: res.trackIds }] }));
+    setPlaylistId(id);
+    setReportDialog({
+      title: `已导入歌单「${res.name}」`,
+      message: `共 ${res.total} 条，匹配到 ${res.trackIds.length} 首歌曲${res.unmatched.length ? `，${res.unmatched.length} 条未在曲库中找到：` : '。'}`,
+      items: res.unmatched
+    });
+  };
+
+  const exportPlaylist = async (id, relative) => {
+    const target = data.playlists.find((p) => p.id === id);
+    if (!target || !electronAPI?.exportPlaylist) return;
+    const { tracks: ordered } = await electronAPI.queryTracks({ playlistId: id });
+    const tracks = ordered.map((t) => ({ path: t.path, title: t.title, artist: t.artist, duration: t.duration }));
+    const res = await electronAPI.exportPlaylist({ name: target.name, tracks, relative });
+    if (!res) return;
+    setReportDialog(res.error
+      ? { title: '导出失败', message: res.error, items: [] }
+      : { title: `已导出歌单「${target.name}」`, message: `${res.count} 首歌曲已写入 ${res.path}`, items: [] });
+  };
+
   const pickBackgroundImage = async () => {
     if (!electronAPI?.pickBackgroundImage) return;
     const selected = await electronAPI.pickBackgroundImage();
@@ -644,6 +1060,85 @@ function App() {
     }));
   };
 
+  const pickFfmpegBinary = async () => {
+    if (!electronAPI?.pickFfmpegBinary) return;
+    const selected = await electronAPI.pickFfmpegBinary();
+    if (!selected) return;
+    setData((prev) => ({
+      ...prev,
+      settings: { ...prev.settings, ffmpegPath: selected }
+    }));
+  };
+
+  const analyzeReplayGain = async (trackIds) => {
+    if (!electronAPI?.analyzeReplayGain || replayGainJob || !trackIds.length) return;
+    setReplayGainJob({ done: 0, total: trackIds.length, current: '' });
+    const res = await electronAPI.analyzeReplayGain({ trackIds, writeTags: replayGainWriteTags });
+    setReplayGainJob(null);
+    if (!res || res.error) {
+      setReportDialog({ title: '响度分析', message: res?.error || '分析失败', items: [] });
+      return;
+    }
+    setData((prev) => ({ ...prev, settings: { ...prev.settings, replayGainMap: res.replayGainMap } }));
+    if (res.results.length) await refreshWrittenTracks(res.results);
+    if (res.failed.length) {
+      setReportDialog({
+        title: '响度分析',
+        message: `${res.measured} 首已分析，${res.failed.length} 首失败：`,
+        items: res.failed.map((f) => `${f.path}：${f.error}`)
+      });
+    }
+  };
+
+  // Moving a band or the preamp turns whatever preset was picked into the hand-tuned 'custom' curve.
+  const tuneEq = (patch) => {
+    setData((prev) => {
+      const base = eqPresetFor(null, prev.settings);
+      const eqGains = [...base.gains];
+      if (patch.band != null) eqGains[patch.band] = patch.gain;
+      return {
+        ...prev,
+        settings: { ...prev.settings, eqPreset: 'custom', eqGains, eqPreamp: patch.preamp ?? base.preamp }
+      };
+    });
+  };
+
+  const saveEqPreset = () => {
+    const name = eqPresetName.trim();
+    if (!name) return;
+    const id = `eq-${Date.now()}`;
+    setData((prev) => {
+      const { gains, preamp } = eqPresetFor(null, prev.settings);
+      const eqUserPresets = [...(prev.settings.eqUserPresets || []), { id, name, gains: [...gains], preamp }];
+      return { ...prev, settings: { ...prev.settings, eqUserPresets, eqPreset: id } };
+    });
+    setEqPresetName('');
+  };
+
+  const deleteEqPreset = (id) => {
+    const keep = (map) => Object.fromEntries(Object.entries(map || {}).filter(([, presetId]) => presetId !== id));
+    setData((prev) => ({
+      ...prev,
+      settings: {
+        ...prev.settings,
+        eqUserPresets: (prev.settings.eqUserPresets || []).filter((p) => p.id !== id),
+        eqPreset: prev.settings.eqPreset === id ? 'flat' : prev.settings.eqPreset,
+        eqTrackPresets: keep(prev.settings.eqTrackPresets),
+        eqGenrePresets: keep(prev.settings.eqGenrePresets)
+      }
+    }));
+  };
+
+  // An empty preset id removes the assignment.
+  const assignEqPreset = (mapKey, key, presetId) => {
+    setData((prev) => {
+      const map = { ...(prev.settings[mapKey] || {}) };
+      if (presetId) map[key] = presetId;
+      else delete map[key];
+      return { ...prev, settings: { ...prev.settings, [mapKey]: map } };
+    });
+  };
+
   const clearBackgroundImage = () => {
     setData((prev) => ({
       ...prev,
@@ -652,6 +1147,11 @@ function App() {
   };
 
   const addTrackToPlaylist = (trackId, targetId) => {
+    if (targetId === 'favorites') {
+      if (!trackMap.get(trackId)?.liked) toggleLike(trackId);
+      return;
+    }
+    electronAPI?.addTrackToPlaylist(targetId, trackId);
     setData((prev) => {
       const playlists = prev.playlists.map((p) => {
         if (p.id !== targetId) return p;
@@ -663,6 +1163,7 @@ function App() {
   };
 
   const removeTrack = (trackId) => {
+    electronAPI?.removeTracks([trackId]);
     setData((prev) => {
       const tracks = prev.tracks.filter((t) => t.id !== trackId);
       const playlists = prev.playlists.map((p) => ({ ...p, trackIds: p.trackIds.filter((id) => id !== trackId) }));
@@ -674,46 +1175,108 @@ function App() {
     }
   };
 
+  const beginScan = () => {
+    scanParseStartRef.current = null;
+    setScanProgress(null);
+    setScanError('');
+    setScanBusy(true);
+  };
+
+  const endScan = () => {
+    scanParseStartRef.current = null;
+    setScanProgress(null);
+    setScanBusy(false);
+  };
+
+  const cancelScan = () => {
+    electronAPI?.cancelScan?.();
+  };
+
+  // Resolves to the library change, or null when the scan was canceled or failed (the failure is shown in settings).
+  const runScan = async (folders) => {
+    beginScan();
+    try {
+      return await electronAPI.scanFolders(folders);
+    } catch (err) {
+      setScanError(err?.message || String(err));
+      return null;
+    } finally {
+      endScan();
+    }
+  };
+
+  // Scans report what changed; likes and playlists edited while they ran stay as they are.
+  const applyScanChange = (change) => {
+    setData((prev) => ({ ...applyLibraryChange(prev, change), scanFolders: change.scanFolders }));
+  };
+
   const pickAndScanFolders = async () => {
     if (!electronAPI) return;
     const folders = await electronAPI.pickFolders();
     if (!folders?.length) return;
     const prev = data.scanFolders || [];
     const merged = [...new Set([...prev, ...folders])];
-    setScanBusy(true);
-    try {
-      const scanned = await electronAPI.scanFolders(merged);
-      setData(scanned);
-    } finally {
-      setScanBusy(false);
-    }
+    const change = await runScan(merged);
+    if (change) applyScanChange(change);
   };
 
   const rescanManagedFolders = async () => {
     if (!electronAPI) return;
-    setScanBusy(true);
-    try {
-      const scanned = await electronAPI.scanFolders(data.scanFolders || []);
-      setData(scanned);
-    } finally {
-      setScanBusy(false);
-    }
+    const change = await runScan(data.scanFolders || []);
+    if (change) applyScanChange(change);
   };
 
   const removeManagedFolder = async (folderPath) => {
     if (!electronAPI) return;
     const nextFolders = (data.scanFolders || []).filter((f) => f !== folderPath);
-    setScanBusy(true);
-    try {
-      const scanned = await electronAPI.scanFolders(nextFolders);
-      setData(scanned);
-      if (currentTrackId && !scanned.tracks.some((t) => t.id === currentTrackId)) {
-        setCurrentTrackId(scanned.tracks[0]?.id || null);
-        if (!scanned.tracks.length) setIsPlaying(false);
-      }
-    } finally {
-      setScanBusy(false);
+    const change = await runScan(nextFolders);
+    if (!change) return;
+    applyScanChange(change);
+    if (currentTrackId && change.removedIds.includes(currentTrackId)) {
+      const removed = new Set(change.removedIds);
+      const next = data.tracks.find((t) => !removed.has(t.id)) || change.upserted[0];
+      setCurrentTrackId(next?.id || null);
+      if (!next) setIsPlaying(false);
+    }
+  };
+
+  const locateTrackFile = async (track) => {
+    if (!electronAPI?.pickAudioFile) return;
+    const file = await electronAPI.pickAudioFile(track.folder);
+    if (!file) return;
+    const change = await electronAPI.relinkTrack(track.id, file);
+    if (!change) {
+      setReportDialog({ title: '定位失败', message: '所选文件无法读取，歌曲仍标记为丢失。', items: [] });
+      return;
     }
+    setData((prev) => applyLibraryChange(prev, change));
+  };
+
+  const relinkTrackFolder = async (track) => {
+    if (!electronAPI?.relinkFolder) return;
+    const folders = await electronAPI.pickFolders();
+    if (!folders?.length) return;
+    const res = await electronAPI.relinkFolder(track.folder, folders[0]);
+    if (!res) return;
+    setData((prev) => ({ ...applyLibraryChange(prev, res), scanFolders: res.scanFolders }));
+    setReportDialog({
+      title: '重新定位文件夹',
+      message: res.relinked
+        ? `已重新关联 ${res.relinked} 个文件${res.remaining ? `，仍有 ${res.remaining} 首歌曲丢失。` : '。'}`
+        : '所选文件夹中没有找到对应的文件。',
+      items: []
+    });
+  };
+
+  const removeMissingTracks = () => {
+    const missing = new Set(data.tracks.filter((t) => t.missing).map((t) => t.id));
+    if (!missing.size) return;
+    electronAPI?.removeTracks([...missing]);
+    setData((prev) => ({
+      ...prev,
+      tracks: prev.tracks.filter((t) => !missing.has(t.id)),
+      playlists: prev.playlists.map((p) => ({ ...p, trackIds: p.trackIds.filter((id) => !missing.has(id)) }))
+    }));
   };
 
   const rescanSingle = async (track) => {
@@ -738,10 +1301,7 @@ function App() {
       const next = Math.max(-30, Math.min(30, Number((v + delta).toFixed(2))));
       return next;
     });
-    const audio = audioRef.current;
-    if (audio) {
-      setTime(audio.currentTime || 0);
-    }
+    setTime(readTrackTime());
   };
 
   const saveLyricOffsetToFile = async () => {
@@ -775,7 +1335,7 @@ function App() {
     let appliedDelta = 0;
     setLyricLines((prev) => {
       if (!prev.length || idx < 0 || idx >= prev.length) return prev;
-      const currentAtRelease = (audioRef.current?.currentTime ?? time) + lyricOffsetSec;
+      const currentAtRelease = readTrackTime() + lyricOffsetSec;
       const roundedCurrent = Math.max(0, Math.round(currentAtRelease * 10) / 10);
       const base = prev[idx].time;
       const minTarget = idx > 0 ? prev[idx - 1].time + 0.1 : 0;
@@ -822,11 +1382,6 @@ function App() {
     };
   }, [currentTrack?.path]);
 
-  const displayTracks = useMemo(
-    () => sortedTracks.filter((t) => trackMatchesTokens(t, queryTokens)),
-    [sortedTracks, queryTokens]
-  );
-
   const groupedByFolder = useMemo(() => {
     const map = new Map();
     for (const t of displayTracks) {
@@ -855,8 +1410,407 @@ function App() {
     });
   }, [displayTracks]);
 
-  const PlayModeIcon = playMode === 'sequence' ? ListOrdered : playMode === 'random' ? Shuffle : Repeat;
-  const activePanelLyricId = activeLyricIdx >= 0 ? `panel-lyric-${activeLyricIdx}` : '';
+  const groupedByAlbum = useMemo(() => {
+    const map = new Map();
+    for (const t of displayTracks) {
+      const key = albumGroupKey(t);
+      const entry = map.get(key) || { key, album: t.album, albumArtist: t.albumArtist || '', tracks: [] };
+      entry.tracks.push(t);
+      map.set(key, entry);
+    }
+    return [...map.values()]
+      .map((entry) => {
+        const artists = new Set(entry.tracks.map((t) => t.artist));
+        const years = entry.tracks.map((t) => t.year).filter(Boolean);
+        return {
+          ...entry,
+          artist: entry.albumArtist || (artists.size > 1 ? '群星' : entry.tracks[0].artist),
+          year: years.length ? Math.min(...years) : null,
+          tracks: [...entry.tracks].sort(compareAlbumOrder)
+        };
+      })
+      .sort((a, b) => {
+        const primary = MIXED_COLLATOR.compare(toMixedSortKey(a.album), toMixedSortKey(b.album));
+        if (primary !== 0) return primary;
+        return MIXED_COLLATOR.compare(toMixedSortKey(a.artist), toMixedSortKey(b.artist));
+      });
+  }, [displayTracks]);
+
+  const openAlbum = useMemo(
+    () => (openAlbumKey ? groupedByAlbum.find((a) => a.key === openAlbumKey) || null : null),
+    [groupedByAlbum, openAlbumKey]
+  );
+
+  const playAlbum = (album) => {
+    if (!album?.tracks.length) return;
+    setOpenAlbumKey(album.key);
+    playTrack(album.tracks[0].id);
+  };
+
+  useEffect(() => {
+    if (playMode !== 'random' || !currentTrackId) return;
+    const pool = getActivePlayList().filter((t) => t.id !== currentTrackId);
+    if (randomNext?.from === currentTrackId && pool.some((t) => t.id === randomNext.id)) return;
+    setRandomNext(pool.length ? { from: currentTrackId, id: pool[Math.floor(Math.random() * pool.length)].id } : null);
+  }, [playMode, currentTrackId, randomNext, view, displayTracks, groupedByFolder, groupedByAlbum, openAlbum]);
+
+  const upcomingTrackId = currentTrackId && (data.settings.gaplessPlayback !== false || crossfadeSec > 0)
+    ? resolveNextTrackId()
+    : null;
+  const upcomingTrack = upcomingTrackId ? trackMap.get(upcomingTrackId) : null;
+  const upcomingGain = replayGainFactor(upcomingTrack, data.settings);
+  // Tracks of one album run into each other without a crossfade, so live albums and mixes stay intact.
+  const upcomingCrossfade = upcomingTrack && currentTrack && albumGroupKey(upcomingTrack) === albumGroupKey(currentTrack)
+    ? 0
+    : crossfadeSec;
+
+  useEffect(() => {
+    const engine = engineRef.current;
+    if (!engine) return;
+    if (!upcomingTrack || upcomingTrack.missing || !electronAPI?.prepareAudioSource) {
+      engine.prepareNext(null);
+      return;
+    }
+    let canceled = false;
+    const prepareUpcoming = async () => {
+      const source = await electronAPI.prepareAudioSource(upcomingTrack.id).catch(() => null);
+      if (canceled) return;
+      engine.prepareNext(source?.url ? upcomingTrack : null, {
+        url: source?.url,
+        gain: upcomingGain,
+        crossfade: upcomingCrossfade
+      });
+    };
+    prepareUpcoming();
+    return () => {
+      canceled = true;
+    };
+  }, [currentTrackId, upcomingTrackId, upcomingGain, upcomingCrossfade, advanceCount]);
+
+  const selectedTrackSet = useMemo(() => new Set(selectedTrackIds), [selectedTrackIds]);
+
+  // Ctrl/Cmd toggles a row, Shift extends from the last clicked row; a plain click still plays.
+  const clickTrackRow = (e, track, rowTracks) => {
+    if (e.ctrlKey || e.metaKey) {
+      setSelectedTrackIds((prev) => (prev.includes(track.id) ? prev.filter((id) => id !== track.id) : [...prev, track.id]));
+      selectionAnchorRef.current = track.id;
+      return;
+    }
+    if (e.shiftKey && selectionAnchorRef.current) {
+      const ids = (rowTracks || []).map((t) => t.id);
+      const from = ids.indexOf(selectionAnchorRef.current);
+      const to = ids.indexOf(track.id);
+      if (from >= 0 && to >= 0) {
+        setSelectedTrackIds(ids.slice(Math.min(from, to), Math.max(from, to) + 1));
+        return;
+      }
+    }
+    selectionAnchorRef.current = track.id;
+    setSelectedTrackIds([]);
+    playTrack(track.id);
+  };
+
+  const openTagEditor = (trackIds) => {
+    const tracks = trackIds.map((id) => trackMap.get(id)).filter((t) => t && !t.missing);
+    if (!tracks.length) return;
+    const form = {};
+    const mixed = {};
+    for (const { key } of TAG_EDIT_FIELDS) {
+      const values = new Set(tracks.map((t) => `${t[key] ?? ''}`));
+      form[key] = values.size === 1 ? [...values][0] : '';
+      mixed[key] = values.size > 1;
+    }
+    setTagEditor({ trackIds: tracks.map((t) => t.id), form, mixed, dirty: {}, cover: undefined, coverPreview: '', saving: false, error: '' });
+    if (tracks.length === 1 && electronAPI?.readTrackCoverDataUrl) {
+      electronAPI.readTrackCoverDataUrl(tracks[0].path, 'grid').then((dataUrl) => {
+        setTagEditor((prev) => (prev && prev.cover === undefined ? { ...prev, coverPreview: dataUrl || '' } : prev));
+      });
+    }
+  };
+
+  const editTagField = (key, value) => {
+    setTagEditor((prev) => ({ ...prev, form: { ...prev.form, [key]: value }, dirty: { ...prev.dirty, [key]: true } }));
+  };
+
+  const pickTagEditorCover = async () => {
+    if (!electronAPI?.pickCoverImage) return;
+    const selected = await electronAPI.pickCoverImage();
+    if (!selected) return;
+    const dataUrl = await electronAPI.readImageDataUrl(selected);
+    setTagEditor((prev) => (prev ? { ...prev, cover: { path: selected }, coverPreview: dataUrl || '' } : prev));
+  };
+
+  // Only fields the user touched are written, so a batch edit never flattens per-track values.
+  const saveTagEditor = async () => {
+    const editor = tagEditor;
+    if (!editor || editor.saving || !electronAPI?.writeTrackTags) return;
+    const changes = Object.fromEntries(Object.keys(editor.dirty).map((key) => [key, editor.form[key]]));
+    if (!Object.keys(changes).length && editor.cover === undefined) {
+      setTagEditor(null);
+      return;
+    }
+    setTagEditor((prev) => ({ ...prev, saving: true, error: '' }));
+    const res = await electronAPI.writeTrackTags({
+      trackIds: editor.trackIds,
+      changes,
+      coverPath: editor.cover?.path || '',
+      removeCover: editor.cover === null
+    });
+    if (!res || res.error) {
+      setTagEditor((prev) => ({ ...prev, saving: false, error: res?.error || '写入失败' }));
+      return;
+    }
+    await refreshWrittenTracks(res.results);
+    if (editor.cover !== undefined) setCoverVersion((v) => v + 1);
+    setTagEditor(null);
+  };
+
+  // Re-reads files whose tags were just written and reports the ones that failed.
+  const refreshWrittenTracks = async (results) => {
+    const refreshed = new Map();
+    for (const result of results.filter((r) => r.ok)) {
+      const fresh = await electronAPI.rescanTrack(result.path);
+      if (fresh?.id) refreshed.set(fresh.id, fresh);
+    }
+    setData((prev) => ({
+      ...prev,
+      tracks: prev.tracks.map((t) => (refreshed.has(t.id) ? { ...refreshed.get(t.id), liked: t.liked } : t))
+    }));
+    const failed = results.filter((r) => !r.ok);
+    if (failed.length) {
+      setReportDialog({
+        title: '部分标签未写入',
+        message: `${results.length - failed.length} 首已保存，${failed.length} 首失败：`,
+        items: failed.map((r) => `${r.path}：${r.error}`)
+      });
+    }
+  };
+
+  // When every chosen track belongs to one album, the editor also offers the rest of that album.
+  const openCoverEditor = (trackIds) => {
+    const tracks = trackIds.map((id) => trackMap.get(id)).filter((t) => t && !t.missing);
+    if (!tracks.length) return;
+    const albumKey = albumGroupKey(tracks[0]);
+    const albumTrackIds = tracks.every((t) => albumGroupKey(t) === albumKey)
+      ? data.tracks.filter((t) => !t.missing && albumGroupKey(t) === albumKey).map((t) => t.id)
+      : [];
+    setCoverEditor({
+      trackIds: tracks.map((t) => t.id),
+      albumTrackIds: albumTrackIds.length > tracks.length ? albumTrackIds : [],
+      wholeAlbum: false,
+      image: null,
+      trackQuery: '',
+      square: true,
+      embed: true,
+      saveToFolder: false,
+      busy: false,
+      error: ''
+    });
+  };
+
+  const loadCoverCandidate = async (payload) => {
+    if (!electronAPI?.loadCoverImage) return;
+    const res = await electronAPI.loadCoverImage(payload);
+    setCoverEditor((prev) => {
+      if (!prev) return prev;
+      return res?.dataUrl ? { ...prev, image: res, trackQuery: '', error: '' } : { ...prev, error: res?.error || '读取封面失败' };
+    });
+  };
+
+  const pickCoverFile = async () => {
+    const selected = await electronAPI?.pickCoverImage?.();
+    if (selected) loadCoverCandidate({ source: 'file', path: selected });
+  };
+
+  const applyCoverEditor = async () => {
+    const editor = coverEditor;
+    if (!editor?.image || editor.busy || (!editor.embed && !editor.saveToFolder) || !electronAPI?.applyCover) return;
+    setCoverEditor((prev) => ({ ...prev, busy: true, error: '' }));
+    const res = await electronAPI.applyCover({
+      trackIds: editor.wholeAlbum ? editor.albumTrackIds : editor.trackIds,
+      dataUrl: editor.image.dataUrl,
+      square: editor.square,
+      embed: editor.embed,
+      saveToFolder: editor.saveToFolder
+    });
+    if (!res || res.error) {
+      setCoverEditor((prev) => ({ ...prev, busy: false, error: res?.error || '写入失败' }));
+      return;
+    }
+    await refreshWrittenTracks(res.results);
+    setCoverVersion((v) => v + 1);
+    setCoverEditor(null);
+    const failedFolders = res.folders.filter((f) => !f.ok).map((f) => `${f.path}：${f.error}`);
+    if (failedFolders.length) {
+      setReportDialog((prev) => (prev
+        ? { ...prev, items: [...prev.items, ...failedFolders] }
+        : { title: '封面未保存到文件夹', message: `${failedFolders.length} 个文件夹写入失败：`, items: failedFolders }));
+    }
+  };
+
+  const embedLyrics = async () => {
+    const dialog = lyricEmbedDialog;
+    if (!dialog || dialog.busy || !electronAPI?.embedLyrics) return;
+    setLyricEmbedDialog((prev) => ({ ...prev, busy: true }));
+    const res = await electronAPI.embedLyrics({ trackIds: dialog.trackIds, synced: dialog.synced });
+    const results = res?.results || [];
+    await refreshWrittenTracks(results);
+    setLyricSourcesVersion((v) => v + 1);
+    setLyricEmbedDialog(null);
+    const skipped = dialog.trackIds.length - results.length;
+    if (skipped > 0 && results.every((r) => r.ok)) {
+      setReportDialog({
+        title: '写入歌词',
+        message: `${results.length} 首已写入，${skipped} 首没有找到歌词文件。`,
+        items: []
+      });
+    }
+  };
+
+  const openTagEncodingDialog = async (track) => {
+    const trackIds = selectedTrackSet.has(track.id) ? selectedTrackIds : [track.id];
+    // Main resolves the track's own and folder overrides with the same path keys it stores them under.
+    const encoding = (await electronAPI?.getTagEncoding?.(track.id)) || 'auto';
+    setTagEncodingDialog({
+      trackIds,
+      folder: track.folder,
+      scope: 'tracks',
+      encoding,
+      busy: false
+    });
+  };
+
+  const applyTagEncoding = async () => {
+    const dialog = tagEncodingDialog;
+    if (!dialog || dialog.busy || !electronAPI?.setTagEncoding) return;
+    setTagEncodingDialog((prev) => ({ ...prev, busy: true }));
+    const res = await electronAPI.setTagEncoding(dialog.scope === 'folder'
+      ? { folder: dialog.folder, encoding: dialog.encoding }
+      : { trackIds: dialog.trackIds, encoding: dialog.encoding });
+    const changed = new Map((res?.tracks || []).map((t) => [t.id, t]));
+    setData((prev) => ({
+      ...prev,
+      tracks: prev.tracks.map((t) => (changed.has(t.id) ? { ...changed.get(t.id), liked: t.liked } : t)),
+      settings: {
+        ...prev.settings,
+        tagEncodingMap: res?.tagEncodingMap || prev.settings.tagEncodingMap,
+        folderTagEncodingMap: res?.folderTagEncodingMap || prev.settings.folderTagEncodingMap
+      }
+    }));
+    setTagEncodingDialog(null);
+  };
+
+  const rewriteRepairedTags = async (trackIds) => {
+    const ids = trackIds.filter((id) => trackMap.get(id)?.rawTags && !trackMap.get(id)?.missing);
+    if (!ids.length || !electronAPI?.rewriteRepairedTags) return;
+    setTagEncodingDialog((prev) => (prev ? { ...prev, busy: true } : prev));
+    const res = await electronAPI.rewriteRepairedTags(ids);
+    await refreshWrittenTracks(res?.results || []);
+    setTagEncodingDialog(null);
+  };
+
+  // Every change to the pattern list is previewed first; nothing is saved until the preview is confirmed.
+  const previewPathPatterns = async (patterns) => {
+    if (!electronAPI?.previewPathPatterns) return;
+    setPathPatternPreview({ patterns, changes: [], busy: true, error: '' });
+    const res = await electronAPI.previewPathPatterns(patterns);
+    setPathPatternPreview({
+      patterns,
+      changes: res?.changes || [],
+      busy: false,
+      error: res?.invalid?.length ? `无法识别的规则：${res.invalid.join('，')}（至少包含一个 %title% 这样的字段）` : ''
+    });
+  };
+
+  const applyPathPatterns = async () => {
+    const preview = pathPatternPreview;
+    if (!preview || preview.busy || preview.error || !electronAPI?.setPathPatterns) return;
+    setPathPatternPreview((prev) => ({ ...prev, busy: true }));
+    const res = await electronAPI.setPathPatterns(preview.patterns);
+    if (!res || res.error) {
+      setPathPatternPreview((prev) => ({ ...prev, busy: false, error: res?.error || '保存失败' }));
+      return;
+    }
+    const changed = new Map((res.tracks || []).map((t) => [t.id, t]));
+    setData((prev) => ({
+      ...prev,
+      tracks: prev.tracks.map((t) => (changed.has(t.id) ? { ...changed.get(t.id), liked: t.liked } : t)),
+      settings: { ...prev.settings, pathPatterns: res.pathPatterns }
+    }));
+    setPathPatternDraft('');
+    setPathPatternPreview(null);
+  };
+
+  const openOrganizeDialog = (trackIds = []) => {
+    setOrganizeDialog({
+      trackIds,
+      template: data.settings.organizeTemplate || DEFAULT_DATA.settings.organizeTemplate,
+      conflict: 'skip',
+      preview: null,
+      lastRun: null,
+      busy: false,
+      error: ''
+    });
+    previewOrganize({ trackIds, template: data.settings.organizeTemplate || DEFAULT_DATA.settings.organizeTemplate, conflict: 'skip' });
+  };
+
+  // Nothing moves until the dry run for exactly these options has been shown.
+  const previewOrganize = async (options) => {
+    if (!electronAPI?.previewOrganize) return;
+    setOrganizeDialog((prev) => (prev ? { ...prev, busy: true, error: '' } : prev));
+    const res = await electronAPI.previewOrganize(options);
+    setOrganizeDialog((prev) => (prev ? {
+      ...prev,
+      busy: false,
+      error: res?.error || '',
+      preview: res?.error ? null : { ...options, items: res.items },
+      lastRun: res?.lastRun ?? prev.lastRun
+    } : prev));
+  };
+
+  const organizeOptions = (dialog) => ({ trackIds: dialog.trackIds, template: dialog.template.trim(), conflict: dialog.conflict });
+
+  const runOrganize = async () => {
+    const dialog = organizeDialog;
+    if (!dialog?.preview || dialog.busy || !electronAPI?.applyOrganize) return;
+    setOrganizeDialog((prev) => ({ ...prev, busy: true }));
+    const options = organizeOptions(dialog);
+    const res = await electronAPI.applyOrganize(options);
+    if (!res || res.error) {
+      setOrganizeDialog((prev) => ({ ...prev, busy: false, error: res?.error || '整理失败' }));
+      return;
+    }
+    setData((prev) => ({
+      ...applyLibraryChange(prev, res),
+      settings: { ...prev.settings, organizeTemplate: options.template }
+    }));
+    setOrganizeDialog(null);
+    setReportDialog({
+      title: '整理文件',
+      message: `已移动 ${res.moved} 个文件${res.conflicts ? `，${res.conflicts} 个因冲突跳过` : ''}${res.failed.length ? `，${res.failed.length} 个失败：` : '。'}`,
+      items: res.failed.map((f) => `${f.path}：${f.error}`)
+    });
+  };
+
+  const undoOrganize = async () => {
+    if (!electronAPI?.undoOrganize) return;
+    setOrganizeDialog((prev) => ({ ...prev, busy: true }));
+    const res = await electronAPI.undoOrganize();
+    if (!res || res.error) {
+      setOrganizeDialog((prev) => ({ ...prev, busy: false, error: res?.error || '撤销失败' }));
+      return;
+    }
+    setData((prev) => applyLibraryChange(prev, res));
+    setOrganizeDialog(null);
+    setReportDialog({
+      title: '撤销整理',
+      message: `已移回 ${res.restored} 个文件${res.failed.length ? `，${res.failed.length} 个无法还原（仍保留在整理记录中，可稍后再次撤销）：` : '。'}`,
+      items: res.failed.map((f) => `${f.path}：${f.error}`)
+    });
+  };
+
+  const PlayModeIcon = playMode === 'sequence' ? ListOrdered : playMode === 'random' ? Shuffle : Repeat;
+  const activePanelLyricId = activeLyricIdx >= 0 ? `panel-lyric-${activeLyricIdx}` : '';
 
   useEffect(() => {
     if (!playerPanelOpen || !activePanelLyricId || holdLyricIdx != null) return;
@@ -867,18 +1821,22 @@ function App() {
     scroller.scrollTo({ top: nextTop, behavior: 'smooth' });
   }, [activePanelLyricId, playerPanelOpen, currentTrackId, lyricOffsetSec, holdLyricIdx]);
 
-  const renderRow = (track, rowKey) => {
+  const renderRow = (track, rowKey, rowTracks) => {
     const isActive = currentTrackId === track.id;
+    const isSelected = selectedTrackSet.has(track.id);
     return (
       <div
         key={rowKey}
-        className={`relative grid grid-cols-[48px_2fr_1.2fr_1.2fr_90px] items-center px-2 py-1.5 text-sm border-b border-black/5 dark:border-white/10 even:bg-black/[0.02] dark:even:bg-white/[0.03] hover:bg-black/5 dark:hover:bg-white/10 apple-pointer select-none ${
+        style={{ gridTemplateColumns: trackGridTemplate }}
+        className={`relative grid items-center px-2 py-1.5 text-sm border-b border-black/5 dark:border-white/10 even:bg-black/[0.02] dark:even:bg-white/[0.03] hover:bg-black/5 dark:hover:bg-white/10 apple-pointer select-none ${
           isActive ? 'bg-[#007aff]/12 dark:bg-[#007aff]/22' : ''
-        }`}
-        onClick={() => playTrack(track.id)}
+        } ${isSelected && !isActive ? 'bg-black/[0.07] dark:bg-white/[0.12]' : ''} ${track.missing ? 'opacity-45' : ''}`}
+        title={track.missing ? `文件丢失：${track.path}` : undefined}
+        onClick={(e) => clickTrackRow(e, track, rowTracks)}
         onDoubleClick={() => playTrack(track.id)}
         onContextMenu={(e) => {
           e.preventDefault();
+          if (!isSelected) setSelectedTrackIds([]);
           setContextMenu({ x: e.clientX, y: e.clientY, trackId: track.id });
         }}
       >
@@ -892,35 +1850,33 @@ function App() {
       >
         <Heart size={16} className={track.liked ? 'fill-red-500 text-red-500' : 'text-black/40 dark:text-white/40'} />
       </button>
-      <div className={`truncate apple-pointer ${isActive ? 'text-[#0066d6] dark:text-[#86bcff] font-medium' : ''}`}>{track.title}</div>
-      <div className="truncate text-black/60 dark:text-white/60 apple-pointer">{track.artist}</div>
-      <div className="truncate text-black/60 dark:text-white/60 apple-pointer">{track.album}</div>
-      <div className="text-right text-black/60 dark:text-white/60 pr-2 apple-pointer">{formatDuration(track.duration)}</div>
+      {visibleColumns.map((col) => {
+        if (col.key === 'cover') {
+          return (
+            <div key={col.key} className="w-7">
+              <AlbumCover trackPath={track.path} size="list" version={coverVersion} className="rounded" />
+            </div>
+          );
+        }
+        if (col.key === 'title') {
+          return (
+            <div key={col.key} className={`truncate apple-pointer ${isActive ? 'text-[#0066d6] dark:text-[#86bcff] font-medium' : ''}`}>
+              {track.title}
+              {track.missing && <span className="ml-2 rounded px-1 py-px text-[10px] bg-black/10 dark:bg-white/15">文件丢失</span>}
+            </div>
+          );
+        }
+        const value = col.format ? col.format(track) : track[col.key];
+        return (
+          <div key={col.key} className={`truncate text-black/60 dark:text-white/60 apple-pointer ${col.align === 'right' ? 'text-right pr-2' : ''}`}>{value}</div>
+        );
+      })}
       </div>
     );
   };
 
   return (
     <div className="h-full w-full p-0 text-black/85 dark:text-white/90">
-      <audio
-        ref={audioRef}
-        onPlay={() => {
-          if (sourceSwitchingRef.current) return;
-          setIsPlaying(true);
-        }}
-        onPause={() => {
-          if (sourceSwitchingRef.current) return;
-          setIsPlaying(false);
-        }}
-        onTimeUpdate={(e) => setTime(e.currentTarget.currentTime || 0)}
-        onLoadedMetadata={(e) => setTrackDuration(e.currentTarget.duration || currentTrack?.duration || 0)}
-        onEnded={playNext}
-        onError={() => {
-          setPlayError('音频播放失败，请尝试 MP3/FLAC');
-          setIsPlaying(false);
-        }}
-      />
-
       <div className="relative h-full w-full rounded-[8px] bg-white/80 dark:bg-[#282828]/70 backdrop-blur-3xl shadow-[0px_14px_30px_-10px_rgba(0,0,0,0.16)] noise-layer overflow-hidden">
         {!!bgDataUrl && (
           <div className="pointer-events-none absolute inset-0 z-0 overflow-hidden">
@@ -955,7 +1911,14 @@ function App() {
               <nav className="space-y-1 text-sm">
                 <button className={`w-full rounded-md px-2 py-1.5 text-left ${playlistId === 'all' ? 'bg-[#007aff] text-white' : 'hover:bg-black/5 dark:hover:bg-white/10'}`} onClick={() => setPlaylistId('all')}>所有歌曲 ({uniqueTracks.length})</button>
                 {data.playlists.map((p) => (
-                  <div key={p.id} className="flex items-center gap-2">
+                  <div
+                    key={p.id}
+                    className="flex items-center gap-2"
+                    onContextMenu={(e) => {
+                      e.preventDefault();
+                      setPlaylistMenu({ x: e.clientX, y: e.clientY, playlistId: p.id });
+                    }}
+                  >
                     <button className={`flex-1 rounded-md px-2 py-1.5 text-left ${playlistId === p.id ? 'bg-[#007aff] text-white' : 'hover:bg-black/5 dark:hover:bg-white/10'}`} onClick={() => setPlaylistId(p.id)}>{p.name} ({p.trackIds.length})</button>
                     {!p.fixed && (
                       <button onClick={() => removePlaylist(p.id)} className="p-1 text-black/40 dark:text-white/40 hover:text-red-400"><X size={14} /></button>
@@ -967,12 +1930,21 @@ function App() {
 
             <div className="mt-3 shrink-0">
               {!creatingPlaylist && (
-                <button
-                  className="w-full rounded-md px-2 py-1.5 bg-black/5 dark:bg-white/10 hover:bg-black/10 dark:hover:bg-white/20"
-                  onClick={() => setCreatingPlaylist(true)}
-                >
-                  新建歌单
-                </button>
+                <div className="flex items-center gap-2">
+                  <button
+                    className="flex-1 rounded-md px-2 py-1.5 bg-black/5 dark:bg-white/10 hover:bg-black/10 dark:hover:bg-white/20"
+                    onClick={() => setCreatingPlaylist(true)}
+                  >
+                    新建歌单
+                  </button>
+                  <button
+                    className="flex-1 rounded-md px-2 py-1.5 bg-black/5 dark:bg-white/10 hover:bg-black/10 dark:hover:bg-white/20"
+                    onClick={importPlaylist}
+                    title="导入 M3U / M3U8 / PLS / XSPF"
+                  >
+                    导入歌单
+                  </button>
+                </div>
               )}
               {creatingPlaylist && (
                 <div className="rounded-md bg-white/60 dark:bg-white/5 p-2 space-y-2 shadow-[inset_0_1px_2px_rgba(0,0,0,0.06)]">
@@ -1015,9 +1987,17 @@ function App() {
               {[
                 ['songs', <ListMusic size={16} />, '歌曲'],
                 ['artists', <Users size={16} />, '作者'],
+                ['albums', <Album size={16} />, '专辑'],
                 ['folders', <FolderTree size={16} />, '文件夹']
               ].map(([id, icon, label]) => (
-                <button key={id} onClick={() => setView(id)} className="relative flex-1 rounded-[6px] py-1.5 text-xs tracking-wide">
+                <button
+                  key={id}
+                  onClick={() => {
+                    setView(id);
+                    setOpenAlbumKey(null);
+                  }}
+                  className="relative flex-1 rounded-[6px] py-1.5 text-xs tracking-wide"
+                >
                   {view === id && (
                     <motion.div
                       layoutId="view-tab"
@@ -1091,29 +2071,144 @@ function App() {
 
             {!mini && (
               <div className="apple-scroll flex-1 min-h-0 overflow-auto px-3 pb-40">
-                <div className="sticky top-0 z-10 grid grid-cols-[48px_2fr_1.2fr_1.2fr_90px] px-2 py-2 text-xs tracking-wide uppercase bg-white/70 dark:bg-[#2a2a2a]/80 backdrop-blur-xl border-b border-black/5 dark:border-white/10">
-                  <span className="text-center">喜欢</span>
-                  <button className="text-left apple-pointer" onClick={() => setSort((s) => nextSort(s, 'title'))}>歌曲名</button>
-                  <button className="text-left apple-pointer" onClick={() => setSort((s) => nextSort(s, 'artist'))}>作者</button>
-                  <button className="text-left apple-pointer" onClick={() => setSort((s) => nextSort(s, 'album'))}>专辑</button>
-                  <button className="text-right pr-2 apple-pointer" onClick={() => setSort((s) => nextSort(s, 'duration'))}>时长</button>
-                </div>
+                {(view !== 'albums' || openAlbum) && (
+                  <div
+                    style={{ gridTemplateColumns: trackGridTemplate }}
+                    className="sticky top-0 z-10 grid px-2 py-2 text-xs tracking-wide uppercase bg-white/70 dark:bg-[#2a2a2a]/80 backdrop-blur-xl border-b border-black/5 dark:border-white/10"
+                  >
+                    <div className="relative flex items-center justify-center gap-1">
+                      <button
+                        className="rounded p-0.5 text-black/45 dark:text-white/45 hover:bg-black/10 dark:hover:bg-white/10"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setColumnMenuOpen((v) => !v);
+                        }}
+                        title="显示/隐藏列"
+                      >
+                        <Columns3 size={13} />
+                      </button>
+                      <span>喜欢</span>
+                      {columnMenuOpen && (
+                        <div
+                          className="absolute left-0 top-[calc(100%+6px)] z-30 w-40 rounded-lg border border-black/10 dark:border-white/15 bg-white/95 dark:bg-[#2a2a2a]/95 backdrop-blur-xl shadow-xl overflow-hidden normal-case tracking-normal"
+                          onClick={(e) => e.stopPropagation()}
+                        >
+                          {TRACK_COLUMNS.filter((c) => !c.locked).map((col) => {
+                            const shown = visibleColumns.some((c) => c.key === col.key);
+                            return (
+                              <button
+                                key={col.key}
+                                className="flex w-full items-center gap-2 px-3 py-1.5 text-left text-xs text-black/85 dark:text-white/90 hover:bg-black/5 dark:hover:bg-white/10"
+                                onClick={() => toggleTrackColumn(col.key)}
+                              >
+                                <span className="w-3">{shown && <Check size={12} />}</span>
+                                {col.label}
+                              </button>
+                            );
+                          })}
+                        </div>
+                      )}
+                    </div>
+                    {visibleColumns.map((col) => (col.unsortable ? (
+                      <span key={col.key} className="truncate">{col.label}</span>
+                    ) : (
+                      <button
+                        key={col.key}
+                        className={`truncate apple-pointer ${col.align === 'right' ? 'text-right pr-2' : 'text-left'}`}
+                        onClick={() => setSort((s) => nextSort(s, col.key))}
+                      >
+                        {col.label}
+                        {sort.key === col.key && (sort.dir === 'asc' ? ' ↑' : ' ↓')}
+                      </button>
+                    )))}
+                  </div>
+                )}
 
-                {view === 'songs' && displayTracks.map((track, idx) => renderRow(track, `songs-${track.id}-${idx}`))}
+                {view === 'songs' && displayTracks.map((track, idx) => renderRow(track, `songs-${track.id}-${idx}`, displayTracks))}
 
                 {view === 'artists' && groupedByArtist.map(([artist, tracks]) => (
                   <section key={artist} className="mb-4 overflow-hidden rounded-xl bg-white/50 dark:bg-[#1e1e1e]/50 backdrop-blur-md border border-white/10 shadow-[inset_0_1px_0_0_rgba(255,255,255,0.35)]">
                     <div className="px-3 py-2 text-sm tracking-tight font-medium bg-black/[0.03] dark:bg-white/[0.04]">{artist} ({tracks.length})</div>
-                    {tracks.map((track, idx) => renderRow(track, `artists-${artist}-${track.id}-${idx}`))}
+                    {tracks.map((track, idx) => renderRow(track, `artists-${artist}-${track.id}-${idx}`, tracks))}
                   </section>
                 ))}
 
+                {view === 'albums' && !openAlbum && (
+                  <div className="grid grid-cols-[repeat(auto-fill,minmax(150px,1fr))] gap-4 pt-3">
+                    {groupedByAlbum.map((album) => (
+                      <div
+                        key={album.key}
+                        className="group apple-pointer select-none"
+                        onClick={() => setOpenAlbumKey(album.key)}
+                        onDoubleClick={() => playAlbum(album)}
+                      >
+                        <div className="relative overflow-hidden rounded-xl border border-black/8 dark:border-white/12 shadow-sm">
+                          <AlbumCover trackPath={album.tracks[0]?.path} version={coverVersion} />
+                          <button
+                            className="absolute bottom-2 right-2 rounded-full p-2 bg-[#007aff] text-white opacity-0 shadow-lg transition-opacity group-hover:opacity-100"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              playAlbum(album);
+                            }}
+                            title="播放专辑"
+                          >
+                            <Play size={16} />
+                          </button>
+                        </div>
+                        <div className="mt-1.5 truncate text-sm tracking-tight" title={album.album}>{album.album}</div>
+                        <div className="truncate text-xs text-black/55 dark:text-white/55">
+                          {album.artist}{album.year ? ` · ${album.year}` : ''}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {view === 'albums' && openAlbum && (
+                  <section className="mb-4 mt-3 overflow-hidden rounded-2xl bg-white/50 dark:bg-[#1e1e1e]/50 backdrop-blur-md border border-white/10 shadow-[inset_0_1px_0_0_rgba(255,255,255,0.35)]">
+                    <div className="flex items-end gap-4 p-4 bg-black/[0.03] dark:bg-white/[0.04] border-b border-black/5 dark:border-white/10">
+                      <div className="w-32 shrink-0 overflow-hidden rounded-xl border border-black/8 dark:border-white/12">
+                        <AlbumCover trackPath={openAlbum.tracks[0]?.path} version={coverVersion} />
+                      </div>
+                      <div className="min-w-0 flex-1">
+                        <button
+                          className="mb-2 flex items-center gap-1 rounded-md px-2 py-1 text-xs bg-black/5 dark:bg-white/10 hover:bg-black/10 dark:hover:bg-white/15"
+                          onClick={() => setOpenAlbumKey(null)}
+                        >
+                          <ArrowLeft size={12} />
+                          全部专辑
+                        </button>
+                        <div className="truncate text-xl tracking-tight font-semibold">{openAlbum.album}</div>
+                        <div className="truncate text-sm text-black/60 dark:text-white/65">
+                          {openAlbum.artist}{openAlbum.year ? ` · ${openAlbum.year}` : ''} · {openAlbum.tracks.length} 首
+                        </div>
+                        <div className="mt-3 flex items-center gap-2">
+                          <button
+                            className="flex items-center gap-1.5 rounded-md px-3 py-1.5 text-sm bg-gradient-to-b from-blue-500 to-blue-600 text-white border border-white/20"
+                            onClick={() => playAlbum(openAlbum)}
+                          >
+                            <Play size={14} />
+                            播放专辑
+                          </button>
+                          <button
+                            className="rounded-md px-3 py-1.5 text-sm bg-black/5 dark:bg-white/10 hover:bg-black/10 dark:hover:bg-white/15"
+                            onClick={() => openCoverEditor(openAlbum.tracks.map((t) => t.id))}
+                          >
+                            设置封面...
+                          </button>
+                        </div>
+                      </div>
+                    </div>
+                    {openAlbum.tracks.map((track, idx) => renderRow(track, `albums-${openAlbum.key}-${track.id}-${idx}`, openAlbum.tracks))}
+                  </section>
+                )}
+
                 {view === 'folders' && groupedByFolder.map(([folder, tracks]) => (
                   <section key={folder} className="mb-4 overflow-hidden rounded-2xl bg-white/50 dark:bg-[#1e1e1e]/50 backdrop-blur-md border border-white/10 shadow-[inset_0_1px_0_0_rgba(255,255,255,0.35)]">
                     <div className="px-3 py-2 text-sm tracking-tight font-medium bg-black/[0.03] dark:bg-white/[0.04] border-b border-black/5 dark:border-white/10 truncate">
                       {folder}
                     </div>
-                    {tracks.map((track, idx) => renderRow(track, `folders-${folder}-${track.id}-${idx}`))}
+                    {tracks.map((track, idx) => renderRow(track, `folders-${folder}-${track.id}-${idx}`, tracks))}
                   </section>
                 ))}
                 {displayTracks.length === 0 && (
@@ -1154,6 +2249,64 @@ function App() {
                             查找歌词
                           </button>
                         )}
+                        {activeLyricSource?.key === 'file' && currentTrack.cueStart == null && (
+                          <button
+                            className="no-drag rounded-lg px-3 py-2 text-sm bg-black/5 dark:bg-white/10 hover:bg-black/10 dark:hover:bg-white/15"
+                            onClick={() => setLyricEmbedDialog({ trackIds: [currentTrack.id], synced: true, busy: false })}
+                            onMouseDown={(e) => e.stopPropagation()}
+                            title="把歌词文件写入音频文件的标签"
+                          >
+                            写入文件
+                          </button>
+                        )}
+                        {lyricSourceState.sources.length > 1 && (
+                          <div className="relative no-drag" onMouseDown={(e) => e.stopPropagation()}>
+                            <button
+                              className="no-drag rounded-lg px-3 py-2 text-sm bg-black/5 dark:bg-white/10 hover:bg-black/10 dark:hover:bg-white/15"
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                setLyricSourceMenuOpen((v) => !v);
+                              }}
+                              title="歌词来源"
+                            >
+                              来源: {activeLyricSource?.key === 'file' ? '文件' : '内嵌'}
+                            </button>
+                            {lyricSourceMenuOpen && (
+                              <div
+                                className="absolute left-0 top-[calc(100%+6px)] z-30 w-64 rounded-lg border border-black/10 dark:border-white/15 bg-white/95 dark:bg-[#2a2a2a]/95 backdrop-blur-xl shadow-xl overflow-hidden"
+                                onClick={(e) => e.stopPropagation()}
+                              >
+                                {lyricSourceState.sources.map((source) => (
+                                  <button
+                                    key={source.key}
+                                    className={`w-full text-left px-3 py-2 text-sm ${
+                                      lyricSourceKey === source.key
+                                        ? 'bg-[#007aff] text-white'
+                                        : 'text-black/85 dark:text-white/90 hover:bg-black/5 dark:hover:bg-white/10'
+                                    }`}
+                                    onClick={() => {
+                                      if (!currentTrackId) return;
+                                      setData((prev) => ({
+                                        ...prev,
+                                        settings: {
+                                          ...prev.settings,
+                                          lyricSourceMap: {
+                                            ...(prev.settings.lyricSourceMap || {}),
+                                            [currentTrackId]: source.key
+                                          }
+                                        }
+                                      }));
+                                      setLyricSourceMenuOpen(false);
+                                    }}
+                                  >
+                                    <div className="truncate">{source.label}</div>
+                                    <div className="text-[11px] opacity-60">{source.lines.length ? `${source.lines.length} 行同步歌词` : '无时间轴'}</div>
+                                  </button>
+                                ))}
+                              </div>
+                            )}
+                          </div>
+                        )}
                         <div className="relative no-drag" onMouseDown={(e) => e.stopPropagation()}>
                           <button
                             className="no-drag rounded-lg px-3 py-2 text-sm bg-black/5 dark:bg-white/10 hover:bg-black/10 dark:hover:bg-white/15"
@@ -1271,6 +2424,14 @@ function App() {
                                 >
                                   <Disc3 size={64} className="text-black/65 dark:text-white/80" />
                                 </motion.div>
+                                {!currentTrack.missing && (
+                                  <button
+                                    className="absolute bottom-2 left-1/2 -translate-x-1/2 rounded-full px-2.5 py-1 text-xs bg-black/10 dark:bg-white/15 hover:bg-black/15 dark:hover:bg-white/20"
+                                    onClick={() => openCoverEditor([currentTrack.id])}
+                                  >
+                                    设置封面...
+                                  </button>
+                                )}
                               </div>
                             )}
                           </div>
@@ -1282,21 +2443,20 @@ function App() {
                         <div className="shrink-0 px-2 pb-2">
                           <div className="text-[30px] leading-tight tracking-tight font-semibold">{currentTrack.title}</div>
                           <div className="mt-1 text-[19px] leading-snug text-black/60 dark:text-white/68">{currentTrack.artist} · {currentTrack.album}</div>
-                          {!!lyricDebugPath && (
+                          {activeLyricSource && !activeLyricSource.path ? (
+                            <div className="mt-1 text-[11px] text-black/45 dark:text-white/45 truncate">
+                              歌词来源: {activeLyricSource.label}
+                            </div>
+                          ) : !!lyricDebugPath && (
                             <div className="mt-1 text-[11px] text-black/45 dark:text-white/45 truncate" title={lyricDebugPath}>
                               歌词文件: {lyricDebugPath}
                             </div>
                           )}
                         </div>
                         <div ref={panelLyricsScrollRef} className="apple-scroll min-h-0 flex-1 overflow-auto">
-                          {!lyricLines.length && (
+                          {!lyricLines.length && !untimedLyricLines.length && (
                             <div className="h-full flex flex-col items-center justify-center gap-4 text-sm text-black/45 dark:text-white/45">
                               <div>未找到可用歌词</div>
-                              {!!lyricsRaw && (
-                                <pre className="max-w-[90%] max-h-28 overflow-auto text-[11px] text-left whitespace-pre-wrap bg-black/5 dark:bg-white/10 rounded-md p-2">
-                                  {lyricsRaw.split(/\r?\n/).slice(0, 4).join('\n')}
-                                </pre>
-                              )}
                               <button
                                 className="no-drag rounded-lg px-5 py-2.5 text-lg font-medium bg-black/6 dark:bg-white/12 hover:bg-black/10 dark:hover:bg-white/18 text-black/80 dark:text-white/90"
                                 onClick={openLyricFinder}
@@ -1306,6 +2466,16 @@ function App() {
                               </button>
                             </div>
                           )}
+                          {!!untimedLyricLines.length && (
+                            <div className="space-y-2 pt-2 pb-12">
+                              <div className="px-2 text-[11px] text-black/40 dark:text-white/40">歌词没有时间轴，不随播放滚动</div>
+                              {untimedLyricLines.map((line, idx) => (
+                                <div key={`plain-${idx}`} className="px-2 py-1.5 text-[15px] text-black/62 dark:text-white/62">
+                                  {line}
+                                </div>
+                              ))}
+                            </div>
+                          )}
                           {!!lyricLines.length && (
                             <div className="space-y-2 pt-2 pb-12">
                               {lyricLines.map((line, idx) => (
@@ -1368,7 +2538,7 @@ function App() {
                   </button>
                   <div className="flex items-center justify-center gap-3 flex-1">
                     <button className="rounded-xl p-3.5 bg-black/5 dark:bg-white/10 hover:bg-black/10 dark:hover:bg-white/15" onClick={playPrev}><SkipBack size={26} /></button>
-                    <motion.button whileTap={{ scale: 0.96 }} transition={SPRING} className="rounded-xl px-6 py-3.5 bg-gradient-to-b from-blue-500 to-blue-600 text-white shadow-sm border border-white/20" onClick={() => (currentTrack ? setIsPlaying((v) => !v) : sortedTracks[0] && playTrack(sortedTracks[0].id))}>{isPlaying ? <Pause size={28} /> : <Play size={28} />}</motion.button>
+                    <motion.button whileTap={{ scale: 0.96 }} transition={SPRING} className="rounded-xl px-6 py-3.5 bg-gradient-to-b from-blue-500 to-blue-600 text-white shadow-sm border border-white/20" onClick={() => (currentTrack ? setIsPlaying((v) => !v) : displayTracks[0] && playTrack(displayTracks[0].id))}>{isPlaying ? <Pause size={28} /> : <Play size={28} />}</motion.button>
                     <button className="rounded-xl p-3.5 bg-black/5 dark:bg-white/10 hover:bg-black/10 dark:hover:bg-white/15" onClick={playNext}><SkipForward size={26} /></button>
                   </div>
                   <div className="flex items-center justify-end gap-2 flex-1">
@@ -1398,9 +2568,8 @@ function App() {
                     value={Math.min(time, trackDuration || currentTrack?.duration || 0)}
                     onChange={(e) => {
                       const next = Number(e.target.value);
-                      const audio = audioRef.current;
-                      if (!audio) return;
-                      audio.currentTime = next;
+                      if (!engineRef.current) return;
+                      engineRef.current.seek(next);
                       setTime(next);
                     }}
                     className="h-1.5 flex-1 appearance-none rounded-full bg-black/10 dark:bg-white/15 accent-[#007aff]"
@@ -1444,14 +2613,53 @@ function App() {
                   <button key={p.id} className="w-full text-left px-3 py-2 text-sm hover:bg-black/5 dark:hover:bg-white/10" onClick={() => { addTrackToPlaylist(t.id, p.id); setContextMenu(null); }}>添加到 {p.name}</button>
                 ))}
                 <div className="h-px bg-black/5 dark:bg-white/10 my-1" />
-                <button className="w-full text-left px-3 py-2 text-sm hover:bg-black/5 dark:hover:bg-white/10" onClick={() => { electronAPI?.showItemInFolder?.(t.path); setContextMenu(null); }}>打开文件所在位置</button>
-                <button className="w-full text-left px-3 py-2 text-sm hover:bg-black/5 dark:hover:bg-white/10" onClick={() => { rescanSingle(t); setContextMenu(null); }}>重新扫描这首歌曲</button>
+                {t.missing ? (
+                  <>
+                    <button className="w-full text-left px-3 py-2 text-sm hover:bg-black/5 dark:hover:bg-white/10" onClick={() => { locateTrackFile(t); setContextMenu(null); }}>定位文件...</button>
+                    <button className="w-full text-left px-3 py-2 text-sm hover:bg-black/5 dark:hover:bg-white/10" onClick={() => { relinkTrackFolder(t); setContextMenu(null); }}>重新定位文件夹...</button>
+                  </>
+                ) : (
+                  <>
+                    <button className="w-full text-left px-3 py-2 text-sm hover:bg-black/5 dark:hover:bg-white/10" onClick={() => { electronAPI?.showItemInFolder?.(t.path); setContextMenu(null); }}>打开文件所在位置</button>
+                    <button className="w-full text-left px-3 py-2 text-sm hover:bg-black/5 dark:hover:bg-white/10" onClick={() => { openTagEditor(selectedTrackSet.has(t.id) ? selectedTrackIds : [t.id]); setContextMenu(null); }}>
+                      {selectedTrackSet.has(t.id) && selectedTrackIds.length > 1 ? `编辑 ${selectedTrackIds.length} 首歌曲的信息...` : '编辑歌曲信息...'}
+                    </button>
+                    <button className="w-full text-left px-3 py-2 text-sm hover:bg-black/5 dark:hover:bg-white/10" onClick={() => { openCoverEditor(selectedTrackSet.has(t.id) ? selectedTrackIds : [t.id]); setContextMenu(null); }}>设置封面...</button>
+                    <button className="w-full text-left px-3 py-2 text-sm hover:bg-black/5 dark:hover:bg-white/10" onClick={() => { openTagEncodingDialog(t); setContextMenu(null); }}>标签编码...</button>
+                    <button className="w-full text-left px-3 py-2 text-sm hover:bg-black/5 dark:hover:bg-white/10" onClick={() => { setLyricEmbedDialog({ trackIds: selectedTrackSet.has(t.id) ? selectedTrackIds : [t.id], synced: true, busy: false }); setContextMenu(null); }}>
+                      把歌词写入文件...
+                    </button>
+                    <button className="w-full text-left px-3 py-2 text-sm hover:bg-black/5 dark:hover:bg-white/10" onClick={() => { openOrganizeDialog(selectedTrackSet.has(t.id) ? selectedTrackIds : [t.id]); setContextMenu(null); }}>
+                      {selectedTrackSet.has(t.id) && selectedTrackIds.length > 1 ? `整理 ${selectedTrackIds.length} 首歌曲的文件...` : '整理文件...'}
+                    </button>
+                    <button className="w-full text-left px-3 py-2 text-sm hover:bg-black/5 dark:hover:bg-white/10" onClick={() => { rescanSingle(t); setContextMenu(null); }}>重新扫描这首歌曲</button>
+                  </>
+                )}
                 <button className="w-full text-left px-3 py-2 text-sm text-red-500 hover:bg-red-500/10" onClick={() => { removeTrack(t.id); setContextMenu(null); }}>从播放器移除</button>
               </motion.div>
             );
           })()}
         </AnimatePresence>
 
+        <AnimatePresence>
+          {playlistMenu && (() => {
+            const p = data.playlists.find((x) => x.id === playlistMenu.playlistId);
+            if (!p) return null;
+            return (
+              <motion.div initial={{ opacity: 0, scale: 0.98 }} animate={{ opacity: 1, scale: 1 }} exit={{ opacity: 0 }} transition={SPRING} style={{ left: playlistMenu.x, top: playlistMenu.y }} className="absolute z-50 w-52 rounded-lg border border-black/10 dark:border-white/15 bg-white/80 dark:bg-[#323232]/90 backdrop-blur-xl shadow-2xl">
+                <button className="w-full text-left px-3 py-2 text-sm hover:bg-black/5 dark:hover:bg-white/10" onClick={() => { exportPlaylist(p.id, false); setPlaylistMenu(null); }}>导出歌单（绝对路径）</button>
+                <button className="w-full text-left px-3 py-2 text-sm hover:bg-black/5 dark:hover:bg-white/10" onClick={() => { exportPlaylist(p.id, true); setPlaylistMenu(null); }}>导出歌单（相对路径）</button>
+                {!p.fixed && (
+                  <>
+                    <div className="h-px bg-black/5 dark:bg-white/10 my-1" />
+                    <button className="w-full text-left px-3 py-2 text-sm text-red-500 hover:bg-red-500/10" onClick={() => { removePlaylist(p.id); setPlaylistMenu(null); }}>删除歌单</button>
+                  </>
+                )}
+              </motion.div>
+            );
+          })()}
+        </AnimatePresence>
+
       </div>
 
       <AnimatePresence>
@@ -1479,7 +2687,7 @@ function App() {
                 <button className="rounded-md p-1.5 bg-black/5 dark:bg-white/10" onClick={() => setSettingsOpen(false)}><X size={16} /></button>
               </div>
 
-              <div className="mt-4 space-y-4">
+              <div className="apple-scroll mt-4 max-h-[72vh] space-y-4 overflow-auto pr-1">
                 <section className="rounded-xl p-3 bg-black/[0.03] dark:bg-white/[0.06]">
                   <div className="mb-1 text-xs text-black/60 dark:text-white/70">文件夹管理</div>
                   <div className="flex items-center gap-2 mb-2">
@@ -1489,7 +2697,45 @@ function App() {
                     <button className="rounded px-2 py-1 text-xs bg-black/5 dark:bg-white/10" onClick={rescanManagedFolders} disabled={scanBusy || !(data.scanFolders || []).length}>
                       重扫全部
                     </button>
+                    <button className="rounded px-2 py-1 text-xs bg-black/5 dark:bg-white/10" onClick={() => openOrganizeDialog()} disabled={scanBusy || !(data.scanFolders || []).length}>
+                      整理文件...
+                    </button>
                   </div>
+                  {scanBusy && (
+                    <div className="mb-2 rounded-md px-2 py-1.5 bg-black/[0.04] dark:bg-white/[0.08] space-y-1">
+                      <div className="flex items-center gap-2 text-xs text-black/70 dark:text-white/75">
+                        <span className="flex-1 truncate">
+                          {scanPhaseLabel}
+                          {scanProgress?.phase === 'discover' && ` · 已发现 ${scanProgress.discovered} 个文件`}
+                          {scanProgress?.phase === 'parse' && ` · ${scanProgress.parsed}/${scanProgress.total}`}
+                          {scanEtaSec != null && ` · 剩余约 ${formatDuration(scanEtaSec)}`}
+                        </span>
+                        <button className="rounded px-1.5 py-0.5 text-xs bg-black/5 dark:bg-white/10 hover:text-red-400" onClick={cancelScan}>取消</button>
+                      </div>
+                      <div className="h-1.5 w-full overflow-hidden rounded-full bg-black/10 dark:bg-white/15">
+                        <div
+                          className="h-full rounded-full bg-[#007aff] transition-[width] duration-150"
+                          style={{ width: `${Math.round((scanProgress?.phase === 'parse' || scanProgress?.phase === 'save' || scanProgress?.phase === 'done' ? scanRatio : 0) * 100)}%` }}
+                        />
+                      </div>
+                      {!!scanProgress?.currentPath && (
+                        <div className="truncate text-[11px] text-black/45 dark:text-white/45" title={scanProgress.currentPath}>{scanProgress.currentPath}</div>
+                      )}
+                      {!!scanProgress?.errorCount && (
+                        <div
+                          className="truncate text-[11px] text-red-500"
+                          title={(scanProgress.errors || []).map((e) => `${e.path}: ${e.message}`).join('\n')}
+                        >
+                          {scanProgress.errorCount} 个文件读取失败
+                        </div>
+                      )}
+                    </div>
+                  )}
+                  {!scanBusy && !!scanError && (
+                    <div className="mb-2 truncate rounded-md px-2 py-1.5 text-xs text-red-500 bg-black/[0.04] dark:bg-white/[0.08]" title={scanError}>
+                      扫描失败：{scanError}
+                    </div>
+                  )}
                   <div className="apple-scroll max-h-32 overflow-auto space-y-1 pr-1">
                     {(data.scanFolders || []).map((folder) => (
                       <div key={folder} className="flex items-center gap-2 rounded-md px-2 py-1 bg-black/[0.04] dark:bg-white/[0.08]">
@@ -1499,6 +2745,61 @@ function App() {
                     ))}
                     {!(data.scanFolders || []).length && <div className="text-xs text-black/50 dark:text-white/55">未添加目录</div>}
                   </div>
+                  {!!missingCount && (
+                    <div className="mt-2 flex items-center gap-2 rounded-md px-2 py-1 bg-black/[0.04] dark:bg-white/[0.08]">
+                      <div className="flex-1 text-xs text-black/70 dark:text-white/75">{missingCount} 首歌曲的文件已丢失（右键歌曲可重新定位）</div>
+                      <button className="rounded px-1.5 py-0.5 text-xs bg-black/5 dark:bg-white/10 hover:text-red-400" onClick={removeMissingTracks} disabled={scanBusy}>清理</button>
+                    </div>
+                  )}
+                  {!!repairedTrackIds.length && (
+                    <div className="mt-2 flex items-center gap-2 rounded-md px-2 py-1 bg-black/[0.04] dark:bg-white/[0.08]">
+                      <div className="flex-1 text-xs text-black/70 dark:text-white/75">{repairedTrackIds.length} 首歌曲的乱码标签已自动修复（右键歌曲可指定编码）</div>
+                      <button className="rounded px-1.5 py-0.5 text-xs bg-black/5 dark:bg-white/10" onClick={() => rewriteRepairedTags(repairedTrackIds)} disabled={scanBusy}>写回 UTF-8</button>
+                    </div>
+                  )}
+                </section>
+
+                <section className="rounded-xl p-3 bg-black/[0.03] dark:bg-white/[0.06]">
+                  <div className="mb-1 text-xs text-black/60 dark:text-white/70">从文件名识别歌曲信息</div>
+                  <div className="mb-2 text-[11px] text-black/45 dark:text-white/45">
+                    只补全文件里没有的标签，按顺序使用第一条匹配的规则。可用 %title% %artist% %album% %albumartist% %track% %disc% %year% %genre% %ignore%，用 / 匹配上级文件夹
+                  </div>
+                  <div className="space-y-1 mb-2">
+                    {(data.settings.pathPatterns || []).map((pattern) => (
+                      <div key={pattern} className="flex items-center gap-2 rounded-md px-2 py-1 bg-black/[0.04] dark:bg-white/[0.08]">
+                        <div className="flex-1 truncate text-xs font-mono text-black/70 dark:text-white/75">{pattern}</div>
+                        <button
+                          className="rounded px-1.5 py-0.5 text-xs bg-black/5 dark:bg-white/10"
+                          onClick={() => previewPathPatterns((data.settings.pathPatterns || []).filter((p) => p !== pattern))}
+                          disabled={scanBusy}
+                        >
+                          移除
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <input
+                      value={pathPatternDraft}
+                      onChange={(e) => setPathPatternDraft(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter' && pathPatternDraft.trim()) previewPathPatterns([...(data.settings.pathPatterns || []), pathPatternDraft.trim()]);
+                      }}
+                      placeholder={PATH_PATTERN_EXAMPLES[0]}
+                      list="path-pattern-examples"
+                      className="flex-1 rounded-md px-2 py-1 text-xs font-mono bg-black/5 dark:bg-white/10 outline-none"
+                    />
+                    <datalist id="path-pattern-examples">
+                      {PATH_PATTERN_EXAMPLES.map((example) => <option key={example} value={example} />)}
+                    </datalist>
+                    <button
+                      className="rounded px-2 py-1 text-xs bg-black/5 dark:bg-white/10"
+                      onClick={() => previewPathPatterns([...(data.settings.pathPatterns || []), pathPatternDraft.trim()])}
+                      disabled={scanBusy || !pathPatternDraft.trim()}
+                    >
+                      预览
+                    </button>
+                  </div>
                 </section>
 
                 <section className="rounded-xl p-3 bg-black/[0.03] dark:bg-white/[0.06]">
@@ -1528,18 +2829,335 @@ function App() {
                 </section>
 
                 <section className="rounded-xl p-3 bg-black/[0.03] dark:bg-white/[0.06]">
-                  <div className="mb-1 text-xs text-black/60 dark:text-white/70">关闭按钮行为</div>
-                  <div className="relative no-drag" onMouseDown={(e) => e.stopPropagation()}>
+                  <div className="mb-1 text-xs text-black/60 dark:text-white/70">ffmpeg 转码（APE / WMA / DSD / ALAC 等格式）</div>
+                  <div className="flex items-center gap-2 mb-2">
+                    <button className="rounded px-2 py-1 text-xs bg-black/5 dark:bg-white/10" onClick={pickFfmpegBinary}>选择 ffmpeg</button>
                     <button
-                      className="w-full rounded-[5px] px-2 py-1.5 text-xs text-left bg-white dark:bg-white/10 shadow-[inset_0_1px_2px_rgba(0,0,0,0.06)] hover:bg-black/5 dark:hover:bg-white/15"
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        setCloseBehaviorMenuOpen((v) => !v);
-                      }}
+                      className="rounded px-2 py-1 text-xs bg-black/5 dark:bg-white/10"
+                      onClick={() => setData((prev) => ({ ...prev, settings: { ...prev.settings, ffmpegPath: '' } }))}
+                      disabled={!data.settings.ffmpegPath}
                     >
-                      {data.settings.closeBehavior === 'tray'
-                        ? '最小化到托盘'
-                        : data.settings.closeBehavior === 'exit'
+                      使用系统 ffmpeg
+                    </button>
+                  </div>
+                  <div className="truncate text-xs text-black/60 dark:text-white/70" title={ffmpegStatus?.path || ''}>
+                    {!ffmpegStatus
+                      ? '检测中...'
+                      : ffmpegStatus.found
+                        ? `已找到 ${ffmpegStatus.version}${ffmpegStatus.custom ? ` · ${ffmpegStatus.path}` : ' · 系统 PATH'}`
+                        : `未找到 ffmpeg${data.settings.ffmpegPath ? `：${data.settings.ffmpegPath}` : '，请安装或手动选择'}`}
+                  </div>
+                </section>
+
+                <section className="rounded-xl p-3 bg-black/[0.03] dark:bg-white/[0.06]">
+                  <div className="mb-1 text-xs text-black/60 dark:text-white/70">播放过渡</div>
+                  <label className="flex items-center gap-2 text-xs text-black/70 dark:text-white/75">
+                    <input
+                      type="checkbox"
+                      checked={data.settings.gaplessPlayback !== false}
+                      onChange={(e) => setData((prev) => ({ ...prev, settings: { ...prev.settings, gaplessPlayback: e.target.checked } }))}
+                    />
+                    无缝播放（预先载入下一首）
+                  </label>
+                  <div className="mt-2 flex items-center gap-2">
+                    <span className="text-xs text-black/60 dark:text-white/70 w-20">交叉淡入淡出</span>
+                    <input
+                      type="range"
+                      min={0}
+                      max={12}
+                      step={0.5}
+                      value={crossfadeSec}
+                      onChange={(e) => setData((prev) => ({ ...prev, settings: { ...prev.settings, crossfadeSec: Number(e.target.value) } }))}
+                      className="h-1.5 flex-1 appearance-none rounded-full bg-black/10 dark:bg-white/15 accent-[#007aff]"
+                    />
+                    <span className="text-xs text-black/60 dark:text-white/70 w-14 text-right">{crossfadeSec ? `${crossfadeSec} 秒` : '关闭'}</span>
+                  </div>
+                  <div className="mt-2 flex items-center gap-2">
+                    <span className="text-xs text-black/60 dark:text-white/70 w-20">暂停淡出</span>
+                    <input
+                      type="range"
+                      min={0}
+                      max={2}
+                      step={0.1}
+                      value={pauseFadeSec}
+                      onChange={(e) => setData((prev) => ({ ...prev, settings: { ...prev.settings, pauseFadeSec: Number(e.target.value) } }))}
+                      className="h-1.5 flex-1 appearance-none rounded-full bg-black/10 dark:bg-white/15 accent-[#007aff]"
+                    />
+                    <span className="text-xs text-black/60 dark:text-white/70 w-14 text-right">{pauseFadeSec ? `${pauseFadeSec} 秒` : '关闭'}</span>
+                  </div>
+                  <div className="mt-1 text-[11px] text-black/45 dark:text-white/45">
+                    同一专辑的相邻曲目总是无缝衔接，不做交叉淡入淡出
+                  </div>
+                </section>
+
+                <section className="rounded-xl p-3 bg-black/[0.03] dark:bg-white/[0.06]">
+                  <div className="mb-1 text-xs text-black/60 dark:text-white/70">均衡器与音效</div>
+                  <div className="flex items-center gap-2">
+                    <label className="flex items-center gap-2 text-xs text-black/70 dark:text-white/75">
+                      <input
+                        type="checkbox"
+                        checked={!!data.settings.eqEnabled}
+                        onChange={(e) => setData((prev) => ({ ...prev, settings: { ...prev.settings, eqEnabled: e.target.checked } }))}
+                      />
+                      启用均衡器
+                    </label>
+                    <select
+                      value={manualEqPreset.id}
+                      onChange={(e) => setData((prev) => ({ ...prev, settings: { ...prev.settings, eqPreset: e.target.value } }))}
+                      className="ml-auto rounded-md px-2 py-1 text-xs bg-black/5 dark:bg-white/10 outline-none"
+                    >
+                      {eqPresetOptions.map((preset) => (
+                        <option key={preset.id} value={preset.id}>{preset.name}</option>
+                      ))}
+                      {manualEqPreset.id === 'custom' && <option value="custom">自定义</option>}
+                    </select>
+                    {(data.settings.eqUserPresets || []).some((p) => p.id === manualEqPreset.id) && (
+                      <button className="rounded px-2 py-1 text-xs bg-black/5 dark:bg-white/10 hover:text-red-400" onClick={() => deleteEqPreset(manualEqPreset.id)}>
+                        删除预设
+                      </button>
+                    )}
+                  </div>
+                  <div className={`mt-3 flex items-end gap-1 ${data.settings.eqEnabled ? '' : 'opacity-50'}`}>
+                    {[
+                      { key: 'preamp', label: '前置', value: manualEqPreset.preamp, onChange: (value) => tuneEq({ preamp: value }) },
+                      ...EQ_BANDS.map((freq, i) => ({
+                        key: freq,
+                        label: freq >= 1000 ? `${freq / 1000}k` : `${freq}`,
+                        value: manualEqPreset.gains[i] || 0,
+                        onChange: (value) => tuneEq({ band: i, gain: value })
+                      }))
+                    ].map((band) => (
+                      <div key={band.key} className={`flex flex-1 flex-col items-center gap-1 ${band.key === 'preamp' ? 'mr-2' : ''}`}>
+                        <span className="text-[10px] text-black/50 dark:text-white/50">{band.value > 0 ? '+' : ''}{band.value}</span>
+                        <input
+                          type="range"
+                          min={-EQ_GAIN_LIMIT_DB}
+                          max={EQ_GAIN_LIMIT_DB}
+                          step={0.5}
+                          value={band.value}
+                          onChange={(e) => band.onChange(Number(e.target.value))}
+                          onDoubleClick={() => band.onChange(0)}
+                          style={{ writingMode: 'vertical-lr', direction: 'rtl' }}
+                          className="h-24 w-1.5 appearance-none rounded-full bg-black/10 dark:bg-white/15 accent-[#007aff]"
+                          title="双击归零"
+                        />
+                        <span className="text-[10px] text-black/50 dark:text-white/50">{band.label}</span>
+                      </div>
+                    ))}
+                  </div>
+                  <div className="mt-2 flex items-center gap-2">
+                    <input
+                      value={eqPresetName}
+                      onChange={(e) => setEqPresetName(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') saveEqPreset();
+                      }}
+                      placeholder="预设名称"
+                      className="flex-1 rounded-md px-2 py-1 text-xs bg-black/5 dark:bg-white/10 outline-none"
+                    />
+                    <button className="rounded px-2 py-1 text-xs bg-black/5 dark:bg-white/10" onClick={saveEqPreset} disabled={!eqPresetName.trim()}>
+                      保存当前曲线为预设
+                    </button>
+                  </div>
+                  <label className="mt-3 flex items-center gap-2 text-xs text-black/70 dark:text-white/75">
+                    <input
+                      type="checkbox"
+                      checked={!!data.settings.eqAutoSelect}
+                      onChange={(e) => setData((prev) => ({ ...prev, settings: { ...prev.settings, eqAutoSelect: e.target.checked } }))}
+                    />
+                    按歌曲或流派自动切换预设
+                  </label>
+                  {!!data.settings.eqAutoSelect && (
+                    <div className="mt-2 space-y-1.5 rounded-md px-2 py-1.5 bg-black/[0.04] dark:bg-white/[0.08]">
+                      {currentTrack ? (
+                        [
+                          { mapKey: 'eqTrackPresets', key: currentTrack.id, label: `歌曲「${currentTrack.title || currentTrack.path}」` },
+                          ...(currentGenreKey ? [{ mapKey: 'eqGenrePresets', key: currentGenreKey, label: `流派「${currentGenreKey}」` }] : [])
+                        ].map((target) => (
+                          <div key={target.mapKey} className="flex items-center gap-2 text-xs text-black/70 dark:text-white/75">
+                            <span className="flex-1 truncate">{target.label}</span>
+                            <select
+                              value={data.settings[target.mapKey]?.[target.key] || ''}
+                              onChange={(e) => assignEqPreset(target.mapKey, target.key, e.target.value)}
+                              className="rounded-md px-2 py-1 text-xs bg-black/5 dark:bg-white/10 outline-none"
+                            >
+                              <option value="">不指定</option>
+                              {eqPresetOptions.map((preset) => (
+                                <option key={preset.id} value={preset.id}>{preset.name}</option>
+                              ))}
+                            </select>
+                          </div>
+                        ))
+                      ) : (
+                        <div className="text-xs text-black/50 dark:text-white/50">播放歌曲后可为它或它的流派指定预设</div>
+                      )}
+                      {Object.entries(data.settings.eqGenrePresets || {}).length > 0 && (
+                        <div className="flex flex-wrap gap-1 pt-1">
+                          {Object.entries(data.settings.eqGenrePresets).map(([genre, presetId]) => (
+                            <span key={genre} className="flex items-center gap-1 rounded px-1.5 py-0.5 text-[11px] bg-black/5 dark:bg-white/10">
+                              {genre} → {eqPresetOptions.find((p) => p.id === presetId)?.name || presetId}
+                              <button className="hover:text-red-400" onClick={() => assignEqPreset('eqGenrePresets', genre, '')}>
+                                <X size={10} />
+                              </button>
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                      {data.settings.eqEnabled && eqPreset.id !== manualEqPreset.id && (
+                        <div className="text-[11px] text-black/45 dark:text-white/45">正在播放的歌曲使用「{eqPreset.name}」</div>
+                      )}
+                    </div>
+                  )}
+                  <div className="mt-3 flex items-center gap-2">
+                    <span className="text-xs text-black/60 dark:text-white/70 w-20">声道平衡</span>
+                    <input
+                      type="range"
+                      min={-1}
+                      max={1}
+                      step={0.05}
+                      value={Number(data.settings.balance) || 0}
+                      onChange={(e) => setData((prev) => ({ ...prev, settings: { ...prev.settings, balance: Number(e.target.value) } }))}
+                      onDoubleClick={() => setData((prev) => ({ ...prev, settings: { ...prev.settings, balance: 0 } }))}
+                      className="h-1.5 flex-1 appearance-none rounded-full bg-black/10 dark:bg-white/15 accent-[#007aff]"
+                      title="双击居中"
+                    />
+                    <span className="text-xs text-black/60 dark:text-white/70 w-14 text-right">
+                      {(() => {
+                        const balance = Number(data.settings.balance) || 0;
+                        if (!balance) return '居中';
+                        return `${balance < 0 ? '左' : '右'} ${Math.round(Math.abs(balance) * 100)}%`;
+                      })()}
+                    </span>
+                  </div>
+                  <label className="mt-2 flex items-center gap-2 text-xs text-black/70 dark:text-white/75">
+                    <input
+                      type="checkbox"
+                      checked={!!data.settings.monoDownmix}
+                      onChange={(e) => setData((prev) => ({ ...prev, settings: { ...prev.settings, monoDownmix: e.target.checked } }))}
+                    />
+                    混合为单声道
+                  </label>
+                  <div className="mt-2 flex items-center gap-2">
+                    <span className="text-xs text-black/60 dark:text-white/70 w-20">耳机交叉馈送</span>
+                    <div className="grid flex-1 grid-cols-4 gap-1">
+                      {[
+                        ['off', '关闭'],
+                        ['light', '轻'],
+                        ['medium', '中'],
+                        ['strong', '强']
+                      ].map(([value, label]) => (
+                        <button
+                          key={value}
+                          className={`rounded-md px-2 py-1 text-xs ${
+                            (data.settings.crossfeed || 'off') === value
+                              ? 'bg-[#007aff] text-white'
+                              : 'bg-black/5 dark:bg-white/10 hover:bg-black/10 dark:hover:bg-white/15'
+                          }`}
+                          onClick={() => setData((prev) => ({ ...prev, settings: { ...prev.settings, crossfeed: value } }))}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                </section>
+
+                <section className="rounded-xl p-3 bg-black/[0.03] dark:bg-white/[0.06]">
+                  <div className="mb-1 text-xs text-black/60 dark:text-white/70">音量均衡（ReplayGain）</div>
+                  <div className="mb-2 grid grid-cols-3 gap-1">
+                    {[
+                      ['off', '关闭'],
+                      ['track', '按单曲'],
+                      ['album', '按专辑']
+                    ].map(([value, label]) => (
+                      <button
+                        key={value}
+                        className={`rounded-md px-2 py-1 text-xs ${
+                          (data.settings.replayGainMode || 'off') === value
+                            ? 'bg-[#007aff] text-white'
+                            : 'bg-black/5 dark:bg-white/10 hover:bg-black/10 dark:hover:bg-white/15'
+                        }`}
+                        onClick={() => setData((prev) => ({ ...prev, settings: { ...prev.settings, replayGainMode: value } }))}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <span className="text-xs text-black/60 dark:text-white/70 w-20">前置增益</span>
+                    <input
+                      type="range"
+                      min={-12}
+                      max={12}
+                      step={0.5}
+                      value={Number(data.settings.replayGainPreamp) || 0}
+                      onChange={(e) =>
+                        setData((prev) => ({
+                          ...prev,
+                          settings: { ...prev.settings, replayGainPreamp: Number(e.target.value) }
+                        }))
+                      }
+                      className="h-1.5 flex-1 appearance-none rounded-full bg-black/10 dark:bg-white/15 accent-[#007aff]"
+                    />
+                    <span className="text-xs text-black/60 dark:text-white/70 w-14 text-right">
+                      {(Number(data.settings.replayGainPreamp) || 0) > 0 ? '+' : ''}{Number(data.settings.replayGainPreamp) || 0} dB
+                    </span>
+                  </div>
+                  <label className="mt-2 flex items-center gap-2 text-xs text-black/70 dark:text-white/75">
+                    <input
+                      type="checkbox"
+                      checked={data.settings.replayGainPreventClipping !== false}
+                      onChange={(e) => setData((prev) => ({ ...prev, settings: { ...prev.settings, replayGainPreventClipping: e.target.checked } }))}
+                    />
+                    按峰值限制增益，防止削波
+                  </label>
+                  <div className="mt-2 flex items-center gap-2">
+                    <button
+                      className="rounded px-2 py-1 text-xs bg-black/5 dark:bg-white/10"
+                      onClick={() => analyzeReplayGain(replayGainPendingIds)}
+                      disabled={!!replayGainJob || !replayGainPendingIds.length || !ffmpegStatus?.found}
+                    >
+                      分析未标注的歌曲{replayGainPendingIds.length ? `（${replayGainPendingIds.length} 首）` : ''}
+                    </button>
+                    <label className="flex items-center gap-1.5 text-xs text-black/70 dark:text-white/75">
+                      <input type="checkbox" checked={replayGainWriteTags} onChange={(e) => setReplayGainWriteTags(e.target.checked)} disabled={!!replayGainJob} />
+                      把结果写入文件标签
+                    </label>
+                  </div>
+                  {replayGainJob && (
+                    <div className="mt-2 rounded-md px-2 py-1.5 bg-black/[0.04] dark:bg-white/[0.08] space-y-1">
+                      <div className="flex items-center gap-2 text-xs text-black/70 dark:text-white/75">
+                        <span className="flex-1 truncate">
+                          分析响度 · {replayGainJob.done}/{replayGainJob.total}{replayGainJob.current ? ` · ${replayGainJob.current}` : ''}
+                        </span>
+                        <button className="rounded px-1.5 py-0.5 text-xs bg-black/5 dark:bg-white/10 hover:text-red-400" onClick={() => electronAPI?.cancelReplayGain?.()}>取消</button>
+                      </div>
+                      <div className="h-1.5 w-full overflow-hidden rounded-full bg-black/10 dark:bg-white/15">
+                        <div
+                          className="h-full rounded-full bg-[#007aff] transition-[width] duration-150"
+                          style={{ width: `${Math.round((replayGainJob.total ? replayGainJob.done / replayGainJob.total : 0) * 100)}%` }}
+                        />
+                      </div>
+                    </div>
+                  )}
+                  <div className="mt-1 text-[11px] text-black/45 dark:text-white/45">
+                    优先使用文件里的 ReplayGain 标签；分析需要 ffmpeg，结果保存在播放器中
+                  </div>
+                </section>
+
+                <section className="rounded-xl p-3 bg-black/[0.03] dark:bg-white/[0.06]">
+                  <div className="mb-1 text-xs text-black/60 dark:text-white/70">关闭按钮行为</div>
+                  <div className="relative no-drag" onMouseDown={(e) => e.stopPropagation()}>
+                    <button
+                      className="w-full rounded-[5px] px-2 py-1.5 text-xs text-left bg-white dark:bg-white/10 shadow-[inset_0_1px_2px_rgba(0,0,0,0.06)] hover:bg-black/5 dark:hover:bg-white/15"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setCloseBehaviorMenuOpen((v) => !v);
+                      }}
+                    >
+                      {data.settings.closeBehavior === 'tray'
+                        ? '最小化到托盘'
+                        : data.settings.closeBehavior === 'exit'
                           ? '直接关闭'
                           : '每次询问'}
                     </button>
@@ -1627,6 +3245,636 @@ function App() {
           </motion.div>
         )}
       </AnimatePresence>
+
+      <AnimatePresence>
+        {!!lyricEmbedDialog && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            transition={SPRING}
+            className={`absolute inset-0 z-[120] flex items-center justify-center ${
+              dark ? 'bg-black/32' : 'bg-black/10'
+            }`}
+            onClick={() => !lyricEmbedDialog.busy && setLyricEmbedDialog(null)}
+          >
+            <motion.div
+              initial={{ scale: 0.97, y: 10 }}
+              animate={{ scale: 1, y: 0 }}
+              exit={{ scale: 0.98, y: 6 }}
+              transition={SPRING}
+              onClick={(e) => e.stopPropagation()}
+              className={`w-[440px] rounded-2xl border shadow-2xl shadow-black/20 p-4 ${
+                dark
+                  ? 'border-[#3a3a3a] bg-[#242424] text-white'
+                  : 'border-black/10 bg-[#f7f8fa] text-black'
+              }`}
+            >
+              <div className="text-base tracking-tight font-medium">
+                {lyricEmbedDialog.trackIds.length > 1 ? `把 ${lyricEmbedDialog.trackIds.length} 首歌曲的歌词写入文件` : '把歌词写入文件'}
+              </div>
+              <div className={`mt-1 text-xs ${dark ? 'text-white/50' : 'text-black/45'}`}>
+                歌词文件按各自的歌词编码读取，以 UTF-8 写入标签：MP3 为 USLT，FLAC/Ogg 为 LYRICS，M4A 为 ©lyr。已有的内嵌歌词会被替换
+              </div>
+              <label className="mt-3 flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={lyricEmbedDialog.synced}
+                  onChange={(e) => setLyricEmbedDialog((prev) => ({ ...prev, synced: e.target.checked }))}
+                />
+                MP3 同时写入逐行同步歌词（SYLT）
+              </label>
+              <div className="mt-4 flex justify-end gap-2">
+                <button
+                  className={`rounded-md px-3 py-1.5 text-sm ${dark ? 'bg-white/10 text-white' : 'bg-black/5 text-black'}`}
+                  onClick={() => setLyricEmbedDialog(null)}
+                  disabled={lyricEmbedDialog.busy}
+                >
+                  取消
+                </button>
+                <button
+                  className="rounded-md px-3 py-1.5 text-sm text-white bg-gradient-to-b from-blue-500 to-blue-600 border border-white/20 disabled:opacity-60"
+                  onClick={embedLyrics}
+                  disabled={lyricEmbedDialog.busy}
+                >
+                  {lyricEmbedDialog.busy ? '写入中...' : '写入'}
+                </button>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {!!coverEditor && (() => {
+          const targetCount = coverEditor.wholeAlbum ? coverEditor.albumTrackIds.length : coverEditor.trackIds.length;
+          const query = normalizeSearchText(coverEditor.trackQuery);
+          const matches = query
+            ? data.tracks
+              .filter((t) => !t.missing && normalizeSearchText(`${t.title} ${t.artist} ${t.album}`).includes(query))
+              .slice(0, 8)
+            : [];
+          return (
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              transition={SPRING}
+              className={`absolute inset-0 z-[120] flex items-center justify-center ${
+                dark ? 'bg-black/32' : 'bg-black/10'
+              }`}
+              onClick={() => !coverEditor.busy && setCoverEditor(null)}
+            >
+              <motion.div
+                initial={{ scale: 0.97, y: 10 }}
+                animate={{ scale: 1, y: 0 }}
+                exit={{ scale: 0.98, y: 6 }}
+                transition={SPRING}
+                onClick={(e) => e.stopPropagation()}
+                className={`w-[520px] rounded-2xl border shadow-2xl shadow-black/20 p-4 ${
+                  dark
+                    ? 'border-[#3a3a3a] bg-[#242424] text-white'
+                    : 'border-black/10 bg-[#f7f8fa] text-black'
+                }`}
+              >
+                <div className="text-base tracking-tight font-medium">
+                  {targetCount > 1 ? `设置 ${targetCount} 首歌曲的封面` : '设置封面'}
+                </div>
+                <div className={`mt-1 text-xs ${dark ? 'text-white/50' : 'text-black/45'}`}>
+                  从图片文件、剪贴板或其他歌曲取得封面，写入标签会替换已有的内嵌封面
+                </div>
+                <div className="mt-3 flex gap-4">
+                  <div className="w-40 shrink-0">
+                    <div className="aspect-square w-full overflow-hidden rounded-lg bg-black/5 dark:bg-white/8">
+                      {coverEditor.image ? (
+                        <img
+                          src={coverEditor.image.dataUrl}
+                          alt="cover"
+                          className={`h-full w-full ${coverEditor.square ? 'object-cover' : 'object-contain'}`}
+                        />
+                      ) : (
+                        <div className="flex h-full w-full items-center justify-center">
+                          <Disc3 size={40} className="text-black/30 dark:text-white/30" />
+                        </div>
+                      )}
+                    </div>
+                    {coverEditor.image && (
+                      <div className={`mt-1 text-center text-xs ${dark ? 'text-white/50' : 'text-black/45'}`}>
+                        {coverEditor.image.width} × {coverEditor.image.height}
+                      </div>
+                    )}
+                  </div>
+                  <div className="min-w-0 flex-1 space-y-2">
+                    <div className="flex gap-2">
+                      <button className="flex-1 rounded-md py-1.5 text-xs bg-black/5 dark:bg-white/10 hover:bg-black/10 dark:hover:bg-white/15" onClick={pickCoverFile} disabled={coverEditor.busy}>
+                        选择图片...
+                      </button>
+                      <button
+                        className="flex-1 rounded-md py-1.5 text-xs bg-black/5 dark:bg-white/10 hover:bg-black/10 dark:hover:bg-white/15"
+                        onClick={() => loadCoverCandidate({ source: 'clipboard' })}
+                        disabled={coverEditor.busy}
+                      >
+                        从剪贴板粘贴
+                      </button>
+                    </div>
+                    <input
+                      value={coverEditor.trackQuery}
+                      onChange={(e) => setCoverEditor((prev) => ({ ...prev, trackQuery: e.target.value }))}
+                      placeholder="从其他歌曲复制：输入歌曲名、歌手或专辑"
+                      className="w-full rounded-md px-2 py-1.5 text-xs bg-black/5 dark:bg-white/10 outline-none"
+                    />
+                    {!!matches.length && (
+                      <div className="max-h-32 overflow-auto rounded-md border border-black/10 dark:border-white/10">
+                        {matches.map((t) => (
+                          <button
+                            key={t.id}
+                            className="flex w-full items-center gap-2 px-2 py-1 text-left text-xs hover:bg-black/5 dark:hover:bg-white/10"
+                            onClick={() => loadCoverCandidate({ source: 'track', trackId: t.id })}
+                          >
+                            <div className="w-6 shrink-0">
+                              <AlbumCover trackPath={t.path} size="list" version={coverVersion} className="rounded" />
+                            </div>
+                            <span className="truncate">{t.title} · {t.artist}</span>
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    {!!coverEditor.albumTrackIds.length && (
+                      <div className="space-y-1 text-sm">
+                        <label className="flex items-center gap-2">
+                          <input type="radio" checked={!coverEditor.wholeAlbum} onChange={() => setCoverEditor((prev) => ({ ...prev, wholeAlbum: false }))} />
+                          {coverEditor.trackIds.length > 1 ? `所选的 ${coverEditor.trackIds.length} 首歌曲` : '仅这首歌曲'}
+                        </label>
+                        <label className="flex items-center gap-2">
+                          <input type="radio" checked={coverEditor.wholeAlbum} onChange={() => setCoverEditor((prev) => ({ ...prev, wholeAlbum: true }))} />
+                          整张专辑（{coverEditor.albumTrackIds.length} 首）
+                        </label>
+                      </div>
+                    )}
+                    <div className="space-y-1 text-sm">
+                      <label className="flex items-center gap-2">
+                        <input type="checkbox" checked={coverEditor.square} onChange={(e) => setCoverEditor((prev) => ({ ...prev, square: e.target.checked }))} />
+                        裁剪为正方形（居中）
+                      </label>
+                      <label className="flex items-center gap-2">
+                        <input type="checkbox" checked={coverEditor.embed} onChange={(e) => setCoverEditor((prev) => ({ ...prev, embed: e.target.checked }))} />
+                        写入音频文件的标签
+                      </label>
+                      <label className="flex items-center gap-2">
+                        <input type="checkbox" checked={coverEditor.saveToFolder} onChange={(e) => setCoverEditor((prev) => ({ ...prev, saveToFolder: e.target.checked }))} />
+                        保存为所在文件夹的 cover.jpg
+                      </label>
+                    </div>
+                  </div>
+                </div>
+                {!!coverEditor.error && <div className="mt-2 text-xs text-red-500">{coverEditor.error}</div>}
+                <div className="mt-4 flex justify-end gap-2">
+                  <button
+                    className={`rounded-md px-3 py-1.5 text-sm ${dark ? 'bg-white/10 text-white' : 'bg-black/5 text-black'}`}
+                    onClick={() => setCoverEditor(null)}
+                    disabled={coverEditor.busy}
+                  >
+                    取消
+                  </button>
+                  <button
+                    className="rounded-md px-3 py-1.5 text-sm text-white bg-gradient-to-b from-blue-500 to-blue-600 border border-white/20 disabled:opacity-60"
+                    onClick={applyCoverEditor}
+                    disabled={coverEditor.busy || !coverEditor.image || (!coverEditor.embed && !coverEditor.saveToFolder)}
+                  >
+                    {coverEditor.busy ? '写入中...' : '应用'}
+                  </button>
+                </div>
+              </motion.div>
+            </motion.div>
+          );
+        })()}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {!!organizeDialog && (() => {
+          const items = organizeDialog.preview?.items || [];
+          const listed = items.filter((item) => item.status !== 'same');
+          const moveCount = items.filter((item) => item.status === 'move').length;
+          const stale = !organizeDialog.preview
+            || JSON.stringify(organizeOptions(organizeDialog)) !== JSON.stringify({
+              trackIds: organizeDialog.preview.trackIds,
+              template: organizeDialog.preview.template,
+              conflict: organizeDialog.preview.conflict
+            });
+          const relative = (fp) => {
+            const root = (data.scanFolders || []).find((folder) => fp?.startsWith(folder));
+            return root ? fp.slice(root.length).replace(/^[\\/]+/, '') : fp;
+          };
+          return (
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              transition={SPRING}
+              className={`absolute inset-0 z-[120] flex items-center justify-center ${
+                dark ? 'bg-black/32' : 'bg-black/10'
+              }`}
+              onClick={() => !organizeDialog.busy && setOrganizeDialog(null)}
+            >
+              <motion.div
+                initial={{ scale: 0.97, y: 10 }}
+                animate={{ scale: 1, y: 0 }}
+                exit={{ scale: 0.98, y: 6 }}
+                transition={SPRING}
+                onClick={(e) => e.stopPropagation()}
+                className={`w-[720px] rounded-2xl border shadow-2xl shadow-black/20 p-4 ${
+                  dark
+                    ? 'border-[#3a3a3a] bg-[#242424] text-white'
+                    : 'border-black/10 bg-[#f7f8fa] text-black'
+                }`}
+              >
+                <div className="text-base tracking-tight font-medium">
+                  {organizeDialog.trackIds.length ? `整理 ${organizeDialog.trackIds.length} 首歌曲的文件` : '整理全部文件'}
+                </div>
+                <div className={`mt-1 text-xs ${dark ? 'text-white/50' : 'text-black/45'}`}>
+                  按模板在所在的音乐文件夹内移动并重命名，同名歌词和封面一起移动。可用 {'{title} {artist} {album} {albumartist} {year} {disc} {track} {genre} {composer}'}
+                </div>
+                <div className="mt-3 flex items-center gap-2">
+                  <input
+                    value={organizeDialog.template}
+                    onChange={(e) => setOrganizeDialog((prev) => ({ ...prev, template: e.target.value }))}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') previewOrganize(organizeOptions(organizeDialog));
+                    }}
+                    className="flex-1 rounded-md px-2 py-1.5 text-sm font-mono bg-black/5 dark:bg-white/10 outline-none"
+                  />
+                  <select
+                    value={organizeDialog.conflict}
+                    onChange={(e) => setOrganizeDialog((prev) => ({ ...prev, conflict: e.target.value }))}
+                    className="rounded-md px-2 py-1.5 text-sm bg-black/5 dark:bg-white/10 outline-none"
+                  >
+                    <option value="skip">冲突时跳过</option>
+                    <option value="rename">冲突时自动改名</option>
+                  </select>
+                  <button
+                    className={`rounded-md px-3 py-1.5 text-sm ${dark ? 'bg-white/10 text-white' : 'bg-black/5 text-black'}`}
+                    onClick={() => previewOrganize(organizeOptions(organizeDialog))}
+                    disabled={organizeDialog.busy || !organizeDialog.template.trim()}
+                  >
+                    预览
+                  </button>
+                </div>
+                {!!organizeDialog.error && <div className="mt-2 text-xs text-red-500">{organizeDialog.error}</div>}
+                <div className={`mt-3 text-xs ${dark ? 'text-white/50' : 'text-black/45'}`}>
+                  {organizeDialog.busy && !organizeDialog.preview
+                    ? '正在计算...'
+                    : `${moveCount} 个文件将被移动，${items.length - listed.length} 个已在正确位置${listed.length > moveCount ? `，${listed.length - moveCount} 个将跳过` : ''}`}
+                </div>
+                <div className="apple-scroll mt-2 max-h-[46vh] overflow-auto space-y-1 pr-1">
+                  {listed.slice(0, 300).map((item) => (
+                    <div key={item.from} className="rounded-md px-2 py-1.5 bg-black/[0.04] dark:bg-white/[0.08] text-xs">
+                      <div className="flex items-center gap-2">
+                        <span className={`shrink-0 rounded px-1 py-px text-[10px] ${
+                          item.status === 'move' ? 'bg-[#007aff]/15 text-[#007aff]' : 'bg-red-500/15 text-red-500'
+                        }`}
+                        >
+                          {ORGANIZE_STATUS_LABELS[item.status]}
+                        </span>
+                        <span className="truncate text-black/50 dark:text-white/55" title={item.from}>{relative(item.from)}</span>
+                      </div>
+                      <div className="mt-0.5 truncate pl-9" title={item.to || item.reason}>
+                        {item.status === 'move' ? `→ ${relative(item.to)}` : item.reason}
+                        {!!item.companions.length && <span className="ml-2 text-black/40 dark:text-white/40">+{item.companions.length} 个附属文件</span>}
+                      </div>
+                    </div>
+                  ))}
+                  {listed.length > 300 && <div className="text-xs text-black/50 dark:text-white/55">还有 {listed.length - 300} 个未列出</div>}
+                </div>
+                <div className="mt-4 flex items-center justify-end gap-2">
+                  {!!organizeDialog.lastRun && (
+                    <button
+                      className={`mr-auto rounded-md px-3 py-1.5 text-sm ${dark ? 'bg-white/10 text-white' : 'bg-black/5 text-black'}`}
+                      onClick={undoOrganize}
+                      disabled={organizeDialog.busy}
+                      title={new Date(organizeDialog.lastRun.at).toLocaleString()}
+                    >
+                      撤销上次整理（{organizeDialog.lastRun.files} 个文件）
+                    </button>
+                  )}
+                  <button
+                    className={`rounded-md px-3 py-1.5 text-sm ${dark ? 'bg-white/10 text-white' : 'bg-black/5 text-black'}`}
+                    onClick={() => setOrganizeDialog(null)}
+                    disabled={organizeDialog.busy}
+                  >
+                    取消
+                  </button>
+                  <button
+                    className="rounded-md px-3 py-1.5 text-sm text-white bg-gradient-to-b from-blue-500 to-blue-600 border border-white/20 disabled:opacity-60"
+                    onClick={runOrganize}
+                    disabled={organizeDialog.busy || stale || !moveCount}
+                    title={stale ? '请先预览' : ''}
+                  >
+                    开始整理
+                  </button>
+                </div>
+              </motion.div>
+            </motion.div>
+          );
+        })()}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {!!pathPatternPreview && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            transition={SPRING}
+            className={`absolute inset-0 z-[120] flex items-center justify-center ${
+              dark ? 'bg-black/32' : 'bg-black/10'
+            }`}
+            onClick={() => !pathPatternPreview.busy && setPathPatternPreview(null)}
+          >
+            <motion.div
+              initial={{ scale: 0.97, y: 10 }}
+              animate={{ scale: 1, y: 0 }}
+              exit={{ scale: 0.98, y: 6 }}
+              transition={SPRING}
+              onClick={(e) => e.stopPropagation()}
+              className={`w-[620px] rounded-2xl border shadow-2xl shadow-black/20 p-4 ${
+                dark
+                  ? 'border-[#3a3a3a] bg-[#242424] text-white'
+                  : 'border-black/10 bg-[#f7f8fa] text-black'
+              }`}
+            >
+              <div className="text-base tracking-tight font-medium">预览识别结果</div>
+              <div className={`mt-1 text-xs ${dark ? 'text-white/50' : 'text-black/45'}`}>
+                {pathPatternPreview.busy
+                  ? '正在计算...'
+                  : `应用后将有 ${pathPatternPreview.changes.length} 首歌曲的信息发生变化`}
+              </div>
+              {!!pathPatternPreview.error && <div className="mt-2 text-xs text-red-500">{pathPatternPreview.error}</div>}
+              <div className="apple-scroll mt-3 max-h-[52vh] overflow-auto space-y-1 pr-1">
+                {pathPatternPreview.changes.slice(0, 300).map((change) => (
+                  <div key={change.trackId} className="rounded-md px-2 py-1.5 bg-black/[0.04] dark:bg-white/[0.08]">
+                    <div className="truncate text-[11px] text-black/45 dark:text-white/45" title={change.path}>{change.path}</div>
+                    {Object.entries(change.fields).map(([field, { from, to }]) => (
+                      <div key={field} className="flex items-center gap-2 text-xs">
+                        <span className="w-14 shrink-0 text-black/50 dark:text-white/55">{TRACK_COLUMN_MAP.get(field)?.label || field}</span>
+                        <span className="truncate text-black/45 dark:text-white/45 line-through">{from ?? ''}</span>
+                        <span className="text-black/35 dark:text-white/35">→</span>
+                        <span className="truncate">{to ?? ''}</span>
+                      </div>
+                    ))}
+                  </div>
+                ))}
+                {pathPatternPreview.changes.length > 300 && (
+                  <div className="text-xs text-black/50 dark:text-white/55">还有 {pathPatternPreview.changes.length - 300} 首未列出</div>
+                )}
+              </div>
+              <div className="mt-4 flex justify-end gap-2">
+                <button
+                  className={`rounded-md px-3 py-1.5 text-sm ${dark ? 'bg-white/10 text-white' : 'bg-black/5 text-black'}`}
+                  onClick={() => setPathPatternPreview(null)}
+                  disabled={pathPatternPreview.busy}
+                >
+                  取消
+                </button>
+                <button
+                  className="rounded-md px-3 py-1.5 text-sm text-white bg-gradient-to-b from-blue-500 to-blue-600 border border-white/20 disabled:opacity-60"
+                  onClick={applyPathPatterns}
+                  disabled={pathPatternPreview.busy || !!pathPatternPreview.error}
+                >
+                  应用
+                </button>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {!!tagEncodingDialog && (() => {
+          const sample = tagEncodingDialog.trackIds.map((id) => trackMap.get(id)).filter(Boolean);
+          const repairable = sample.filter((t) => t.rawTags && !t.missing).map((t) => t.id);
+          return (
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              transition={SPRING}
+              className={`absolute inset-0 z-[120] flex items-center justify-center ${
+                dark ? 'bg-black/32' : 'bg-black/10'
+              }`}
+              onClick={() => !tagEncodingDialog.busy && setTagEncodingDialog(null)}
+            >
+              <motion.div
+                initial={{ scale: 0.97, y: 10 }}
+                animate={{ scale: 1, y: 0 }}
+                exit={{ scale: 0.98, y: 6 }}
+                transition={SPRING}
+                onClick={(e) => e.stopPropagation()}
+                className={`w-[440px] rounded-2xl border shadow-2xl shadow-black/20 p-4 ${
+                  dark
+                    ? 'border-[#3a3a3a] bg-[#242424] text-white'
+                    : 'border-black/10 bg-[#f7f8fa] text-black'
+                }`}
+              >
+                <div className="text-base tracking-tight font-medium">标签编码</div>
+                <div className={`mt-1 text-xs ${dark ? 'text-white/50' : 'text-black/45'}`}>
+                  老旧 MP3 常把 GBK/Big5 文字存成 Latin-1，自动检测选错时可在这里指定
+                </div>
+                <div className="mt-3 space-y-1 text-sm">
+                  <label className="flex items-center gap-2">
+                    <input type="radio" checked={tagEncodingDialog.scope === 'tracks'} onChange={() => setTagEncodingDialog((prev) => ({ ...prev, scope: 'tracks' }))} />
+                    {sample.length > 1 ? `所选的 ${sample.length} 首歌曲` : `仅「${sample[0]?.title || ''}」`}
+                  </label>
+                  <label className="flex items-center gap-2 min-w-0">
+                    <input type="radio" checked={tagEncodingDialog.scope === 'folder'} onChange={() => setTagEncodingDialog((prev) => ({ ...prev, scope: 'folder' }))} />
+                    <span className="truncate" title={tagEncodingDialog.folder}>整个文件夹 {tagEncodingDialog.folder}</span>
+                  </label>
+                </div>
+                <div className="mt-3 grid grid-cols-2 gap-1">
+                  {TAG_ENCODING_OPTIONS.map(([value, label]) => (
+                    <button
+                      key={value}
+                      className={`rounded-md px-2 py-1.5 text-left text-xs ${
+                        tagEncodingDialog.encoding === value
+                          ? 'bg-[#007aff] text-white'
+                          : 'bg-black/5 dark:bg-white/10 hover:bg-black/10 dark:hover:bg-white/15'
+                      }`}
+                      onClick={() => setTagEncodingDialog((prev) => ({ ...prev, encoding: value }))}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <div className="mt-4 flex items-center justify-end gap-2">
+                  {!!repairable.length && (
+                    <button
+                      className={`mr-auto rounded-md px-3 py-1.5 text-sm ${dark ? 'bg-white/10 text-white' : 'bg-black/5 text-black'}`}
+                      onClick={() => rewriteRepairedTags(repairable)}
+                      disabled={tagEncodingDialog.busy}
+                      title="把修复后的文字以 UTF-8 写入音频文件"
+                    >
+                      写回 UTF-8
+                    </button>
+                  )}
+                  <button
+                    className={`rounded-md px-3 py-1.5 text-sm ${dark ? 'bg-white/10 text-white' : 'bg-black/5 text-black'}`}
+                    onClick={() => setTagEncodingDialog(null)}
+                    disabled={tagEncodingDialog.busy}
+                  >
+                    取消
+                  </button>
+                  <button
+                    className="rounded-md px-3 py-1.5 text-sm text-white bg-gradient-to-b from-blue-500 to-blue-600 border border-white/20 disabled:opacity-60"
+                    onClick={applyTagEncoding}
+                    disabled={tagEncodingDialog.busy}
+                  >
+                    应用
+                  </button>
+                </div>
+              </motion.div>
+            </motion.div>
+          );
+        })()}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {!!tagEditor && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            transition={SPRING}
+            className={`absolute inset-0 z-[120] flex items-center justify-center ${
+              dark ? 'bg-black/32' : 'bg-black/10'
+            }`}
+            onClick={() => !tagEditor.saving && setTagEditor(null)}
+          >
+            <motion.div
+              initial={{ scale: 0.97, y: 10 }}
+              animate={{ scale: 1, y: 0 }}
+              exit={{ scale: 0.98, y: 6 }}
+              transition={SPRING}
+              onClick={(e) => e.stopPropagation()}
+              className={`w-[560px] rounded-2xl border shadow-2xl shadow-black/20 p-4 ${
+                dark
+                  ? 'border-[#3a3a3a] bg-[#242424] text-white'
+                  : 'border-black/10 bg-[#f7f8fa] text-black'
+              }`}
+            >
+              <div className="text-base tracking-tight font-medium">
+                {tagEditor.trackIds.length > 1 ? `编辑 ${tagEditor.trackIds.length} 首歌曲的信息` : '编辑歌曲信息'}
+              </div>
+              <div className={`mt-1 text-xs ${dark ? 'text-white/50' : 'text-black/45'}`}>
+                修改会直接写入音频文件{tagEditor.trackIds.length > 1 ? '，留空且未改动的项保持各自原值' : ''}
+              </div>
+              <div className="mt-3 flex gap-4">
+                <div className="w-32 shrink-0 space-y-2">
+                  <div className="aspect-square w-full overflow-hidden rounded-lg bg-black/5 dark:bg-white/8">
+                    {tagEditor.coverPreview ? (
+                      <img src={tagEditor.coverPreview} alt="cover" className="h-full w-full object-cover" />
+                    ) : (
+                      <div className="flex h-full w-full items-center justify-center text-xs text-black/40 dark:text-white/40">
+                        {tagEditor.cover === undefined && tagEditor.trackIds.length > 1 ? '保持原封面' : <Disc3 size={36} className="text-black/30 dark:text-white/30" />}
+                      </div>
+                    )}
+                  </div>
+                  <button className="w-full rounded-md py-1 text-xs bg-black/5 dark:bg-white/10" onClick={pickTagEditorCover} disabled={tagEditor.saving}>更换封面...</button>
+                  <button
+                    className="w-full rounded-md py-1 text-xs bg-black/5 dark:bg-white/10 hover:text-red-400"
+                    onClick={() => setTagEditor((prev) => ({ ...prev, cover: null, coverPreview: '' }))}
+                    disabled={tagEditor.saving}
+                  >
+                    移除封面
+                  </button>
+                </div>
+                <div className="grid flex-1 grid-cols-2 gap-x-3 gap-y-2">
+                  {TAG_EDIT_FIELDS.map((field) => (
+                    <label key={field.key} className={field.wide ? 'col-span-2' : ''}>
+                      <div className={`mb-0.5 text-xs ${dark ? 'text-white/60' : 'text-black/55'}`}>{field.label}</div>
+                      <input
+                        value={tagEditor.form[field.key]}
+                        inputMode={field.numeric ? 'numeric' : undefined}
+                        placeholder={tagEditor.mixed[field.key] && !tagEditor.dirty[field.key] ? '（多个值）' : ''}
+                        onChange={(e) => editTagField(field.key, field.numeric ? e.target.value.replace(/\D/g, '') : e.target.value)}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') saveTagEditor();
+                          if (e.key === 'Escape' && !tagEditor.saving) setTagEditor(null);
+                        }}
+                        disabled={tagEditor.saving}
+                        className="w-full rounded-[5px] px-2 py-1.5 text-sm bg-white dark:bg-white/10 shadow-[inset_0_1px_2px_rgba(0,0,0,0.06)] outline-none focus:ring-4 focus:ring-blue-500/20"
+                      />
+                    </label>
+                  ))}
+                </div>
+              </div>
+              {!!tagEditor.error && <div className="mt-3 text-xs text-red-500 break-all">{tagEditor.error}</div>}
+              <div className="mt-4 flex items-center justify-end gap-2">
+                <button
+                  className={`rounded-md px-3 py-1.5 text-sm ${dark ? 'bg-white/10 text-white' : 'bg-black/5 text-black'}`}
+                  onClick={() => setTagEditor(null)}
+                  disabled={tagEditor.saving}
+                >
+                  取消
+                </button>
+                <button
+                  className="rounded-md px-3 py-1.5 text-sm text-white bg-gradient-to-b from-blue-500 to-blue-600 border border-white/20 disabled:opacity-60"
+                  onClick={saveTagEditor}
+                  disabled={tagEditor.saving}
+                >
+                  {tagEditor.saving ? '正在写入...' : '保存'}
+                </button>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {!!reportDialog && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            transition={SPRING}
+            className={`absolute inset-0 z-[120] flex items-center justify-center ${
+              dark ? 'bg-black/32' : 'bg-black/10'
+            }`}
+            onClick={() => setReportDialog(null)}
+          >
+            <motion.div
+              initial={{ scale: 0.97, y: 10 }}
+              animate={{ scale: 1, y: 0 }}
+              exit={{ scale: 0.98, y: 6 }}
+              transition={SPRING}
+              onClick={(e) => e.stopPropagation()}
+              className={`w-[480px] rounded-2xl border shadow-2xl shadow-black/20 p-4 ${
+                dark
+                  ? 'border-[#3a3a3a] bg-[#242424] text-white'
+                  : 'border-black/10 bg-[#f7f8fa] text-black'
+              }`}
+            >
+              <div className="text-base tracking-tight font-medium">{reportDialog.title}</div>
+              <div className={`mt-2 text-sm break-all ${dark ? 'text-white/82' : 'text-black/70'}`}>
+                {reportDialog.message}
+              </div>
+              {!!reportDialog.items.length && (
+                <div className={`apple-scroll mt-2 max-h-56 overflow-auto rounded-md p-2 text-xs space-y-1 ${dark ? 'bg-white/5 text-white/60' : 'bg-black/5 text-black/60'}`}>
+                  {reportDialog.items.map((item, i) => (
+                    <div key={i} className="break-all">{item}</div>
+                  ))}
+                </div>
+              )}
+              <div className="mt-4 flex items-center justify-end gap-2">
+                <button
+                  className="rounded-md px-3 py-1.5 text-sm text-white bg-gradient-to-b from-blue-500 to-blue-600 border border-white/20"
+                  onClick={() => setReportDialog(null)}
+                >
+                  好的
+                </button>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
     </div>
   );
 }
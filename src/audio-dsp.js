@@ -0,0 +1,116 @@
+// Graphic EQ centre frequencies in Hz. The outer two bands are shelves, the rest peaking filters.
+export const EQ_BANDS = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+export const EQ_GAIN_LIMIT_DB = 12;
+export const FLAT_EQ_GAINS = EQ_BANDS.map(() => 0);
+
+// Boosting presets come with a negative preamp so loud masters don't clip.
+export const BUILTIN_EQ_PRESETS = [
+  { id: 'flat', name: '平直', gains: FLAT_EQ_GAINS, preamp: 0 },
+  { id: 'bass', name: '低音增强', gains: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0], preamp: -6 },
+  { id: 'treble', name: '高音增强', gains: [0, 0, 0, 0, 0, 1, 2, 4, 5, 6], preamp: -6 },
+  { id: 'vocal', name: '人声', gains: [-2, -2, -1, 1, 3, 4, 3, 1, 0, -1], preamp: -4 },
+  { id: 'pop', name: '流行', gains: [-1, 1, 3, 4, 3, 0, -1, -1, 1, 2], preamp: -4 },
+  { id: 'rock', name: '摇滚', gains: [5, 4, 2, -1, -2, -1, 1, 3, 4, 5], preamp: -5 },
+  { id: 'jazz', name: '爵士', gains: [3, 2, 1, 2, -1, -1, 0, 1, 2, 3], preamp: -3 },
+  { id: 'classical', name: '古典', gains: [4, 3, 2, 1, 0, 0, 0, 1, 2, 3], preamp: -4 },
+  { id: 'electronic', name: '电子', gains: [5, 4, 1, 0, -2, 1, 0, 1, 4, 5], preamp: -5 },
+  { id: 'loudness', name: '响度', gains: [6, 4, 0, 0, -2, 0, -1, -3, 4, 2], preamp: -6 }
+];
+
+// Headphone crossfeed after bs2b's presets: each ear also gets the other channel low-passed at
+// `frequency`, delayed a little and `attenuationDb` quieter, like speakers heard across a room.
+export const CROSSFEED_LEVELS = {
+  light: { frequency: 650, attenuationDb: 9.5 },
+  medium: { frequency: 700, attenuationDb: 6 },
+  strong: { frequency: 700, attenuationDb: 4.5 }
+};
+const CROSSFEED_DELAY_SEC = 0.0003;
+const SMOOTHING_SEC = 0.02;
+
+const dbToGain = (db) => 10 ** (db / 20);
+const clamp = (value, min, max) => Math.max(min, Math.min(max, Number(value) || 0));
+
+/**
+ * Builds preamp -> 10-band EQ -> mono downmix -> crossfeed -> balance between `input` and `output`.
+ * Everything is always connected; `apply` only moves parameters, so changes never interrupt playback.
+ */
+export function createDspChain(ctx) {
+  const input = ctx.createGain();
+  const filters = EQ_BANDS.map((frequency, i) => {
+    const filter = ctx.createBiquadFilter();
+    filter.type = i === 0 ? 'lowshelf' : i === EQ_BANDS.length - 1 ? 'highshelf' : 'peaking';
+    filter.frequency.value = frequency;
+    // about an octave wide, so neighbouring bands overlap smoothly
+    filter.Q.value = 1.41;
+    filter.gain.value = 0;
+    return filter;
+  });
+  filters.reduce((prev, filter) => prev.connect(filter), input);
+  const eqOut = filters[filters.length - 1];
+
+  // A one-channel node downmixes to (L + R) / 2; `upmix` spreads whatever arrives (that, or a mono
+  // file) over both channels before the splitter, which would otherwise leave the right one silent.
+  const stereo = ctx.createGain();
+  const mono = ctx.createGain();
+  mono.channelCount = 1;
+  mono.channelCountMode = 'explicit';
+  mono.channelInterpretation = 'speakers';
+  mono.gain.value = 0;
+  const upmix = ctx.createGain();
+  upmix.channelCount = 2;
+  upmix.channelCountMode = 'explicit';
+  upmix.channelInterpretation = 'speakers';
+  eqOut.connect(stereo).connect(upmix);
+  eqOut.connect(mono).connect(upmix);
+
+  const splitter = ctx.createChannelSplitter(2);
+  const merger = ctx.createChannelMerger(2);
+  upmix.connect(splitter);
+  const sides = [0, 1].map((channel) => {
+    const direct = ctx.createGain();
+    const balance = ctx.createGain();
+    splitter.connect(direct, channel);
+    direct.connect(balance).connect(merger, 0, channel);
+    return { direct, balance };
+  });
+  const feeds = [0, 1].map((from) => {
+    const lowpass = ctx.createBiquadFilter();
+    lowpass.type = 'lowpass';
+    lowpass.frequency.value = CROSSFEED_LEVELS.medium.frequency;
+    const delay = ctx.createDelay(0.01);
+    delay.delayTime.value = CROSSFEED_DELAY_SEC;
+    const level = ctx.createGain();
+    level.gain.value = 0;
+    splitter.connect(lowpass, from);
+    lowpass.connect(delay).connect(level).connect(sides[1 - from].balance);
+    return { lowpass, level };
+  });
+
+  return {
+    input,
+    output: merger,
+
+    /** `gains` per band and `preamp` in dB, `balance` from -1 (left) to 1 (right), `crossfeed` a CROSSFEED_LEVELS key or 'off'. */
+    apply({ gains = FLAT_EQ_GAINS, preamp = 0, balance = 0, mono: downmix = false, crossfeed = 'off' } = {}) {
+      const now = ctx.currentTime;
+      const set = (param, value) => param.setTargetAtTime(value, now, SMOOTHING_SEC);
+      set(input.gain, dbToGain(clamp(preamp, -EQ_GAIN_LIMIT_DB * 2, EQ_GAIN_LIMIT_DB)));
+      filters.forEach((filter, i) => set(filter.gain, clamp(gains[i], -EQ_GAIN_LIMIT_DB, EQ_GAIN_LIMIT_DB)));
+      set(stereo.gain, downmix ? 0 : 1);
+      set(mono.gain, downmix ? 1 : 0);
+      const feed = CROSSFEED_LEVELS[crossfeed];
+      const feedGain = feed ? dbToGain(-feed.attenuationDb) : 0;
+      // Scaled so a centred (mono) low end keeps its level once the other side is fed in.
+      const norm = 1 + feedGain;
+      for (const { lowpass, level } of feeds) {
+        if (feed) lowpass.frequency.value = feed.frequency;
+        set(level.gain, feedGain / norm);
+      }
+      const pan = clamp(balance, -1, 1);
+      sides.forEach(({ direct, balance: side }, channel) => {
+        set(direct.gain, 1 / norm);
+        set(side.gain, channel === 0 ? Math.min(1, 1 - pan) : Math.min(1, 1 + pan));
+      });
+    }
+  };
+}
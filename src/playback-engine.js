@@ -0,0 +1,619 @@
+import { createDspChain } from './audio-dsp';
+
+// The prepared next track is decoded into memory when it is at most this long, so it can start
+// sample-accurately (up to ~140 MB as 48 kHz stereo floats). The current track and cue sheet disc
+// images stream through a media element instead.
+const DECODE_MAX_SECONDS = 6 * 60;
+// Of a longer next track only about this much is decoded, from a byte range of the file's start. It
+// starts sample-accurately like a short one and hands over to the track's element while it plays.
+const HEAD_SECONDS = 30;
+// Room for tags and cover art in front of the audio, which the proportional byte estimate ignores.
+const HEAD_MARGIN_BYTES = 512 * 1024;
+// The element is started (muted) once the head has played this long, then faded in over the head as
+// soon as their positions agree within the tolerance; it takes over hard if the head is about to run out.
+const HANDOFF_START_SEC = 2;
+const HANDOFF_TOLERANCE_SEC = 0.015;
+const HANDOFF_FADE_SEC = 0.05;
+const HANDOFF_DEADLINE_SEC = 1;
+const TICK_MS = 250;
+// Transitions are put on the audio clock this far ahead, so late timers can't open a gap.
+const LOOKAHEAD_SEC = 3;
+// Consecutive cue sheet tracks of one file whose boundaries meet just keep playing.
+const CONTINUATION_TOLERANCE_SEC = 0.05;
+
+const decodable = (track) =>
+  track.cueStart == null && Number(track.duration) > 0 && Number(track.duration) <= DECODE_MAX_SECONDS;
+
+const headDecodable = (track) => track.cueStart == null && Number(track.duration) > DECODE_MAX_SECONDS;
+
+const continues = (from, track) =>
+  !!from &&
+  track.cueStart != null &&
+  from.track.path === track.path &&
+  from.track.cueEnd != null &&
+  Math.abs(track.cueStart - from.track.cueEnd) < CONTINUATION_TOLERANCE_SEC;
+
+/**
+ * Web Audio playback with gapless transitions and crossfades. One "deck" holds the current track and
+ * another the prepared next one; when the current deck runs out the next starts exactly where it
+ * ends, `crossfade` seconds earlier with the two faded over each other. Play and pause fade by `fade`.
+ * Everything plays through one master volume and DSP chain, whatever the file format.
+ *
+ * Callbacks: `onTime(seconds)` while playing, `onDuration(seconds)` once a track is loaded,
+ * `onAdvance(trackId)` when the engine moved on to the prepared track by itself, `onEnded()` when a
+ * track finished with nothing prepared, and `onError(message)`.
+ */
+export function createPlaybackEngine({ onTime, onDuration, onAdvance, onEnded, onError } = {}) {
+  let ctx = null;
+  let master = null;
+  let dsp = null;
+  let dspSettings = {};
+  let timer = null;
+  let current = null;
+  let next = null;
+  let playing = false;
+  let volume = 1;
+  let fadeSec = 0;
+  const fading = new Set();
+
+  const ensureContext = () => {
+    if (ctx) return ctx;
+    ctx = new AudioContext({ latencyHint: 'playback' });
+    master = ctx.createGain();
+    master.gain.value = volume;
+    dsp = createDspChain(ctx);
+    dsp.apply(dspSettings);
+    master.connect(dsp.input);
+    dsp.output.connect(ctx.destination);
+    timer = setInterval(tick, TICK_MS);
+    return ctx;
+  };
+
+  const ramp = (param, to, seconds) => {
+    const now = ctx.currentTime;
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(param.value, now);
+    if (seconds > 0) param.linearRampToValueAtTime(to, now + seconds);
+    else param.setValueAtTime(to, now);
+  };
+
+  const lengthOf = (deck) => {
+    const end = deck.end ?? deck.element?.duration;
+    return Number.isFinite(end) ? Math.max(0, end - deck.start) : Infinity;
+  };
+
+  const reportDuration = (deck) => {
+    const length = lengthOf(deck);
+    if (Number.isFinite(length)) onDuration?.(length);
+  };
+
+  // The first HEAD_SECONDS of a long file; null when the source ignores byte ranges or the format
+  // can't be decoded from a cut-off copy (e.g. MP4 with its index at the end).
+  const decodeHead = async (deck) => {
+    const probe = await fetch(deck.url, { headers: { Range: 'bytes=0-0' } });
+    const size = Number(probe.headers.get('Content-Range')?.split('/')[1]);
+    await probe.body?.cancel();
+    if (probe.status !== 206 || !(size > 0)) return null;
+    const bytes = Math.min(size, Math.ceil((size * HEAD_SECONDS) / Number(deck.track.duration)) + HEAD_MARGIN_BYTES);
+    const res = await fetch(deck.url, { headers: { Range: `bytes=0-${bytes - 1}` } });
+    if (res.status !== 206) {
+      await res.body?.cancel();
+      return null;
+    }
+    const buffer = await ctx.decodeAudioData(await res.arrayBuffer());
+    return buffer.duration > HANDOFF_START_SEC + HANDOFF_DEADLINE_SEC + 1 ? buffer : null;
+  };
+
+  const positionOf = (deck) => {
+    if (deck.kind === 'element') return Math.max(0, deck.element.currentTime - deck.start);
+    if (!deck.running) return deck.offset;
+    return deck.offset + Math.max(0, ctx.currentTime - deck.startedAt);
+  };
+
+  const openDeck = async (deck) => {
+    const reuse = [current, next].find((d) => d?.buffer && !d.head && d.track.id === deck.track.id);
+    if (reuse) {
+      deck.kind = 'buffer';
+      deck.buffer = reuse.buffer;
+      deck.end = reuse.buffer.duration;
+      return deck;
+    }
+    if (deck.decode && decodable(deck.track)) {
+      try {
+        const res = await fetch(deck.url);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const buffer = await ctx.decodeAudioData(await res.arrayBuffer());
+        if (deck.disposed) return deck;
+        deck.kind = 'buffer';
+        deck.buffer = buffer;
+        deck.end = buffer.duration;
+        return deck;
+      } catch (_) {
+        // can't be held in memory: stream it like a long file
+      }
+    } else if (deck.decode && headDecodable(deck.track)) {
+      try {
+        const head = await decodeHead(deck);
+        if (deck.disposed) return deck;
+        if (head) {
+          deck.head = true;
+          deck.buffer = head;
+          deck.headLevel = ctx.createGain();
+          deck.headLevel.connect(deck.fade);
+          deck.tailLevel = ctx.createGain();
+          deck.tailLevel.gain.value = 0;
+          deck.tailLevel.connect(deck.fade);
+        }
+      } catch (_) {
+        // only the element then; its start is as exact as the timer that starts it
+      }
+    }
+    if (deck.disposed) return deck;
+    const element = new Audio();
+    element.crossOrigin = 'anonymous';
+    element.preload = 'auto';
+    element.src = deck.url;
+    deck.element = element;
+    ctx.createMediaElementSource(element).connect(deck.tailLevel || deck.fade);
+    await new Promise((resolve, reject) => {
+      element.addEventListener('loadedmetadata', resolve, { once: true });
+      element.addEventListener('error', () => reject(new Error('audio element failed to load')), { once: true });
+    });
+    element.currentTime = deck.start;
+    element.addEventListener('ended', () => {
+      if (deck === current && playing && next?.transitionAt == null) finish();
+    });
+    element.addEventListener('error', () => {
+      if (deck === current) onError?.('音频播放失败，请尝试 MP3/FLAC');
+    });
+    deck.kind = deck.head ? 'buffer' : 'element';
+    return deck;
+  };
+
+  const createDeck = (track, { url, gain = 1, crossfade = 0, decode = false }) => {
+    ensureContext();
+    const deck = {
+      track,
+      url,
+      crossfade,
+      decode,
+      start: track.cueStart || 0,
+      end: track.cueEnd ?? null,
+      kind: null,
+      buffer: null,
+      head: false,
+      headLevel: null,
+      tailLevel: null,
+      handoff: null,
+      element: null,
+      source: null,
+      running: false,
+      ended: false,
+      offset: 0,
+      startedAt: 0,
+      transitionAt: null,
+      transitionEnd: null,
+      timer: null,
+      disposed: false,
+      fade: ctx.createGain(),
+      level: ctx.createGain()
+    };
+    deck.level.gain.value = gain;
+    deck.fade.connect(deck.level).connect(master);
+    deck.ready = openDeck(deck);
+    return deck;
+  };
+
+  const disposeDeck = (deck) => {
+    if (!deck || deck.continuation || deck.disposed) return;
+    deck.disposed = true;
+    clearTimeout(deck.timer);
+    if (deck.source) {
+      deck.source.stop();
+      deck.source.disconnect();
+    }
+    if (deck.element) {
+      deck.element.pause();
+      deck.element.removeAttribute('src');
+      deck.element.load();
+    }
+    deck.fade.disconnect();
+    deck.level.disconnect();
+    deck.buffer = null;
+  };
+
+  // Starts a loaded deck from its offset at audio clock time `when`.
+  const startDeck = (deck, when = ctx.currentTime) => {
+    deck.running = true;
+    if (deck.kind === 'buffer') {
+      const source = ctx.createBufferSource();
+      source.buffer = deck.buffer;
+      source.connect(deck.headLevel || deck.fade);
+      source.start(when, deck.start + deck.offset);
+      deck.source = source;
+      deck.startedAt = when;
+      return;
+    }
+    const play = () => {
+      deck.timer = null;
+      deck.element.play().catch(() => {
+        if (deck === current) onError?.('当前格式暂不支持播放');
+      });
+    };
+    const delay = when - ctx.currentTime;
+    if (delay > 0.01) deck.timer = setTimeout(play, delay * 1000);
+    else play();
+  };
+
+  // Drops the decoded head of a deck; the element carries on from the same position.
+  const leaveHead = (deck, resume) => {
+    const position = positionOf(deck);
+    if (deck.source) {
+      deck.source.stop();
+      deck.source.disconnect();
+      deck.source = null;
+    }
+    deck.buffer = null;
+    deck.head = false;
+    deck.handoff = null;
+    deck.kind = 'element';
+    deck.tailLevel.gain.cancelScheduledValues(0);
+    deck.tailLevel.gain.value = 1;
+    deck.element.currentTime = deck.start + position;
+    if (!resume) {
+      deck.element.pause();
+      return;
+    }
+    deck.element.play().catch(() => {
+      if (deck === current) onError?.('当前格式暂不支持播放');
+    });
+  };
+
+  // Runs the element of a deck playing its head muted alongside it, nudging it until both report the
+  // same position (`lead` learns how late the element starts after a seek), then fades it in over the head.
+  const followHead = (deck) => {
+    const position = positionOf(deck);
+    if (deck.buffer.duration - position <= HANDOFF_DEADLINE_SEC) {
+      leaveHead(deck, true);
+      return;
+    }
+    if (position < HANDOFF_START_SEC) return;
+    const { element } = deck;
+    if (!deck.handoff) {
+      deck.handoff = { lead: 0 };
+      element.currentTime = deck.start + position;
+      element.play().catch(() => {});
+      return;
+    }
+    if (element.paused || element.seeking || element.readyState < 3) return;
+    const drift = element.currentTime - deck.start - position;
+    if (Math.abs(drift) > HANDOFF_TOLERANCE_SEC) {
+      deck.handoff.lead -= drift;
+      element.currentTime = deck.start + position + deck.handoff.lead;
+      return;
+    }
+    const { source } = deck;
+    ramp(deck.headLevel.gain, 0, HANDOFF_FADE_SEC);
+    ramp(deck.tailLevel.gain, 1, HANDOFF_FADE_SEC);
+    source.onended = () => source.disconnect();
+    source.stop(ctx.currentTime + HANDOFF_FADE_SEC);
+    deck.source = null;
+    deck.buffer = null;
+    deck.head = false;
+    deck.handoff = null;
+    deck.kind = 'element';
+  };
+
+  const halt = (deck) => {
+    if (!deck.running) return;
+    if (deck.head) leaveHead(deck, false);
+    if (deck.kind === 'buffer') {
+      deck.offset = Math.min(positionOf(deck), lengthOf(deck));
+      deck.source.stop();
+      deck.source.disconnect();
+      deck.source = null;
+    } else {
+      deck.element.pause();
+    }
+    deck.running = false;
+  };
+
+  // Fades a deck out over `seconds` (unless already scheduled to) and disposes it afterwards.
+  const retire = (deck, seconds, fadeOut = true) => {
+    if (!deck || deck.disposed) return;
+    if (!deck.running || seconds <= 0) {
+      disposeDeck(deck);
+      return;
+    }
+    if (fadeOut) ramp(deck.fade.gain, 0, seconds);
+    fading.add(deck);
+    setTimeout(() => {
+      fading.delete(deck);
+      disposeDeck(deck);
+    }, seconds * 1000 + 50);
+  };
+
+  const scheduleTransition = (remaining) => {
+    const incoming = next;
+    const overlap = Math.max(0, Math.min(incoming.crossfade, lengthOf(current) / 2, lengthOf(incoming) / 2));
+    const at = ctx.currentTime + Math.max(0, remaining - overlap);
+    incoming.transitionAt = at;
+    incoming.transitionEnd = at + overlap;
+    const fadeIn = incoming.fade.gain;
+    fadeIn.cancelScheduledValues(0);
+    if (overlap > 0) {
+      fadeIn.value = 0;
+      fadeIn.setValueAtTime(0, at);
+      fadeIn.linearRampToValueAtTime(1, at + overlap);
+      const fadeOut = current.fade.gain;
+      fadeOut.setValueAtTime(fadeOut.value, at);
+      fadeOut.linearRampToValueAtTime(0, at + overlap);
+    } else {
+      fadeIn.value = 1;
+    }
+    startDeck(incoming, at);
+  };
+
+  const unschedule = (deck) => {
+    clearTimeout(deck.timer);
+    deck.timer = null;
+    if (deck.source) {
+      deck.source.stop();
+      deck.source.disconnect();
+      deck.source = null;
+    }
+    if (deck.element) {
+      deck.element.pause();
+      deck.element.currentTime = deck.start;
+    }
+    deck.running = false;
+    deck.handoff = null;
+    deck.offset = 0;
+    deck.transitionAt = null;
+    deck.transitionEnd = null;
+    deck.fade.gain.cancelScheduledValues(0);
+    deck.fade.gain.value = 1;
+    current.fade.gain.cancelScheduledValues(ctx.currentTime);
+  };
+
+  const swap = () => {
+    const outgoing = current;
+    current = next;
+    next = null;
+    retire(outgoing, current.transitionEnd - ctx.currentTime, false);
+    current.transitionAt = null;
+    current.transitionEnd = null;
+    reportDuration(current);
+    onAdvance?.(current.track.id);
+  };
+
+  const continueInto = ({ track, gain }) => {
+    next = null;
+    current.track = track;
+    current.start = track.cueStart || 0;
+    current.end = track.cueEnd ?? null;
+    current.level.gain.setTargetAtTime(gain, ctx.currentTime, 0.05);
+    reportDuration(current);
+    onAdvance?.(track.id);
+  };
+
+  // Pause, seek and load act on a single track: finish a crossfade that's under way and take back
+  // one that is only scheduled.
+  const settleTransition = () => {
+    if (next?.transitionAt != null) {
+      if (ctx.currentTime >= next.transitionAt) swap();
+      else unschedule(next);
+    }
+    dropFading();
+  };
+
+  const finish = () => {
+    if (current.ended) return;
+    current.ended = true;
+    halt(current);
+    onEnded?.();
+  };
+
+  function tick() {
+    if (!playing || !current?.kind || current.ended) return;
+    if (next?.transitionAt != null && ctx.currentTime >= next.transitionAt) swap();
+    if (current.head && current.running) followHead(current);
+    const length = lengthOf(current);
+    const position = positionOf(current);
+    const remaining = length - position;
+    onTime?.(Math.min(position, length));
+    if (next?.continuation) {
+      if (remaining <= 0) continueInto(next);
+      return;
+    }
+    if (next?.kind && next.transitionAt == null && remaining - next.crossfade <= LOOKAHEAD_SEC) {
+      scheduleTransition(remaining);
+      return;
+    }
+    if (remaining <= 0 && next?.transitionAt == null) finish();
+  }
+
+  const dropNext = () => {
+    if (!next) return;
+    if (next.transitionAt != null) unschedule(next);
+    disposeDeck(next);
+    next = null;
+  };
+
+  const dropFading = () => {
+    for (const deck of fading) disposeDeck(deck);
+    fading.clear();
+  };
+
+  const prepare = (track, options) => {
+    if (continues(current, track)) return { ...options, track, continuation: true };
+    const deck = createDeck(track, { ...options, decode: true });
+    deck.ready.catch(() => {});
+    return deck;
+  };
+
+  const stop = () => {
+    dropFading();
+    dropNext();
+    disposeDeck(current);
+    current = null;
+  };
+
+  return {
+    currentTrackId() {
+      return current?.track.id ?? null;
+    },
+
+    currentTime() {
+      return current?.kind ? Math.min(positionOf(current), lengthOf(current)) : 0;
+    },
+
+    /**
+     * Switches to `track` (served at `url`), reusing the prepared deck when it is that track. A new
+     * deck streams, so playback starts as soon as the element has the file's header.
+     */
+    async load(track, { url, gain = 1 }) {
+      ensureContext();
+      dropFading();
+      let deck;
+      if (next && !next.continuation && next.track.id === track.id) {
+        deck = next;
+        next = null;
+        if (deck.transitionAt != null && ctx.currentTime < deck.transitionAt) unschedule(deck);
+        deck.transitionAt = null;
+        deck.transitionEnd = null;
+        deck.level.gain.value = gain;
+      } else {
+        deck = createDeck(track, { url, gain });
+        if (next?.track.id === track.id) dropNext();
+        else if (next?.transitionAt != null) unschedule(next);
+      }
+      retire(current, fadeSec);
+      current = deck;
+      // Whatever was prepared stays prepared (the caller replaces it if needed), except that a cue sheet
+      // continuation only holds after the track it continues.
+      if (next?.continuation && !continues(current, next.track)) {
+        const { track: upcoming, continuation, ...options } = next;
+        next = prepare(upcoming, options);
+      }
+      try {
+        await deck.ready;
+      } catch (_) {
+        if (deck === current) onError?.('该歌曲无法读取或解码');
+        return;
+      }
+      if (deck !== current || deck.disposed) return;
+      reportDuration(deck);
+      if (playing) {
+        await ctx.resume();
+        if (deck === current && playing && !deck.running) startDeck(deck);
+      }
+    },
+
+    /**
+     * Prepares the track to play after the current one; null clears it. `crossfade` is the overlap
+     * in seconds for this transition, 0 for gapless.
+     */
+    prepareNext(track, { url, gain = 1, crossfade = 0 } = {}) {
+      if (!track) {
+        dropNext();
+        return;
+      }
+      if (next?.track.id === track.id) {
+        if (next.continuation) next.gain = gain;
+        else next.level.gain.value = gain;
+        if (next.transitionAt == null) next.crossfade = crossfade;
+        return;
+      }
+      dropNext();
+      next = prepare(track, { url, gain, crossfade });
+    },
+
+    play() {
+      playing = true;
+      const deck = current;
+      if (!deck?.kind) return;
+      ctx.resume();
+      clearTimeout(deck.timer);
+      deck.timer = null;
+      if (deck.ended) {
+        deck.ended = false;
+        deck.offset = 0;
+        if (deck.element) deck.element.currentTime = deck.start;
+      }
+      if (deck.running) {
+        ramp(deck.fade.gain, 1, fadeSec);
+        return;
+      }
+      deck.fade.gain.cancelScheduledValues(0);
+      deck.fade.gain.value = fadeSec > 0 ? 0 : 1;
+      startDeck(deck);
+      ramp(deck.fade.gain, 1, fadeSec);
+    },
+
+    pause() {
+      playing = false;
+      if (!ctx) return;
+      settleTransition();
+      const deck = current;
+      if (!deck?.running) return;
+      if (fadeSec <= 0) {
+        halt(deck);
+        return;
+      }
+      ramp(deck.fade.gain, 0, fadeSec);
+      clearTimeout(deck.timer);
+      deck.timer = setTimeout(() => {
+        deck.timer = null;
+        if (!playing) halt(deck);
+      }, fadeSec * 1000);
+    },
+
+    seek(seconds) {
+      const deck = current;
+      if (!deck?.kind) return;
+      settleTransition();
+      const target = Math.max(0, Math.min(Number(seconds) || 0, lengthOf(deck)));
+      deck.ended = false;
+      if (deck.head) leaveHead(deck, deck.running);
+      if (deck.kind === 'element') {
+        deck.element.currentTime = deck.start + target;
+        return;
+      }
+      const wasRunning = deck.running;
+      halt(deck);
+      deck.offset = target;
+      if (wasRunning) startDeck(deck);
+    },
+
+    /** Unloads everything, e.g. when the current track disappears. */
+    stop,
+
+    setVolume(value) {
+      volume = value;
+      if (master) master.gain.setTargetAtTime(value, ctx.currentTime, 0.02);
+    },
+
+    // ReplayGain factor of the current track.
+    setLevel(gain) {
+      if (current) current.level.gain.setTargetAtTime(gain, ctx.currentTime, 0.05);
+    },
+
+    setOptions({ fade }) {
+      fadeSec = Math.max(0, Number(fade) || 0);
+    },
+
+    // EQ, balance, mono and crossfeed; see createDspChain's `apply`.
+    setDsp(settings) {
+      dspSettings = settings;
+      dsp?.apply(settings);
+    },
+
+    destroy() {
+      stop();
+      clearInterval(timer);
+      ctx?.close();
+      ctx = null;
+    }
+  };
+}